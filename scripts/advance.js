@@ -0,0 +1,235 @@
+/**
+ * Seasons & Stars - Athas time advance
+ *
+ * Works out where a GM's `/advance` or `/rest` lands and what happened on the way. A step
+ * is a length of time ("2 watches", "3 days"; a watch is as long as the calendar's
+ * watches), the next start of a canonical hour ("to Evening"), the peak of the next moon
+ * alignment ("to next Darkest") or a date ("to Scorch 1", at the start of that day). The
+ * summary lists the moons' phase changes, full and new moons, alignments, solstices and
+ * equinoxes and events that the advance passed.
+ */
+
+/* global game */
+
+import { toAbsoluteDay, toDateModel, getMoonPhases, getSecondsPerDay } from './calendar-math.js';
+import { getHoursInDay, toHourOfDay } from './ephemeris.js';
+import { getCanonicalHours, getSolarEventName } from './time-of-day.js';
+import { EVENT_TYPES, EVENT_LABELS, findCelestialEvent, scanCelestialEvents } from './celestial-events.js';
+import { getEventsBetween } from './events.js';
+import { formatAthasDateLocal } from './day-card.js';
+import { parseAthasDate } from './date-parser.js';
+import { toTimestamp, fromTimestamp, describeTimestamp, nextOccurrence } from './reminders.js';
+import { getSetting } from './settings.js';
+import { escapeHtml } from './html.js';
+
+/** Hours of a long and a short rest. */
+export const REST_HOURS = { long: 8, short: 1 };
+
+/** Longest span whose days are walked for the summary (ten years). */
+const MAX_SUMMARY_DAYS = 3750;
+
+/** Most events listed in a summary before "and N more". */
+const MAX_LISTED = 12;
+
+/** Step units understood by {@link planAdvance}, singular. */
+const STEP_UNITS = ['minute', 'min', 'hour', 'h', 'watch', 'day', 'd', 'week', 'month', 'festival', 'year'];
+
+/**
+ * Singular step unit for a word ("watches" → "watch", "Days" → "day"), or null.
+ * @param {string} word
+ * @returns {string|null}
+ */
+function normalizeUnit(word) {
+  const w = String(word).toLowerCase();
+  return [w, w.replace(/es$/, ''), w.replace(/s$/, '')].find(u => STEP_UNITS.includes(u)) ?? null;
+}
+
+/**
+ * Length of one watch: the average of the calendar's canonical hours named "… Watch",
+ * else an eighth of the day.
+ * @param {any} calendar
+ * @returns {number} Hours
+ */
+export function getWatchHours(calendar) {
+  const H = getHoursInDay(calendar);
+  const watches = getCanonicalHours(calendar).filter(b => /watch/i.test(b.name));
+  if (!watches.length) return H / 8;
+  return watches.reduce((n, b) => n + (b.wraps ? b.end + H - b.start : b.end - b.start), 0) / watches.length;
+}
+
+/**
+ * "2 days, 3 hours" for a number of seconds.
+ * @param {any} calendar
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(calendar, seconds) {
+  const perDay = getSecondsPerDay(calendar);
+  const days = Math.floor(seconds / perDay);
+  const hours = Math.floor((seconds % perDay) / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  const parts = [[days, 'day'], [hours, 'hour'], [minutes, 'minute']].filter(([n]) => n > 0).map(([n, u]) => `${n} ${u}${n === 1 ? '' : 's'}`);
+  return parts.length ? parts.join(', ') : 'no time';
+}
+
+/**
+ * Where an advance lands.
+ * @param {any} calendar
+ * @param {any} now - Current date with `time`
+ * @param {string} text - "2 watches", "to Evening", "to next Darkest", "to Scorch 1 [at Morning]"
+ * @param {{tolerance?:number}} [options] - Moon alignment tolerance (world setting by default)
+ * @returns {{seconds:number, from:number, to:number, label:string}|{error:string}}
+ */
+export function planAdvance(calendar, now, text, { tolerance = getSetting('eventTolerance') } = {}) {
+  const from = toTimestamp(calendar, now);
+  if (from == null) return { error: 'No current date available.' };
+  const input = String(text ?? '').trim().replace(/\s+/g, ' ');
+  const perDay = getSecondsPerDay(calendar);
+  const done = (to, label) => (to > from ? { seconds: to - from, from, to, label } : { error: 'That moment has already passed.' });
+
+  const step = input.match(/^(\d+(?:\.\d+)?) ?([a-z]+)$/i);
+  if (step) {
+    const n = Number(step[1]);
+    const unit = normalizeUnit(step[2]);
+    const hours = { minute: 1 / 60, min: 1 / 60, hour: 1, h: 1, watch: getWatchHours(calendar), day: perDay / 3600, d: perDay / 3600 }[unit];
+    if (hours != null) return done(from + Math.round(n * hours * 3600), input);
+    if (['week', 'month', 'festival', 'year'].includes(unit) && Number.isInteger(n)) {
+      return done(nextOccurrence(calendar, from, { unit, every: n }), input);
+    }
+    return { error: `Unknown step “${step[2]}”; use minutes, hours, watches, days, weeks, months, festivals or years.` };
+  }
+
+  const to = input.match(/^to (?:the )?(?:next )?(.+)$/i);
+  if (!to) return { error: 'Say how far (“2 watches”, “3 days”) or where to (“to Evening”, “to next Darkest”, “to Scorch 1”).' };
+  const target = to[1].trim();
+
+  const block = getCanonicalHours(calendar).find(b => b.name.toLowerCase() === target.toLowerCase());
+  if (block) {
+    let at = Math.floor(from / perDay) * perDay + Math.round(block.start * 3600);
+    if (at <= from) at += perDay;
+    return done(at, `to the next ${block.name}`);
+  }
+
+  const type = EVENT_TYPES.find(t => target.toLowerCase().replace(/ night$/, '') === t.toLowerCase());
+  if (type) {
+    let start = toDateModel(now);
+    for (let tries = 0; tries < 2; tries++) {
+      const ev = findCelestialEvent(calendar, start, type, 'next', { tolerance });
+      if (!ev) return { error: `No ${type} found in the years ahead.` };
+      const at = toTimestamp(calendar, { ...ev.peak, time: ev.peakTime.hours });
+      if (at > from) return done(at, `to the peak of the next ${EVENT_LABELS[type] || type}`);
+      start = fromTimestamp(calendar, (toAbsoluteDay(calendar, ev.peak) + 1) * perDay);
+    }
+    return { error: `No ${type} found in the years ahead.` };
+  }
+
+  const dated = target.match(/^(.*?)(?: at (.+))?$/i);
+  const hour = dated[2] ? toHourOfDay(calendar, dated[2]) : 0;
+  if (hour == null) return { error: `Time not understood: ${dated[2]}.` };
+  const today = toDateModel(now);
+  // A date without a year that has gone by this year means next year's
+  for (const year of [today.year, today.year + 1]) {
+    const parsed = parseAthasDate(calendar, dated[1], { today: { ...today, year } });
+    if (parsed.error) return { error: parsed.error };
+    const at = toTimestamp(calendar, { ...parsed.date, time: hour });
+    if (at > from) return done(at, `to ${describeTimestamp(calendar, at)}`);
+  }
+  return { error: 'That date has already passed; time only moves forward.' };
+}
+
+/**
+ * Full and new moons between two moments, per moon.
+ * @param {any} calendar
+ * @param {number} from - Timestamp
+ * @param {number} to - Timestamp
+ * @returns {{name:string, full:number, new:number}[]}
+ */
+function countMoonPhases(calendar, from, to) {
+  const perDay = getSecondsPerDay(calendar);
+  return (Array.isArray(calendar?.moons) ? calendar.moons : []).map(m => {
+    const cycle = Number(m?.cycleLength) || 0;
+    const ref = m?.firstNewMoon ? toAbsoluteDay(calendar, m.firstNewMoon) : null;
+    if (cycle <= 0 || ref == null) return null;
+    // Phase in cycles since the reference new moon
+    const t0 = (from / perDay - ref) / cycle;
+    const t1 = (to / perDay - ref) / cycle;
+    return { name: m.name, full: Math.floor(t1 - 0.5) - Math.floor(t0 - 0.5), new: Math.floor(t1) - Math.floor(t0) };
+  }).filter(Boolean);
+}
+
+/**
+ * What passed between two moments.
+ * @param {any} calendar
+ * @param {number} from - Timestamp
+ * @param {number} to - Timestamp
+ * @param {{tolerance?:number}} [options]
+ * @returns {{elapsed:string, fromText:string, toText:string, moons:string[], passed:string[]}}
+ */
+export function summarizeAdvance(calendar, from, to, { tolerance = getSetting('eventTolerance') } = {}) {
+  const perDay = getSecondsPerDay(calendar);
+  const start = fromTimestamp(calendar, from);
+  const end = fromTimestamp(calendar, to);
+  const before = new Map(getMoonPhases(calendar, start).map(p => [p.name, p.phaseName]));
+  const counts = new Map(countMoonPhases(calendar, from, to).map(c => [c.name, c]));
+  const moons = getMoonPhases(calendar, end).map(p => {
+    const { full = 0, new: fresh = 0 } = counts.get(p.name) || {};
+    const crossed = [[full, 'full'], [fresh, 'new']].filter(([n]) => n > 0).map(([n, w]) => `${n} ${w} moon${n === 1 ? '' : 's'}`);
+    const was = before.get(p.name);
+    const change = was && was !== p.phaseName ? `${was} → ${p.phaseName}` : p.phaseName;
+    return `${p.name}: ${change} (${p.illumination}%)${crossed.length ? `; passed ${crossed.join(' and ')}` : ''}`;
+  });
+
+  const passed = [];
+  const fromDay = Math.floor(from / perDay);
+  const toDay = Math.floor(to / perDay);
+  // Long jumps only list what happens in their first MAX_SUMMARY_DAYS days
+  const lastDay = Math.min(toDay, fromDay + MAX_SUMMARY_DAYS);
+  const last = lastDay < toDay ? fromTimestamp(calendar, lastDay * perDay) : end;
+  for (const ev of scanCelestialEvents(calendar, start, last, { tolerance })) {
+    const at = toTimestamp(calendar, { ...ev.peak, time: ev.peakTime.hours });
+    if (at > from && at <= to) passed.push({ at, text: `${ev.label}, peak ${describeTimestamp(calendar, at)}` });
+  }
+  if (lastDay > fromDay) {
+    // Day-long entries count from the first new day the advance reaches
+    const first = fromTimestamp(calendar, (fromDay + 1) * perDay);
+    for (const ev of getEventsBetween(calendar, first, last, { tolerance })) {
+      if (ev.dayOf === 1) passed.push({ at: toTimestamp(calendar, ev.date), text: `${ev.name} (${formatAthasDateLocal(calendar, ev.date)})` });
+    }
+    for (let day = fromDay + 1; day <= lastDay; day++) {
+      const date = fromTimestamp(calendar, day * perDay);
+      const solar = getSolarEventName(calendar, date);
+      if (solar) passed.push({ at: day * perDay, text: `${solar} (${formatAthasDateLocal(calendar, date)})` });
+    }
+  }
+  passed.sort((a, b) => a.at - b.at);
+  const listed = passed.slice(0, MAX_LISTED).map(p => p.text);
+  if (passed.length > MAX_LISTED) listed.push(`and ${passed.length - MAX_LISTED} more`);
+  if (lastDay < toDay) listed.push(`nothing after ${formatAthasDateLocal(calendar, last)} is listed`);
+  return { elapsed: formatDuration(calendar, to - from), fromText: describeTimestamp(calendar, from), toText: describeTimestamp(calendar, to), moons, passed: listed };
+}
+
+/**
+ * Chat card for an advance.
+ * @param {{elapsed:string, fromText:string, toText:string, moons:string[], passed:string[]}} summary
+ * @param {string} [title]
+ * @returns {string}
+ */
+export function renderAdvanceCard(summary, title = 'Time passes') {
+  let html = `<p><strong>${escapeHtml(title)}:</strong> ${summary.elapsed}</p><p>${escapeHtml(summary.fromText)} → <strong>${escapeHtml(summary.toText)}</strong></p>`;
+  html += summary.moons.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+  if (summary.passed.length) html += `<p><em>On the way:</em></p><ul>${summary.passed.map(t => `<li>${escapeHtml(t)}</li>`).join('')}</ul>`;
+  return html;
+}
+
+/**
+ * Advance world time through Seasons & Stars (core world time if its API is missing).
+ * Every time jump the module makes (/advance, /rest, /travel go, setting the date from
+ * the calendar window) goes through here.
+ * @param {number} seconds
+ * @returns {Promise<any>}
+ */
+export function advanceWorldTime(seconds) {
+  const api = game.seasonsStars?.api;
+  if (typeof api?.advanceMinutes === 'function' && seconds % 60 === 0) return Promise.resolve(api.advanceMinutes(seconds / 60));
+  return game.time.advance(seconds);
+}
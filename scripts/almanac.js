@@ -0,0 +1,186 @@
+/**
+ * Seasons & Stars - Athas almanac
+ *
+ * Player handout for a year or a whole King's Age, written to a JournalEntry. Each year
+ * lists every month and festival of the sun with the weekday it opens on, then the days
+ * worth knowing: Ral's and Guthay's full and new moons, Darkest and Brightest nights and
+ * other conjunctions, solstices and equinoxes, and recurring events. The journal is
+ * flagged with what it covers so a later run can regenerate it in place.
+ */
+
+/* global game, JournalEntry, CONST */
+
+import { buildCalendarMeta, toAbsoluteDay, fromAbsoluteDay, getWeekdayName } from './calendar-math.js';
+import { getYearInfo, yearFromKingsAge, KINGS_AGE_LENGTH } from './kings-age.js';
+import { scanCelestialEvents } from './celestial-events.js';
+import { getSolarEventName, formatHour12 } from './time-of-day.js';
+import { getEventsBetween } from './events.js';
+import { getCalendarCity, formatCityYear } from './city-states.js';
+import { formatAthasDateLocal } from './day-card.js';
+import { MODULE_ID, getSetting } from './settings.js';
+
+/** Alignments listed in the almanac (oppositions are left out as too frequent). */
+const ALMANAC_ALIGNMENTS = ['Darkest', 'Brightest', 'Conjunction'];
+
+/**
+ * Days on which each moon is exactly full or new within a range.
+ * @param {any} calendar
+ * @param {number} lo - First absolute day
+ * @param {number} hi - Last absolute day
+ * @returns {{abs:number, text:string}[]}
+ */
+function moonPhaseDays(calendar, lo, hi) {
+  const out = [];
+  for (const m of Array.isArray(calendar?.moons) ? calendar.moons : []) {
+    const cycle = Number(m?.cycleLength) || 0;
+    const ref = m?.firstNewMoon ? toAbsoluteDay(calendar, m.firstNewMoon) : null;
+    if (cycle <= 0 || ref == null) continue;
+    for (let k = Math.floor((lo - ref) / cycle) - 1; ref + k * cycle <= hi; k++) {
+      for (const [offset, phase] of [[0, 'New'], [cycle / 2, 'Full']]) {
+        const abs = Math.floor(ref + k * cycle + offset);
+        if (abs >= lo && abs <= hi) out.push({ abs, text: `${m.name} ${phase}` });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Everything the almanac lists for one year, by month and festival.
+ * @param {any} calendar
+ * @param {number} year
+ * @returns {{year:number, info:object, cityYear:string, segments:{name:string, type:string, days:number, opens:string, entries:{day:number, weekday:string|null, text:string}[]}[]}}
+ */
+export function buildAlmanacYear(calendar, year) {
+  const meta = buildCalendarMeta(calendar);
+  const lo = toAbsoluteDay(calendar, { year, month: 1, day: 1 });
+  const hi = lo + meta.daysPerYear - 1;
+  const notes = new Map();
+  const note = (abs, text) => { if (!notes.has(abs)) notes.set(abs, []); notes.get(abs).push(text); };
+
+  for (const p of moonPhaseDays(calendar, lo, hi)) note(p.abs, p.text);
+  const from = fromAbsoluteDay(calendar, lo);
+  const to = fromAbsoluteDay(calendar, hi);
+  for (const ev of scanCelestialEvents(calendar, from, to, { tolerance: getSetting('eventTolerance'), types: ALMANAC_ALIGNMENTS })) {
+    const abs = toAbsoluteDay(calendar, ev.peak);
+    if (abs >= lo && abs <= hi) note(abs, `${ev.label}, peak at ${formatHour12(ev.peakTime.hours)}`);
+  }
+  for (const ev of getEventsBetween(calendar, from, to)) {
+    if (ev.dayOf === 1) note(toAbsoluteDay(calendar, ev.date), `${ev.name}${ev.days > 1 ? ` (${ev.days} days)` : ''}`);
+  }
+
+  const segments = meta.segments.map(seg => {
+    const first = { year, month: seg.month, day: 1, ...(seg.type === 'intercalary' ? { intercalary: seg.name } : {}) };
+    const base = toAbsoluteDay(calendar, first);
+    const entries = [];
+    for (let day = 1; day <= seg.days; day++) {
+      const date = { ...first, day };
+      const texts = [...(getSolarEventName(calendar, date) ? [getSolarEventName(calendar, date)] : []), ...(notes.get(base + day - 1) || [])];
+      if (texts.length) entries.push({ day, weekday: getWeekdayName(calendar, date), text: texts.join('; ') });
+    }
+    return { name: seg.name, type: seg.type, days: seg.days, opens: formatAthasDateLocal(calendar, first), entries };
+  });
+  return { year, info: getYearInfo(year), cityYear: formatCityYear(year, getCalendarCity(calendar)), segments };
+}
+
+/**
+ * Journal page HTML for one year.
+ * @param {any} calendar
+ * @param {object} data - From {@link buildAlmanacYear}
+ * @returns {string}
+ */
+export function renderAlmanacYear(calendar, data) {
+  const { info } = data;
+  let html = `<h2>Year of ${info.yearName}</h2><p>King’s Age ${info.kingsAge}, year ${info.yearInAge} — ${data.year}${data.cityYear ? `, ${data.cityYear}` : ''}</p>`;
+  for (const seg of data.segments) {
+    const kind = seg.type === 'intercalary' ? 'festival of the sun, outside the week' : `${seg.days} days`;
+    html += `<h3>${seg.name}</h3><p><em>${kind}; opens ${seg.opens}</em></p>`;
+    if (!seg.entries.length) continue;
+    html += '<ul>';
+    for (const e of seg.entries) {
+      html += `<li><strong>${seg.name} ${e.day}</strong>${e.weekday ? ` (${e.weekday})` : ''}: ${e.text}</li>`;
+    }
+    html += '</ul>';
+  }
+  return html;
+}
+
+/**
+ * Journal flag identifying what an almanac covers.
+ * @param {{year?:number, kingsAge?:number}} scope
+ * @returns {string}
+ */
+function almanacKey({ year, kingsAge }) {
+  return kingsAge != null ? `ka:${kingsAge}` : `year:${year}`;
+}
+
+/**
+ * Name, flag key and pages of an almanac.
+ * @param {any} calendar
+ * @param {{year?:number, kingsAge?:number}} scope - One year, or a whole King's Age
+ * @returns {{name:string, key:string, pages:{name:string, html:string}[]}}
+ */
+export function buildAlmanac(calendar, { year, kingsAge } = {}) {
+  const page = (y) => {
+    const data = buildAlmanacYear(calendar, y);
+    return { name: `${data.info.kingsAge}.${data.info.yearInAge} ${data.info.yearName}`, html: renderAlmanacYear(calendar, data) };
+  };
+  if (kingsAge != null) {
+    const years = Array.from({ length: KINGS_AGE_LENGTH }, (_, i) => yearFromKingsAge(kingsAge, i + 1));
+    const overview = '<h2>The years of this King’s Age</h2><ol>'
+      + years.map(y => `<li>${getYearInfo(y).yearName} — ${y}</li>`).join('')
+      + '</ol>';
+    return {
+      name: `Almanac: King’s Age ${kingsAge}`,
+      key: almanacKey({ kingsAge }),
+      pages: [{ name: `King’s Age ${kingsAge}`, html: overview }, ...years.map(page)],
+    };
+  }
+  const info = getYearInfo(year);
+  return { name: `Almanac: Year of ${info.yearName} (KA ${info.kingsAge}.${info.yearInAge})`, key: almanacKey({ year }), pages: [page(year)] };
+}
+
+/**
+ * Write an almanac to a journal that players can read. An existing almanac for the same
+ * span is left alone unless `regenerate` is set, in which case its pages are replaced in
+ * place.
+ * @param {any} calendar
+ * @param {{year?:number, kingsAge?:number}} scope
+ * @param {{regenerate?:boolean}} [options]
+ * @returns {Promise<{journal:any, status:'created'|'regenerated'|'exists'}>}
+ */
+export async function writeAlmanac(calendar, scope, { regenerate = false } = {}) {
+  const existing = game.journal.find(j => j.getFlag(MODULE_ID, 'almanac') === almanacKey(scope));
+  if (existing && !regenerate) return { journal: existing, status: 'exists' };
+  const almanac = buildAlmanac(calendar, scope);
+  // A player handout: everyone may read it
+  const observer = CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER;
+  const pages = almanac.pages.map((p, i) => ({ name: p.name, type: 'text', sort: (i + 1) * 100, text: { content: p.html } }));
+  if (existing) {
+    await existing.deleteEmbeddedDocuments('JournalEntryPage', existing.pages.map(p => p.id));
+    await existing.createEmbeddedDocuments('JournalEntryPage', pages);
+    const changes = {};
+    if (existing.name !== almanac.name) changes.name = almanac.name;
+    if ((existing.ownership?.default ?? 0) < observer) changes.ownership = { default: observer };
+    if (Object.keys(changes).length) await existing.update(changes);
+    return { journal: existing, status: 'regenerated' };
+  }
+  const journal = await JournalEntry.create({
+    name: almanac.name,
+    pages,
+    ownership: { default: observer },
+    flags: { [MODULE_ID]: { almanac: almanac.key } },
+  });
+  return { journal, status: 'created' };
+}
+
+/**
+ * Chat line reporting a {@link writeAlmanac} result.
+ * @param {{journal:any, status:string}} result
+ * @returns {string}
+ */
+export function describeAlmanacResult({ journal, status }) {
+  const link = `@UUID[${journal.uuid}]{${journal.name}}`;
+  if (status === 'exists') return `<p>${link} already exists. Add <em>regenerate</em> to rebuild it in place.</p>`;
+  return `<p>${status === 'created' ? 'Created' : 'Regenerated'} ${link}.</p>`;
+}
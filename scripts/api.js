@@ -0,0 +1,428 @@
+/**
+ * Seasons & Stars - Athas public API
+ *
+ * Builds the object exposed as `game.modules.get('seasons-and-stars-athas').api` and
+ * `window.SSAthas`. Every method resolves the active calendar and (when no date is
+ * given) the current S&S date on each call.
+ */
+
+import { toDateModel, getWeekday } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, resolveDate, getAthasMoonPhases } from './context.js';
+import {
+  getYearInfo, parseYear, getYearNameTable, normalizeYearNameTable, exportYearNameTable, importYearNameTable,
+} from './kings-age.js';
+import { getMoonState, toHourOfDay } from './ephemeris.js';
+import { scanCelestialEvents, findCelestialEvent } from './celestial-events.js';
+import { getSetting, setSetting } from './settings.js';
+import { TERRAINS, getWeather, rerollWeather, getConditionsAt } from './weather.js';
+import { planTravel } from './travel.js';
+import { buildIcs } from './ics.js';
+import { getSkyState, renderSkyImg } from './sky.js';
+import { computeSceneLighting, applySceneLighting } from './lighting.js';
+import { RECUR_UNITS, getReminders, addReminder, removeReminder, parseReminder, toTimestamp } from './reminders.js';
+import { planAdvance, summarizeAdvance, advanceWorldTime } from './advance.js';
+import { getEventRules, getEventsOn, getEventsBetween, normalizeEventRule } from './events.js';
+import { CITY_STATES, getCalendarCity, getCityReckoning, convertLocalYear, fromLocalYear, formatCityYear, findCity } from './city-states.js';
+import { waterRequired, getActorWater, setActorWater, addWater, getDehydrationStage } from './water.js';
+
+/**
+ * Create the public API object.
+ * @returns {object}
+ */
+export function buildApi() {
+  return {
+    /**
+     * Get King's Age info for a given year (or current S&S year if omitted).
+     * @param {number} [year]
+     * @returns {{year:number,kingsAge:number,yearInAge:number,yearName:string}|null}
+     */
+    getYearInfo,
+    /**
+     * Absolute year from "190.27", "KA 190 Y27", "Year of Priest's Defiance, KA 190", "FY78"
+     * or a plain year. A bare year name lists every matching year in `matches` (default
+     * range: the King's Ages around the current year) and leaves `year` null unless only
+     * one matches.
+     * @param {string|number} text
+     * @param {{from?:number, to?:number}} [options]
+     * @returns {{year:number|null, ambiguous:boolean, matches:object[]}|null}
+     */
+    parseYear,
+    /**
+     * Effective year-name table and its source ('world', 'calendar' or 'default').
+     * @returns {{table:object, source:string}}
+     */
+    getYearNameTable: () => getYearNameTable(),
+    /** Effective year-name table as importable JSON. */
+    exportYearNames: () => exportYearNameTable(getYearNameTable().table),
+    /**
+     * Store a year-name table (JSON string or object) as the world override (GM only).
+     * Pass null to return to the calendar's table.
+     * @param {string|object|null} data
+     * @returns {Promise<{table:object}|{error:string}>}
+     */
+    importYearNames: async (data) => {
+      if (data == null) { await setSetting('yearNames', null); return { table: getYearNameTable().table }; }
+      const parsed = typeof data === 'string' ? importYearNameTable(data) : normalizeYearNameTable(data);
+      if (parsed.table) await setSetting('yearNames', parsed.table);
+      return parsed;
+    },
+    /**
+     * Get the weekday of a date (current date if omitted). Festival days that do not
+     * count for weekdays return null.
+     * @param {object} [date]
+     * @returns {{index:number,name:string,abbreviation:string}|null}
+     */
+    getWeekday: (date) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        return cal && src ? getWeekday(cal, src) : null;
+      } catch { return null; }
+    },
+    /** City-state ids with their ruler and year reckoning (`abbr`, `label`, `epoch`). */
+    getCityStates: () => Object.fromEntries(Object.entries(CITY_STATES).map(([id, c]) => [id, { label: c.label, ruler: c.ruler, reckoning: { ...c.reckoning } }])),
+    /**
+     * A date as a city-state reckons it (current date and the active calendar's city if
+     * omitted): local year, formatted text and that city's festivals and decrees.
+     * @param {object} [date]
+     * @param {string} [city]
+     * @returns {object|null}
+     */
+    getCityReckoning: (date, city) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        return cal && src ? getCityReckoning(cal, src, city ?? getCalendarCity(cal)) : null;
+      } catch { return null; }
+    },
+    /**
+     * Convert a local year between city reckonings, e.g. FY78 in Tyr → HR1783 in Urik.
+     * @param {number} localYear
+     * @param {string} fromCity
+     * @param {string} toCity
+     * @returns {{year:number, localYear:number, yearText:string}|null} `year` is absolute
+     */
+    convertReckoning: (localYear, fromCity, toCity) => {
+      const year = fromLocalYear(Number(localYear), fromCity);
+      if (year == null || !findCity(toCity)) return null;
+      return { year, localYear: convertLocalYear(Number(localYear), fromCity, toCity), yearText: formatCityYear(year, toCity) };
+    },
+    /**
+     * Recurring events (calendar, world and city-state holidays) on a date, current date
+     * if omitted.
+     * @param {object} [date]
+     * @returns {object[]}
+     */
+    getEventsOn: (date) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        return cal && src ? getEventsOn(cal, src) : [];
+      } catch { return []; }
+    },
+    /**
+     * Recurring event occurrences in an inclusive date range.
+     * @param {object} fromDate
+     * @param {object} toDate
+     * @returns {object[]}
+     */
+    getEventsBetween: (fromDate, toDate) => {
+      try {
+        const cal = getActiveCalendar();
+        const a = toDateModel(fromDate);
+        const b = toDateModel(toDate);
+        return cal && a && b ? getEventsBetween(cal, a, b) : [];
+      } catch { return []; }
+    },
+    /** Every event rule in force, each with its `source` ('calendar', 'world' or 'city'). */
+    getEventRules: () => getEventRules(getActiveCalendar()),
+    /**
+     * Replace the world's own event rules (a world setting, so GM only); `null` clears them. Every rule is
+     * checked first and nothing is saved if one is invalid.
+     * @param {object[]|null} rules
+     * @returns {Promise<{count:number}|{error:string}>}
+     */
+    setWorldEvents: async (rules) => {
+      const list = rules == null ? [] : rules;
+      if (!Array.isArray(list)) return { error: 'Events must be an array of rules.' };
+      for (const raw of list) {
+        const r = normalizeEventRule(raw);
+        if (r.error) return { error: r.error };
+      }
+      await setSetting('recurringEvents', list);
+      return { count: list.length };
+    },
+    /**
+     * iCalendar text for a range of Athasian days, their moon alignments and events.
+     * Options: `realStart` (YYYY-MM-DD, default the world's export setting or today),
+     * `stepDays` (real days per Athasian day) and `days`/`moons`/`events` toggles.
+     * @param {object} fromDate
+     * @param {object} toDate
+     * @param {object} [options]
+     * @returns {{ics:string, count:number}|{error:string}}
+     */
+    exportIcs: (fromDate, toDate, options = {}) => {
+      const cal = getActiveCalendar();
+      if (!cal) return { error: 'Active calendar not available.' };
+      return buildIcs(cal, fromDate, toDate, { realStart: getSetting('icsRealStart'), stepDays: getSetting('icsStepDays'), ...options });
+    },
+    /** Get moon phases. If no valid date is provided, use the current date. */
+    getMoonPhases: (date) => getAthasMoonPhases(resolveDate(date)),
+    /**
+     * Moon ephemeris at a date and time (current date/time if omitted): continuous phase
+     * angle, illumination, altitude, above-horizon state and that day's rise/set/transit.
+     * `time` may be hours, `{ hour, minute }` or a canonical hour name such as "2nd Watch".
+     * @param {object} [date]
+     * @param {number|string|object} [time]
+     * @returns {object[]}
+     */
+    getMoonState: (date, time) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return [];
+        const now = getCurrentDate();
+        const fallbackTime = time ?? (toDateModel(date) ? date.time : now?.time);
+        return getMoonState(cal, src, fallbackTime);
+      } catch { return []; }
+    },
+    /**
+     * Moon alignment events (Darkest, Brightest, Conjunction, Opposition) whose window
+     * overlaps a date range. Each event carries `start`, `peak` and `end` dates.
+     * @param {object} fromDate
+     * @param {object} toDate
+     * @param {{types?:string|string[], tolerance?:number}} [options]
+     * @returns {object[]}
+     */
+    getCelestialEvents: (fromDate, toDate, options = {}) => scanEvents(fromDate, toDate, options.types, options.tolerance),
+    /** Aligned events in a range: Conjunction plus Darkest/Brightest (which are conjunctions too). */
+    getConjunctions: (fromDate, toDate) => scanEvents(fromDate, toDate, ['Conjunction', 'Darkest', 'Brightest']),
+    /** Darkest and Brightest nights in a range. */
+    getEclipses: (fromDate, toDate) => scanEvents(fromDate, toDate, ['Darkest', 'Brightest']),
+    /** Terrain keys and labels accepted by the weather methods. */
+    getTerrains: () => Object.fromEntries(Object.entries(TERRAINS).map(([k, t]) => [k, t.label])),
+    /**
+     * The day's weather (current date and world terrain if omitted): temperature bands
+     * for the high and low, wind and any dust/silt storm.
+     * @param {object} [date]
+     * @param {string} [terrain]
+     * @returns {object|null}
+     */
+    getWeather: (date, terrain) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        return cal && src ? getWeather(cal, src, terrain ?? getSetting('weatherTerrain')) : null;
+      } catch { return null; }
+    },
+    /**
+     * Conditions at a time of day (current date/time if omitted): temperature, whether a
+     * storm is raging and, at night, the moonlight.
+     * @param {object} [date]
+     * @param {number|string|object} [time]
+     * @param {string} [terrain]
+     * @returns {object|null}
+     */
+    getWeatherConditions: (date, time, terrain) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return null;
+        const weather = getWeather(cal, src, terrain ?? getSetting('weatherTerrain'));
+        const hour = toHourOfDay(cal, time ?? (toDateModel(date) ? date.time : getCurrentDate()?.time)) ?? 12;
+        return weather ? { ...getConditionsAt(cal, weather, hour), weather } : null;
+      } catch { return null; }
+    },
+    /**
+     * GM: replace the day's weather with its next re-roll and log it.
+     * @param {object} [date]
+     * @param {string} [terrain]
+     * @returns {object|null}
+     */
+    rerollWeather: (date, terrain) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        return cal && src ? rerollWeather(cal, src, terrain ?? getSetting('weatherTerrain')) : null;
+      } catch { return null; }
+    },
+    /**
+     * Gallons one character needs over `hours` starting at a date and time (current if
+     * omitted), by the heat band of each hour.
+     * @param {number} hours
+     * @param {object} [date]
+     * @returns {{gallons:number, hours:number, byBand:object}|null}
+     */
+    getWaterNeed: (hours, date) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return null;
+        return waterRequired(cal, { ...src, time: (toDateModel(date) ? date.time : getCurrentDate()?.time) || { hour: 0 } }, hours);
+      } catch { return null; }
+    },
+    /**
+     * An actor's water state and dehydration stage.
+     * @param {Actor} actor
+     * @returns {{carried:number, deficit:number, rate:number, stage:object}}
+     */
+    getWater: (actor) => {
+      const w = getActorWater(actor);
+      return { ...w, stage: getDehydrationStage(w) };
+    },
+    /**
+     * Give an actor water (pays off any deficit first).
+     * @param {Actor} actor
+     * @param {number} gallons
+     * @returns {Promise<object>}
+     */
+    addWater: async (actor, gallons) => {
+      const next = addWater(getActorWater(actor), gallons);
+      await setActorWater(actor, next);
+      return next;
+    },
+    /**
+     * Plan a trip (see the /travel command). Starts now unless a date with `time` is given.
+     * @param {{distance:number, pace?:string, terrain?:string, night?:boolean, avoidMidday?:boolean, hoursPerDay?:number}} options
+     * @param {object} [start]
+     * @returns {object|null} The plan (legs, arrival, nights, elapsedSeconds) or `{error}`
+     */
+    planTravel: (options, start) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(start);
+        if (!cal || !src) return null;
+        const time = (toDateModel(start) ? start.time : getCurrentDate()?.time) || { hour: 0 };
+        return planTravel(cal, { ...src, time }, { terrain: getSetting('weatherTerrain'), ...options });
+      } catch { return null; }
+    },
+    /**
+     * Open the calendar window.
+     * @returns {Promise<any>} The window application
+     */
+    openCalendar: () => import('./calendar-window.js').then(m => m.openCalendarWindow()),
+    /**
+     * Sun and moons in the sky (hour angle, altitude, above the horizon; moons with phase).
+     * @param {any} [date]
+     * @param {any} [time] - Hours, `{ hour, minute }` or a canonical hour; defaults to now
+     * @returns {{sun:object, moons:object[]}|null}
+     */
+    getSky: (date, time) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return null;
+        return getSkyState(cal, src, time ?? (toDateModel(date) ? date.time : getCurrentDate()?.time));
+      } catch { return null; }
+    },
+    /**
+     * The sky as an inline `<img>` for chat cards, journals or other modules' UI.
+     * @param {any} [date]
+     * @param {any} [time]
+     * @param {{width?:number, height?:number}} [options]
+     * @returns {string}
+     */
+    renderSky: (date, time, options) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return '';
+        return renderSkyImg(cal, src, time ?? (toDateModel(date) ? date.time : getCurrentDate()?.time), options);
+      } catch { return ''; }
+    },
+    /**
+     * Scene lighting the automation would set (darkness, moonlight, tint).
+     * @param {any} [date]
+     * @param {any} [time]
+     * @returns {object|null}
+     */
+    getSceneLighting: (date, time) => {
+      try {
+        const cal = getActiveCalendar();
+        const src = resolveDate(date);
+        if (!cal || !src) return null;
+        return computeSceneLighting(cal, src, time ?? (toDateModel(date) ? date.time : getCurrentDate()?.time));
+      } catch { return null; }
+    },
+    /** Apply scene lighting now (active GM, automation on). */
+    applySceneLighting: () => applySceneLighting(),
+    /**
+     * Scheduled reminders, soonest first (`at` is seconds since the calendar's first day).
+     * @returns {object[]}
+     */
+    getReminders: () => getReminders(),
+    /**
+     * Schedule a reminder (GM) from `/remind` text ("in 3 days: Caravan arrives"), or from
+     * `{ text, date, time?, recur?, macro?, public? }` with `recur` like `{ unit: 'month', every: 1 }`.
+     * @param {string|object} request
+     * @returns {Promise<object>} The stored reminder, or `{error}`
+     */
+    addReminder: async (request) => {
+      const cal = getActiveCalendar();
+      const now = getCurrentDate();
+      if (!cal || !now) return { error: 'Active calendar/date not available.' };
+      if (typeof request === 'string') {
+        const parsed = parseReminder(cal, request, { now });
+        return parsed.error ? parsed : addReminder(parsed.reminder);
+      }
+      const at = toTimestamp(cal, { ...resolveDate(request?.date), time: request?.time ?? request?.date?.time });
+      if (at == null || !request?.text) return { error: 'Give the reminder text and date.' };
+      if (request.recur && !RECUR_UNITS.includes(request.recur.unit)) return { error: `Repeat unit must be one of ${RECUR_UNITS.join(', ')}.` };
+      return addReminder({ ...request, at });
+    },
+    /** Delete a reminder by id (GM). */
+    removeReminder: (id) => removeReminder(id),
+    /**
+     * Advance world time (GM) by `/advance` text ("2 watches", "to Evening", "to next
+     * Darkest", "to Scorch 1") and return what passed.
+     * @param {string} text
+     * @returns {Promise<object>} `{ label, elapsed, fromText, toText, moons, passed }`, or `{error}`
+     */
+    advance: async (text) => {
+      const cal = getActiveCalendar();
+      const now = getCurrentDate();
+      if (!cal || !now) return { error: 'Active calendar/date not available.' };
+      const plan = planAdvance(cal, now, text);
+      if (plan.error) return plan;
+      const summary = summarizeAdvance(cal, plan.from, plan.to);
+      await advanceWorldTime(plan.seconds);
+      return { label: plan.label, ...summary };
+    },
+    /** Open or close the floating sky HUD. */
+    toggleSkyHud: () => import('./sky-hud.js').then(m => m.toggleSkyHud()),
+    // If no valid date is provided, use the current date as the starting point
+    getNextBrightest: (fromDate) => findNext(fromDate, 'Brightest'),
+    getNextDarkest: (fromDate) => findNext(fromDate, 'Darkest'),
+  };
+}
+
+/**
+ * Celestial events on the active calendar using the world tolerance.
+ * @param {any} fromDate
+ * @param {any} toDate
+ * @param {string|string[]} [types]
+ * @param {number} [tolerance]
+ * @returns {object[]}
+ */
+function scanEvents(fromDate, toDate, types, tolerance) {
+  try {
+    const cal = getActiveCalendar();
+    if (!cal) return [];
+    return scanCelestialEvents(cal, fromDate, toDate, { types, tolerance: tolerance ?? getSetting('eventTolerance') });
+  } catch (_e) { return []; }
+}
+
+/**
+ * Next Darkest/Brightest event on the active calendar.
+ * @param {any} fromDate
+ * @param {'Darkest'|'Brightest'} type
+ * @returns {object|null}
+ */
+function findNext(fromDate, type) {
+  try {
+    const cal = getActiveCalendar();
+    const src = resolveDate(fromDate);
+    if (!cal || !src) return null;
+    return findCelestialEvent(cal, src, type, 'next', { tolerance: getSetting('eventTolerance') });
+  } catch (_e) { return null; }
+}
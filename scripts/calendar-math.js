@@ -0,0 +1,346 @@
+/**
+ * Seasons & Stars - Athas calendar math
+ *
+ * The single calculation engine behind every API call and chat command path: date model,
+ * absolute days, moon phases and eclipse/conjunction tests. Everything here is pure and
+ * takes the calendar definition explicitly. Dates use the same shape as Seasons & Stars'
+ * CalendarDate:
+ *
+ *   { year, month, day, intercalary? }
+ *
+ * where `month` is 1-based. Intercalary days (Cooling Sun, Soaring Sun, Highest Sun)
+ * carry the festival name in `intercalary`, `month` is the month they follow and
+ * `day` counts from 1 within the festival.
+ *
+ * Names shown to people (formatDate, getWeekdayName) are translated through the
+ * language files; the date model keeps the calendar's own names.
+ */
+
+import { localizeCalendarText } from './i18n.js';
+
+/**
+ * Return a mathematically safe modulo result (always non-negative).
+ * @param {number} value - The dividend
+ * @param {number} modulus - The divisor (cycle length)
+ * @returns {number} The positive remainder in [0, modulus)
+ */
+export const safeMod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+const metaCache = new WeakMap();
+
+/**
+ * Build the ordered layout of a calendar year: every month and intercalary period as a
+ * segment with its 0-based day-of-year offset. Results are cached per calendar object.
+ * Leap-year-only intercalary periods are ignored (the Athasian calendar has no leap years).
+ * @param {any} calendar - Calendar definition (S&S active calendar or raw JSON)
+ * @returns {{months:any[], intercalary:any[], segments:object[], monthStarts:number[], daysPerYear:number, weekdayDaysPerYear:number}}
+ */
+export function buildCalendarMeta(calendar) {
+  if (calendar && typeof calendar === 'object' && metaCache.has(calendar)) return metaCache.get(calendar);
+  const months = Array.isArray(calendar?.months) ? calendar.months : [];
+  const intercalary = Array.isArray(calendar?.intercalary) ? calendar.intercalary : [];
+  const segments = [];
+  const monthStarts = [];
+  let running = 0;
+  let weekdayRunning = 0;
+  for (let i = 0; i < months.length; i++) {
+    const days = Number(months[i]?.days) || 0;
+    monthStarts[i] = running;
+    segments.push({ type: 'month', name: months[i]?.name || `Month ${i + 1}`, month: i + 1, start: running, weekdayStart: weekdayRunning, days, countsForWeekdays: true });
+    running += days;
+    weekdayRunning += days;
+    const afterName = months[i]?.name;
+    for (const ic of intercalary) {
+      if (ic?.after !== afterName || ic?.leapYearOnly) continue;
+      const icDays = Number(ic?.days) || 0;
+      if (icDays <= 0) continue;
+      const countsForWeekdays = ic.countsForWeekdays !== false;
+      segments.push({ type: 'intercalary', name: ic.name, month: i + 1, start: running, weekdayStart: weekdayRunning, days: icDays, countsForWeekdays });
+      running += icDays;
+      if (countsForWeekdays) weekdayRunning += icDays;
+    }
+  }
+  const meta = { months, intercalary, segments, monthStarts, daysPerYear: running, weekdayDaysPerYear: weekdayRunning };
+  if (calendar && typeof calendar === 'object') metaCache.set(calendar, meta);
+  return meta;
+}
+
+/**
+ * Normalize any date-like value (S&S CalendarDate, plain object) into the canonical model.
+ * @param {any} date
+ * @returns {{year:number, month:number, day:number, intercalary?:string}|null}
+ */
+export function toDateModel(date) {
+  if (!date) return null;
+  const year = Number(date.year);
+  if (!Number.isFinite(year)) return null;
+  const out = {
+    year,
+    month: Number.isFinite(Number(date.month)) ? Number(date.month) : 1,
+    day: Number.isFinite(Number(date.day)) ? Number(date.day) : 1,
+  };
+  if (date.intercalary) out.intercalary = String(date.intercalary);
+  return out;
+}
+
+/**
+ * Find the layout segment a date falls into.
+ * @param {any} calendar
+ * @param {{month:number, intercalary?:string}} date
+ * @returns {object|null}
+ */
+export function findSegment(calendar, date) {
+  const meta = buildCalendarMeta(calendar);
+  if (date?.intercalary) {
+    const name = String(date.intercalary).toLowerCase();
+    return meta.segments.find(s => s.type === 'intercalary' && s.name.toLowerCase() === name) || null;
+  }
+  return meta.segments.find(s => s.type === 'month' && s.month === Number(date?.month)) || null;
+}
+
+/**
+ * Whether a date names an existing month (or festival) day of the calendar.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {boolean}
+ */
+export function isValidDate(calendar, date) {
+  const d = toDateModel(date);
+  if (!d || !Number.isInteger(d.year) || !Number.isInteger(d.day)) return false;
+  const seg = findSegment(calendar, d);
+  return !!seg && d.day >= 1 && d.day <= seg.days;
+}
+
+/**
+ * 1-based day of the year, counting intercalary days.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {number|null}
+ */
+export function getDayOfYear(calendar, date) {
+  const d = toDateModel(date);
+  const seg = d ? findSegment(calendar, d) : null;
+  if (!seg) return null;
+  return seg.start + d.day;
+}
+
+/**
+ * Days elapsed since 1 Scorch of year 1 (day 0).
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {number|null}
+ */
+export function toAbsoluteDay(calendar, date) {
+  const meta = buildCalendarMeta(calendar);
+  const d = toDateModel(date);
+  const doy = getDayOfYear(calendar, d);
+  if (doy == null || !meta.daysPerYear) return null;
+  return (d.year - 1) * meta.daysPerYear + (doy - 1);
+}
+
+/**
+ * Inverse of {@link toAbsoluteDay}. Festival days come back with `intercalary` set.
+ * @param {any} calendar
+ * @param {number} abs
+ * @returns {{year:number, month:number, day:number, intercalary?:string}|null}
+ */
+export function fromAbsoluteDay(calendar, abs) {
+  const meta = buildCalendarMeta(calendar);
+  if (!meta.daysPerYear || !Number.isFinite(Number(abs))) return null;
+  const n = Math.floor(Number(abs));
+  const year = Math.floor(n / meta.daysPerYear) + 1;
+  const doy0 = safeMod(n, meta.daysPerYear);
+  for (let i = meta.segments.length - 1; i >= 0; i--) {
+    const seg = meta.segments[i];
+    if (doy0 < seg.start) continue;
+    const date = { year, month: seg.month, day: doy0 - seg.start + 1 };
+    if (seg.type === 'intercalary') date.intercalary = seg.name;
+    return date;
+  }
+  return null;
+}
+
+/**
+ * Add a number of days to a date, crossing months, festivals and years.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {number} days
+ * @returns {object|null}
+ */
+export function addDays(calendar, date, days) {
+  const abs = toAbsoluteDay(calendar, date);
+  return abs == null ? null : fromAbsoluteDay(calendar, abs + Number(days || 0));
+}
+
+/**
+ * Seconds in one calendar day (`time.hoursInDay × minutesInHour × secondsInMinute`).
+ * @param {any} calendar
+ * @returns {number}
+ */
+export function getSecondsPerDay(calendar) {
+  const t = calendar?.time || {};
+  return (Number(t.hoursInDay) || 24) * (Number(t.minutesInHour) || 60) * (Number(t.secondsInMinute) || 60);
+}
+
+/**
+ * Move a date-with-time by a number of seconds (negative goes back). The result carries
+ * `time: { hour, minute, second }`.
+ * @param {any} calendar
+ * @param {any} date - Canonical date, optionally with `time`
+ * @param {number} seconds
+ * @returns {object|null}
+ */
+export function addSeconds(calendar, date, seconds) {
+  const abs = toAbsoluteDay(calendar, date);
+  if (abs == null) return null;
+  const t = calendar?.time || {};
+  const perMinute = Number(t.secondsInMinute) || 60;
+  const perHour = (Number(t.minutesInHour) || 60) * perMinute;
+  const perDay = getSecondsPerDay(calendar);
+  const time = date?.time || {};
+  const start = abs * perDay + (Number(time.hour) || 0) * perHour + (Number(time.minute) || 0) * perMinute + (Number(time.second) || 0);
+  const total = start + Number(seconds || 0);
+  const day = Math.floor(total / perDay);
+  const rest = total - day * perDay;
+  const out = fromAbsoluteDay(calendar, day);
+  out.time = { hour: Math.floor(rest / perHour), minute: Math.floor((rest % perHour) / perMinute), second: Math.floor(rest % perMinute) };
+  return out;
+}
+
+/**
+ * Parse the strict `YYYY-M-D` form into a canonical date.
+ * @param {string} arg
+ * @returns {{year:number, month:number, day:number}|null}
+ */
+export function parseYMD(arg) {
+  const m = String(arg || '').match(/^(\d{1,6})-(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (!Number.isFinite(year) || !Number.isFinite(month) || !Number.isFinite(day)) return null;
+  return { year, month, day };
+}
+
+/**
+ * Plain "Month D, YYYY" rendering; festival days render as "Cooling Sun D, YYYY".
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {string}
+ */
+export function formatDate(calendar, date) {
+  const d = toDateModel(date);
+  if (!d) return '';
+  const month = calendar?.months?.[d.month - 1];
+  const label = d.intercalary ? localizeCalendarText('intercalary', d.intercalary) : (month?.name ? localizeCalendarText('months', month) : `Month ${d.month}`);
+  return `${label} ${d.day}, ${d.year}`;
+}
+
+// ===== Moons =====
+
+/**
+ * Compute every moon's phase on a date from its cycle length and first-new-moon anchor.
+ * Phase names are the eight equal illumination buckets of the cycle.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {{name:string, cycleLength:number, age:number, phaseName:string, illumination:number, daysUntilFull:number, daysUntilNew:number}[]}
+ */
+export function getMoonPhases(calendar, date) {
+  const abs = toAbsoluteDay(calendar, date);
+  if (abs == null) return [];
+  const moons = Array.isArray(calendar?.moons) ? calendar.moons : [];
+  const eps = 1e-3;
+  const out = [];
+  for (const m of moons) {
+    const cycle = Number(m?.cycleLength) || 0; if (cycle <= 0) continue;
+    const ref = m.firstNewMoon; if (!ref) continue;
+    const refAbs = toAbsoluteDay(calendar, ref); if (refAbs == null) continue;
+    const ageDays = safeMod(abs - refAbs, cycle);
+    const frac = ageDays / cycle;
+    const illumination = Math.round(50 * (1 + Math.cos(2 * Math.PI * (frac - 0.5))));
+    let phaseName = 'Waning Crescent';
+    if (frac < 1/8) phaseName = 'New Moon';
+    else if (frac < 1/4) phaseName = 'Waxing Crescent';
+    else if (frac < 3/8) phaseName = 'First Quarter';
+    else if (frac < 1/2) phaseName = 'Waxing Gibbous';
+    else if (frac < 5/8) phaseName = 'Full Moon';
+    else if (frac < 3/4) phaseName = 'Waning Gibbous';
+    else if (frac < 7/8) phaseName = 'Last Quarter';
+    const daysUntilFull = Math.abs(frac - 0.5) < eps ? 0 : Math.ceil(((frac < 0.5 ? 0.5 - frac : 1.5 - frac) * cycle));
+    const daysUntilNew = (frac < eps || frac > 1 - eps) ? 0 : Math.ceil(((1 - frac) * cycle));
+    out.push({
+      name: m.name,
+      cycleLength: cycle,
+      age: ageDays,
+      phaseName,
+      illumination,
+      daysUntilFull,
+      daysUntilNew
+    });
+  }
+  return out;
+}
+
+/**
+ * Angular distance between two angles in degrees, folded into [0, 180].
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function degDiff(a, b) {
+  let d = Math.abs(safeMod(a, 360) - safeMod(b, 360));
+  if (d > 180) d = 360 - d;
+  return d;
+}
+
+// ===== Weekdays =====
+
+/**
+ * 0-based weekday index of a date, counted like Seasons & Stars: only days that count
+ * for weekdays advance the week, starting from `year.startDay` on the first day of the
+ * epoch year and carrying over from year to year. Festival days with
+ * `countsForWeekdays: false` have no weekday and return null.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {number|null}
+ */
+export function getWeekdayIndex(calendar, date) {
+  const weekdays = Array.isArray(calendar?.weekdays) ? calendar.weekdays : [];
+  const d = toDateModel(date);
+  const seg = d ? findSegment(calendar, d) : null;
+  if (!weekdays.length || !seg || !seg.countsForWeekdays) return null;
+  const meta = buildCalendarMeta(calendar);
+  const epoch = Number(calendar?.year?.epoch) || 0;
+  const startDay = Number(calendar?.year?.startDay) || 0;
+  const counted = (d.year - epoch) * meta.weekdayDaysPerYear + seg.weekdayStart + (d.day - 1);
+  return safeMod(startDay + counted, weekdays.length);
+}
+
+/**
+ * Weekday of a date, or null for festival days outside the week.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {{index:number, name:string, abbreviation:string}|null}
+ */
+export function getWeekday(calendar, date) {
+  const index = getWeekdayIndex(calendar, date);
+  if (index == null) return null;
+  const wd = calendar.weekdays[index] || {};
+  return { index, name: wd.name || `Day ${index + 1}`, abbreviation: String(wd.abbreviation || '').trim() };
+}
+
+/**
+ * Weekday name for a date in the current language, or null for festival days outside
+ * the week.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {string|null}
+ */
+export function getWeekdayName(calendar, date) {
+  try {
+    const name = getWeekday(calendar, date)?.name;
+    return name ? localizeCalendarText('weekdays', name) : null;
+  } catch (_e) {
+    return null;
+  }
+}
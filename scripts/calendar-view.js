@@ -0,0 +1,168 @@
+/**
+ * Seasons & Stars - Athas calendar view
+ *
+ * Month grid behind the calendar window: the month's days laid out in six-day weeks,
+ * followed by a strip for any festival of the sun that comes after it (those days stand
+ * outside the week). Every day carries both moons' phases, any solstice or equinox, the
+ * season that begins on it and its events. Pure; the window only renders and navigates.
+ */
+
+import {
+  buildCalendarMeta, toDateModel, toAbsoluteDay, fromAbsoluteDay, getWeekdayIndex, getMoonPhases, safeMod,
+} from './calendar-math.js';
+import { getYearInfo, KINGS_AGE_LENGTH } from './kings-age.js';
+import { getSeasonName, getSolarEventName } from './time-of-day.js';
+import { getEventsBetween } from './events.js';
+import { getCalendarCity, formatCityYear } from './city-states.js';
+import { moonPhaseImg } from './sky.js';
+import { localizeCalendarText, localizeOr, formatOr } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+/** Navigation steps understood by {@link shiftView}, in toolbar order. */
+export const VIEW_STEPS = ['prevAge', 'prevYear', 'prevMonth', 'nextMonth', 'nextYear', 'nextAge'];
+
+/**
+ * Move the viewed month by a navigation step. King's Age steps keep the year in the age.
+ * @param {any} calendar
+ * @param {{year:number, month:number}} view
+ * @param {string} step - One of {@link VIEW_STEPS}
+ * @returns {{year:number, month:number}}
+ */
+export function shiftView(calendar, { year, month }, step) {
+  const months = buildCalendarMeta(calendar).months.length || 1;
+  const years = { prevAge: -KINGS_AGE_LENGTH, prevYear: -1, nextYear: 1, nextAge: KINGS_AGE_LENGTH }[step];
+  if (years) return { year: year + years, month };
+  const moved = (month - 1) + (step === 'prevMonth' ? -1 : step === 'nextMonth' ? 1 : 0);
+  return { year: year + Math.floor(moved / months), month: safeMod(moved, months) + 1 };
+}
+
+/**
+ * Seasons that begin with a month (1-based).
+ * @param {any} calendar
+ * @param {number} month
+ * @returns {string[]}
+ */
+function seasonsStartingIn(calendar, month) {
+  const seasons = Array.isArray(calendar?.seasons) ? calendar.seasons : [];
+  return seasons.filter(s => Number(s?.startMonth) === month).map(s => localizeCalendarText('seasons', s));
+}
+
+/**
+ * Everything shown for one month.
+ * @param {any} calendar
+ * @param {{year:number, month:number}} view - Month is 1-based
+ * @param {{today?:any}} [options] - Current date, marked in the grid
+ * @returns {{year:number, month:number, name:string, info:object, cityYear:string, season:string|null, weekdays:string[], weeks:(object|null)[][], festivals:{name:string, description:string, days:object[]}[]}|null}
+ */
+export function buildMonthView(calendar, { year, month }, { today } = {}) {
+  const meta = buildCalendarMeta(calendar);
+  const segments = meta.segments.filter(s => s.month === month);
+  const monthSeg = segments.find(s => s.type === 'month');
+  if (!monthSeg || !Number.isInteger(year)) return null;
+  const festivals = segments.filter(s => s.type === 'intercalary');
+
+  const first = toAbsoluteDay(calendar, { year, month, day: 1 });
+  const last = first + segments.reduce((n, s) => n + s.days, 0) - 1;
+  const events = new Map();
+  for (const ev of getEventsBetween(calendar, fromAbsoluteDay(calendar, first), fromAbsoluteDay(calendar, last))) {
+    const abs = toAbsoluteDay(calendar, ev.date);
+    if (!events.has(abs)) events.set(abs, []);
+    events.get(abs).push(ev);
+  }
+  const todayAbs = today ? toAbsoluteDay(calendar, toDateModel(today)) : null;
+  const seasonStarts = seasonsStartingIn(calendar, month);
+
+  const cell = (date) => {
+    const abs = toAbsoluteDay(calendar, date);
+    return {
+      day: date.day,
+      date,
+      abs,
+      isToday: abs === todayAbs,
+      moons: getMoonPhases(calendar, date),
+      solar: getSolarEventName(calendar, date),
+      seasons: !date.intercalary && date.day === 1 ? seasonStarts : [],
+      events: (events.get(abs) || []).map(ev => ({ name: ev.name, category: ev.category, dayOf: ev.dayOf, days: ev.days })),
+    };
+  };
+
+  const weekdays = (Array.isArray(calendar?.weekdays) ? calendar.weekdays : [])
+    .map(w => (w?.abbreviation ? localizeCalendarText('weekdays', w, 'abbreviation') : localizeCalendarText('weekdays', w)).trim());
+  const weekLength = weekdays.length || 6;
+  const weeks = [];
+  let week = Array(getWeekdayIndex(calendar, { year, month, day: 1 }) ?? 0).fill(null);
+  for (let day = 1; day <= monthSeg.days; day++) {
+    week.push(cell({ year, month, day }));
+    if (week.length === weekLength) { weeks.push(week); week = []; }
+  }
+  if (week.length) weeks.push([...week, ...Array(weekLength - week.length).fill(null)]);
+
+  const intercalary = Array.isArray(calendar?.intercalary) ? calendar.intercalary : [];
+  return {
+    year,
+    month,
+    name: localizeCalendarText('months', calendar.months?.[month - 1] || monthSeg.name),
+    info: getYearInfo(year),
+    cityYear: formatCityYear(year, getCalendarCity(calendar)),
+    season: getSeasonName(calendar, month - 1),
+    weekdays,
+    weeks,
+    festivals: festivals.map(seg => ({
+      name: localizeCalendarText('intercalary', seg.name),
+      description: localizeCalendarText('intercalary', intercalary.find(ic => ic?.name === seg.name) || seg.name, 'description'),
+      days: Array.from({ length: seg.days }, (_, i) => cell({ year, month, day: i + 1, intercalary: seg.name })),
+    })),
+  };
+}
+
+/**
+ * One day's square: number, moon glyphs and markers. GM squares can be clicked to set the date.
+ * @param {object|null} cell - From {@link buildMonthView}
+ * @param {boolean} gm
+ * @returns {string}
+ */
+function renderCell(cell, gm) {
+  if (!cell) return '<td style="border:1px solid rgba(0,0,0,0.2);background:rgba(0,0,0,0.05);"></td>';
+  const moons = cell.moons.map(m => `<span title="${escapeHtml(`${m.name}: ${m.phaseName} (${m.illumination}%)`)}">${moonPhaseImg(m, 14)}</span>`).join('');
+  const markers = [
+    ...cell.seasons.map(s => `<div style="color:#b35a1f;">${formatOr('SSATHAS.CalendarView.SeasonBegins', { season: escapeHtml(s) }, '{season} begins')}</div>`),
+    ...(cell.solar ? [`<div style="color:#b35a1f;">${escapeHtml(cell.solar)}</div>`] : []),
+    ...cell.events.map(e => `<div title="${escapeHtml(e.category)}">${escapeHtml(e.name)}${e.days > 1 ? ` (${e.dayOf}/${e.days})` : ''}</div>`),
+  ].join('');
+  const style = `border:1px solid rgba(0,0,0,0.2);vertical-align:top;padding:2px 3px;height:4.5em;font-size:0.8em;${cell.isToday ? 'background:rgba(214,127,58,0.3);' : ''}${gm ? 'cursor:pointer;' : ''}`;
+  const action = gm ? ` data-action="setDate" data-abs="${cell.abs}" title="${escapeHtml(localizeOr('SSATHAS.CalendarView.SetDate', 'Set the date to this day'))}"` : '';
+  return `<td style="${style}"${action}><div style="display:flex;justify-content:space-between;"><strong>${cell.day}</strong><span>${moons}</span></div>${markers}</td>`;
+}
+
+/**
+ * Calendar window body for a month built by {@link buildMonthView}.
+ * @param {object} view
+ * @param {{gm?:boolean}} [options] - GMs get clickable days
+ * @returns {string}
+ */
+export function renderMonthView(view, { gm = false } = {}) {
+  const { info } = view;
+  const labels = {
+    prevAge: localizeOr('SSATHAS.CalendarView.PrevAge', '« KA'),
+    prevYear: localizeOr('SSATHAS.CalendarView.PrevYear', '‹ Year'),
+    prevMonth: '‹',
+    nextMonth: '›',
+    nextYear: localizeOr('SSATHAS.CalendarView.NextYear', 'Year ›'),
+    nextAge: localizeOr('SSATHAS.CalendarView.NextAge', 'KA »'),
+  };
+  const button = (step) => `<button type="button" data-action="navigate" data-step="${step}" style="flex:0 0 auto;width:auto;">${labels[step]}</button>`;
+  const nav = `<nav style="display:flex;gap:4px;justify-content:center;margin-bottom:6px;">${VIEW_STEPS.slice(0, 3).map(button).join('')}`
+    + `<button type="button" data-action="today" style="flex:0 0 auto;width:auto;">${localizeOr('SSATHAS.CalendarView.Today', 'Today')}</button>`
+    + `${VIEW_STEPS.slice(3).map(button).join('')}</nav>`;
+  const header = `<header style="text-align:center;margin-bottom:6px;"><h2 style="margin:0;border:none;">${escapeHtml(view.name)} ${view.year}</h2>`
+    + `<div>${formatOr('SSATHAS.Date.YearOf', { name: escapeHtml(info.yearName) }, 'Year of {name}')} — `
+    + `${formatOr('SSATHAS.CalendarView.AgeYear', { ka: info.kingsAge, year: info.yearInAge }, 'King’s Age {ka}, year {year}')}`
+    + `${view.cityYear ? ` (${escapeHtml(view.cityYear)})` : ''}</div>`
+    + `${view.season ? `<div><em>${escapeHtml(view.season)}</em></div>` : ''}</header>`;
+  const head = `<tr>${view.weekdays.map(w => `<th>${escapeHtml(w)}</th>`).join('')}</tr>`;
+  const rows = view.weeks.map(week => `<tr>${week.map(c => renderCell(c, gm)).join('')}</tr>`).join('');
+  const grid = `<table style="width:100%;table-layout:fixed;border-collapse:collapse;">${head}${rows}</table>`;
+  const strips = view.festivals.map(f => `<h3 style="margin:8px 0 2px;" title="${escapeHtml(f.description)}">${escapeHtml(f.name)} <small>(${localizeOr('SSATHAS.CalendarView.Festival', 'festival of the sun, outside the week')})</small></h3>`
+    + `<table style="width:100%;table-layout:fixed;border-collapse:collapse;background:rgba(231,221,21,0.12);"><tr>${f.days.map(c => renderCell(c, gm)).join('')}</tr></table>`).join('');
+  return `${nav}${header}${grid}${strips}`;
+}
@@ -0,0 +1,113 @@
+/**
+ * Seasons & Stars - Athas calendar window
+ *
+ * Month-by-month view of the Calendar of Tyr (see calendar-view.js), with navigation by
+ * month, year and King's Age. The GM can click a day to move the world there, keeping the
+ * time of day. Open windows follow world-time changes.
+ */
+
+/* global foundry, game, ui */
+
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { toDateModel, toAbsoluteDay, fromAbsoluteDay, getSecondsPerDay } from './calendar-math.js';
+import { buildMonthView, renderMonthView, shiftView } from './calendar-view.js';
+import { formatAthasDateLocal } from './day-card.js';
+import { localizeCalendar } from './i18n.js';
+import { advanceWorldTime } from './advance.js';
+
+const { ApplicationV2, DialogV2 } = foundry.applications.api;
+
+export class AthasCalendarApp extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: 'ss-athas-calendar',
+    window: { icon: 'fas fa-calendar-alt', resizable: true },
+    position: { width: 620, height: 'auto' },
+    actions: {
+      navigate: AthasCalendarApp.#onNavigate,
+      today: AthasCalendarApp.#onToday,
+      setDate: AthasCalendarApp.#onSetDate,
+    },
+  };
+
+  /** Month on show; null follows the current date. */
+  view = null;
+
+  /** @override */
+  get title() {
+    return localizeCalendar(getActiveCalendar())?.label || 'Athas Calendar';
+  }
+
+  /** @override */
+  async _renderHTML(_context, _options) {
+    const cal = getActiveCalendar();
+    const today = toDateModel(getCurrentDate());
+    if (!cal || !today) return '<p>Active calendar/date not available.</p>';
+    const data = buildMonthView(cal, this.view ?? today, { today });
+    return data ? renderMonthView(data, { gm: !!game.user?.isGM }) : '<p>Month not available.</p>';
+  }
+
+  /** @override */
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Step through months, years or King's Ages.
+   * @this {AthasCalendarApp}
+   */
+  static #onNavigate(_event, target) {
+    const cal = getActiveCalendar();
+    const from = this.view ?? toDateModel(getCurrentDate());
+    if (!cal || !from) return;
+    this.view = shiftView(cal, from, target.dataset.step);
+    this.render();
+  }
+
+  /**
+   * Return to the current month.
+   * @this {AthasCalendarApp}
+   */
+  static #onToday() {
+    this.view = null;
+    this.render();
+  }
+
+  /**
+   * GM: move world time to the clicked day, keeping the time of day.
+   * @this {AthasCalendarApp}
+   */
+  static async #onSetDate(_event, target) {
+    if (!game.user?.isGM) return;
+    const cal = getActiveCalendar();
+    const now = toAbsoluteDay(cal, toDateModel(getCurrentDate()));
+    const abs = Number(target.dataset.abs);
+    if (now == null || !Number.isInteger(abs) || abs === now) return;
+    const label = formatAthasDateLocal(cal, fromAbsoluteDay(cal, abs));
+    const ok = await DialogV2.confirm({
+      window: { title: 'Set the date' },
+      content: `<p>Move the world ${Math.abs(abs - now)} day(s) ${abs > now ? 'forward' : 'back'} to ${label}?</p>`,
+    });
+    if (!ok) return;
+    await advanceWorldTime((abs - now) * getSecondsPerDay(cal));
+    ui.notifications.info(`The date is now ${label}.`);
+  }
+}
+
+let app = null;
+
+/**
+ * Open (or bring forward) the calendar window.
+ * @returns {Promise<AthasCalendarApp>}
+ */
+export async function openCalendarWindow() {
+  app ??= new AthasCalendarApp();
+  await app.render({ force: true });
+  return app;
+}
+
+/**
+ * Redraw the calendar window if it is open (after world time changes).
+ */
+export function refreshCalendarWindow() {
+  if (app?.rendered) app.render();
+}
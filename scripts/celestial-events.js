@@ -0,0 +1,284 @@
+/**
+ * Seasons & Stars - Athas celestial events
+ *
+ * Ral/Guthay alignments as events rather than matching day labels. Phase angles advance
+ * linearly, so the moment the moons line up (same phase angle) or oppose (180° apart) is
+ * exact, and the event window is the span around it during which they stay within
+ * tolerance. Each window becomes one event with start, peak and end days, classified at
+ * its peak:
+ *
+ *   Darkest     – aligned, both within tolerance of New
+ *   Brightest   – aligned, both within tolerance of Full
+ *   Conjunction – aligned otherwise (same phase, same place in the sky)
+ *   Opposition  – phase angles 180° apart
+ *
+ * Nothing walks days: conjunctions and oppositions alternate at a fixed step, so every
+ * search indexes straight into that sequence. Scanning a whole King's Age touches about
+ * 1,300 alignments.
+ */
+
+import { safeMod, buildCalendarMeta, toAbsoluteDay, fromAbsoluteDay, formatDate, degDiff } from './calendar-math.js';
+import { getHoursInDay } from './ephemeris.js';
+import { formatHour12 } from './time-of-day.js';
+import { formatOr, localizeOr } from './i18n.js';
+
+export const EVENT_TYPES = ['Darkest', 'Brightest', 'Conjunction', 'Opposition'];
+
+export const EVENT_LABELS = {
+  Darkest: 'Darkest Night (both New)',
+  Brightest: 'Brightest Night (both Full)',
+  Conjunction: 'Conjunction',
+  Opposition: 'Opposition',
+};
+
+export const DEFAULT_TOLERANCE = 5;
+
+/**
+ * Label of an alignment type in the current language (`SSATHAS.Celestial.<type>`).
+ * @param {string} type
+ * @returns {string}
+ */
+export function getEventLabel(type) {
+  return localizeOr(`SSATHAS.Celestial.${type}`, EVENT_LABELS[type] || type);
+}
+
+const pairCache = new WeakMap();
+
+/**
+ * Ral and Guthay (or the first two moons) with their anchors resolved to absolute days.
+ * Cached per calendar object.
+ * @param {any} calendar
+ * @returns {{name:string, cycle:number, refAbs:number}[]|null}
+ */
+export function getMoonPair(calendar) {
+  if (calendar && typeof calendar === 'object' && pairCache.has(calendar)) return pairCache.get(calendar);
+  const pair = resolveMoonPair(calendar);
+  if (calendar && typeof calendar === 'object') pairCache.set(calendar, pair);
+  return pair;
+}
+
+/**
+ * Uncached body of {@link getMoonPair}.
+ * @param {any} calendar
+ * @returns {object[]|null}
+ */
+function resolveMoonPair(calendar) {
+  const moons = (Array.isArray(calendar?.moons) ? calendar.moons : [])
+    .map(m => ({ name: m?.name, cycle: Number(m?.cycleLength) || 0, refAbs: m?.firstNewMoon ? toAbsoluteDay(calendar, m.firstNewMoon) : null }))
+    .filter(m => m.cycle > 0 && m.refAbs != null);
+  if (moons.length < 2) return null;
+  const a = moons.find(m => m.name === 'Ral') || moons[0];
+  const b = moons.find(m => m.name === 'Guthay' && m !== a) || moons.find(m => m !== a);
+  if (a.cycle === b.cycle) return null;
+  const pair = [a, b];
+  const rate = 360 / a.cycle - 360 / b.cycle;
+  // Alignments and oppositions alternate every half synodic period (≈22.4 days for 33/125,
+  // repeating exactly every 4125 days). Anchor the sequence on the conjunction nearest
+  // Ral's first New moon so every event time is `anchor + k * step`.
+  const delta = -phaseAngleAt(b, a.refAbs);
+  const signed = safeMod(delta + 180, 360) - 180;
+  pair.anchor = a.refAbs - signed / rate;
+  pair.step = 180 / Math.abs(rate);
+  pair.halfWidthPerDeg = 1 / Math.abs(rate);
+  return pair;
+}
+
+/**
+ * Phase angle of a moon (0° New, 180° Full) at a fractional absolute day.
+ * @param {{cycle:number, refAbs:number}} moon
+ * @param {number} t
+ * @returns {number}
+ */
+export function phaseAngleAt(moon, t) {
+  return 360 * safeMod(t - moon.refAbs, moon.cycle) / moon.cycle;
+}
+
+/**
+ * Index of the alignment/opposition sequence entry nearest to (floor) or after (ceil) `t`.
+ * Even indices are conjunctions, odd ones oppositions.
+ * @param {object[]} pair
+ * @param {number} t
+ * @param {'floor'|'ceil'} mode
+ * @returns {number}
+ */
+function sequenceIndex(pair, t, mode) {
+  const k = (t - pair.anchor) / pair.step;
+  return mode === 'ceil' ? Math.ceil(k) : Math.floor(k);
+}
+
+/**
+ * Exact moment and target separation of sequence entry `k`.
+ * @param {object[]} pair
+ * @param {number} k
+ * @returns {{t:number, target:number}}
+ */
+function sequenceEntry(pair, k) {
+  return { t: pair.anchor + k * pair.step, target: safeMod(k, 2) === 0 ? 0 : 180 };
+}
+
+/**
+ * Event type at an exact alignment moment.
+ * @param {object[]} pair
+ * @param {number} tPeak
+ * @param {number} target
+ * @param {number} tol
+ * @returns {string}
+ */
+function classifyPeak(pair, tPeak, target, tol) {
+  if (target === 180) return 'Opposition';
+  const angle = phaseAngleAt(pair[0], tPeak);
+  if (degDiff(angle, 0) <= tol) return 'Darkest';
+  if (degDiff(angle, 180) <= tol) return 'Brightest';
+  return 'Conjunction';
+}
+
+/**
+ * Build the event peaking at `tPeak`.
+ * @param {any} calendar
+ * @param {object[]} pair
+ * @param {number} tPeak - Fractional absolute day of exact alignment
+ * @param {number} target - 0 (aligned) or 180 (opposed)
+ * @param {number} tol
+ * @param {string} [type] - Precomputed classification
+ * @returns {object}
+ */
+function buildEvent(calendar, pair, tPeak, target, tol, type = classifyPeak(pair, tPeak, target, tol)) {
+  const halfWidth = tol * pair.halfWidthPerDeg;
+  const start = Math.floor(tPeak - halfWidth);
+  const end = Math.max(start, Math.ceil(tPeak + halfWidth) - 1);
+  const peak = Math.floor(tPeak);
+  const angles = pair.map(m => phaseAngleAt(m, tPeak));
+  const fractions = angles.map(a => a / 360);
+  const peakDate = fromAbsoluteDay(calendar, peak);
+  const peakHours = (tPeak - peak) * getHoursInDay(calendar);
+  return {
+    type,
+    label: getEventLabel(type),
+    date: peakDate,
+    start: fromAbsoluteDay(calendar, start),
+    peak: peakDate,
+    end: fromAbsoluteDay(calendar, end),
+    startAbs: start,
+    peakAbs: peak,
+    endAbs: end,
+    peakTime: { hour: Math.floor(peakHours), minute: Math.floor((peakHours % 1) * 60), hours: peakHours },
+    exactAbs: tPeak,
+    durationDays: end - start + 1,
+    sepDeg: target,
+    visible: fractions.some(f => f > 0.25 && f < 0.75),
+    moons: pair.map((m, i) => ({
+      name: m.name,
+      phaseAngle: angles[i],
+      illumination: Math.round(1000 * (1 - Math.cos(2 * Math.PI * fractions[i])) / 2) / 10,
+    })),
+  };
+}
+
+/**
+ * Events whose window overlaps the absolute-day range [a, b], computed directly from the
+ * alignment sequence rather than by walking days.
+ * @param {any} calendar
+ * @param {object[]} pair
+ * @param {number} a
+ * @param {number} b
+ * @param {number} tol
+ * @param {Set<string>} [wanted]
+ * @returns {object[]}
+ */
+function eventsOverlapping(calendar, pair, a, b, tol, wanted) {
+  const halfWidth = tol * pair.halfWidthPerDeg;
+  const out = [];
+  const last = sequenceIndex(pair, b + 1 + halfWidth, 'floor');
+  for (let k = sequenceIndex(pair, a - halfWidth, 'ceil'); k <= last; k++) {
+    const { t, target } = sequenceEntry(pair, k);
+    if (t + halfWidth < a || t - halfWidth >= b + 1) continue;
+    const type = classifyPeak(pair, t, target, tol);
+    if (!wanted || wanted.has(type)) out.push(buildEvent(calendar, pair, t, target, tol, type));
+  }
+  return out;
+}
+
+/**
+ * Normalize a `types` option into a Set (all types when omitted).
+ * @param {string|string[]} [types]
+ * @returns {Set<string>}
+ */
+function typeSet(types) {
+  const list = types == null ? EVENT_TYPES : (Array.isArray(types) ? types : [types]);
+  return new Set(list.map(t => EVENT_TYPES.find(e => e.toLowerCase() === String(t).toLowerCase())).filter(Boolean));
+}
+
+/**
+ * Every event whose window overlaps an inclusive date range. Windows that straddle the
+ * range edges are reported whole.
+ * @param {any} calendar
+ * @param {any} fromDate
+ * @param {any} toDate
+ * @param {{tolerance?:number, types?:string|string[]}} [options]
+ * @returns {object[]}
+ */
+export function scanCelestialEvents(calendar, fromDate, toDate, { tolerance = DEFAULT_TOLERANCE, types } = {}) {
+  const pair = getMoonPair(calendar);
+  const a = toAbsoluteDay(calendar, fromDate);
+  const b = toAbsoluteDay(calendar, toDate);
+  if (!pair || a == null || b == null) return [];
+  return eventsOverlapping(calendar, pair, Math.min(a, b), Math.max(a, b), tolerance, typeSet(types));
+}
+
+/**
+ * Events whose window covers a date.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {{tolerance?:number}} [options]
+ * @returns {object[]}
+ */
+export function getCelestialEventsOn(calendar, date, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const pair = getMoonPair(calendar);
+  const abs = toAbsoluteDay(calendar, date);
+  if (!pair || abs == null) return [];
+  return eventsOverlapping(calendar, pair, abs, abs, tolerance);
+}
+
+/**
+ * Nearest event of the given type(s) whose peak day is on or after (or on/before) a date.
+ * @param {any} calendar
+ * @param {any} fromDate
+ * @param {string|string[]} [types] - Defaults to every type
+ * @param {'next'|'prev'} [direction='next']
+ * @param {{tolerance?:number, maxYears?:number}} [options]
+ * @returns {object|null}
+ */
+export function findCelestialEvent(calendar, fromDate, types, direction = 'next', { tolerance = DEFAULT_TOLERANCE, maxYears = 12 } = {}) {
+  const pair = getMoonPair(calendar);
+  const startAbs = toAbsoluteDay(calendar, fromDate);
+  if (!pair || startAbs == null) return null;
+  const { daysPerYear } = buildCalendarMeta(calendar);
+  const wanted = typeSet(types);
+  const step = direction === 'prev' ? -1 : 1;
+  const limit = startAbs + step * Math.max(1, Math.floor(daysPerYear * maxYears));
+  // First sequence entry whose peak day is on/after (or on/before) the start day
+  let k = step > 0 ? sequenceIndex(pair, startAbs, 'ceil') : sequenceIndex(pair, startAbs + 1, 'floor');
+  if (step < 0 && sequenceEntry(pair, k).t >= startAbs + 1) k -= 1;
+  for (;; k += step) {
+    const { t, target } = sequenceEntry(pair, k);
+    if (step > 0 ? Math.floor(t) > limit : Math.floor(t) < limit) return null;
+    const type = classifyPeak(pair, t, target, tolerance);
+    if (wanted.has(type)) return buildEvent(calendar, pair, t, target, tolerance, type);
+  }
+}
+
+/**
+ * One-line description shared by the API consumers and chat output.
+ * @param {any} calendar
+ * @param {object} event
+ * @returns {string}
+ */
+export function describeCelestialEvent(calendar, event) {
+  if (!event) return '';
+  const peak = formatOr('SSATHAS.Celestial.Peak', { date: formatDate(calendar, event.peak), time: formatHour12(event.peakTime.hours) }, '{date} at {time}');
+  const window = event.durationDays > 1
+    ? ` (${formatOr('SSATHAS.Celestial.Window', { start: formatDate(calendar, event.start), end: formatDate(calendar, event.end) }, '{start} – {end}')})`
+    : '';
+  const visible = event.type === 'Conjunction' && event.visible ? `, ${localizeOr('SSATHAS.Celestial.Visible', 'visible')}` : '';
+  return `${event.label}: ${peak}${window}${visible}`;
+}
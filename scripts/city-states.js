@@ -0,0 +1,229 @@
+/**
+ * Seasons & Stars - Athas city-state reckonings
+ *
+ * Every city-state keeps the Calendar of Tyr's months, festivals-of-the-sun and King's
+ * Ages, but counts its own years from a local epoch (Tyr's Free Years run from Kalak's
+ * fall; the other cities count the reign of their sorcerer-king) and keeps its own
+ * festivals and royal decrees. The city calendars in `calendars/` name their city in a
+ * `cityState` field; any other calendar is read as Tyr's.
+ *
+ * Because only the year count differs, converting a date between reckonings keeps the
+ * day and changes the year label.
+ */
+
+import { formatDate } from './calendar-math.js';
+import { FREE_YEAR_OFFSET } from './kings-age.js';
+import { localizeOr } from './i18n.js';
+
+/** City used when the active calendar names none. */
+export const DEFAULT_CITY = 'tyr';
+
+/**
+ * Reckonings and holidays by city id. `epoch` is the absolute year before local year 1.
+ * A holiday falls on `month` + `day` or, on the festivals of the sun, `intercalary` +
+ * `day`, for `days` days (default 1).
+ */
+export const CITY_STATES = {
+  tyr: {
+    label: 'Tyr',
+    ruler: 'Free city (Kalak slain)',
+    reckoning: { abbr: 'FY', label: 'Free Year', epoch: FREE_YEAR_OFFSET },
+    holidays: [
+      { kind: 'festival', name: 'Liberation Day', month: 'Scorch', day: 1, description: 'The anniversary of Kalak’s fall opens the Free Year with games in the stadium.' },
+      { kind: 'festival', name: 'Water Blessing', intercalary: 'Cooling Sun', day: 3, description: 'The city wells are opened to all for a day.' },
+      { kind: 'decree', name: 'Emancipation Reading', month: 'Morrow', day: 10, description: 'The decree freeing Tyr’s slaves is read aloud before the Golden Tower.' },
+    ],
+  },
+  urik: {
+    label: 'Urik',
+    ruler: 'Hamanu, the Lion-King',
+    reckoning: { abbr: 'HR', label: 'Hamanu’s Reign', epoch: 12873 },
+    holidays: [
+      { kind: 'festival', name: 'Lion’s Feast', month: 'Breeze', day: 1, description: 'Hamanu’s victories are re-enacted in the streets; meat is given to the free citizens.' },
+      { kind: 'festival', name: 'Kiln Festival', intercalary: 'Soaring Sun', day: 1, days: 2, description: 'The potters’ guilds fire the great kilns and trade their year’s wares.' },
+      { kind: 'decree', name: 'Obsidian Levy', month: 'Hoard', day: 1, description: 'Every household owes a day’s labour at the obsidian pits.' },
+      { kind: 'decree', name: 'Templar Census', month: 'Rest', day: 15, description: 'All residents must present themselves to the templars to be counted.' },
+    ],
+  },
+  balic: {
+    label: 'Balic',
+    ruler: 'Andropinis, the Dictator',
+    reckoning: { abbr: 'YD', label: 'Year of the Dictator', epoch: 13105 },
+    holidays: [
+      { kind: 'festival', name: 'Assembly Day', month: 'Mist', day: 1, description: 'Citizens vote for the templars who will serve in the Assembly.' },
+      { kind: 'festival', name: 'Olive Pressing', month: 'Bloom', day: 20, days: 3, description: 'The first oil of the year is pressed and blessed.' },
+      { kind: 'decree', name: 'Dictator’s Proclamation', intercalary: 'Soaring Sun', day: 1, description: 'Andropinis’s edicts for the coming year are posted in the agora.' },
+    ],
+  },
+  draj: {
+    label: 'Draj',
+    ruler: 'Tectuktitlay, the Mighty One',
+    reckoning: { abbr: 'MO', label: 'Year of the Mighty One', epoch: 13404 },
+    holidays: [
+      { kind: 'festival', name: 'Festival of the Moons', month: 'Haze', day: 15, description: 'The moon-priests of Tectuktitlay climb the great ziggurat at dusk.' },
+      { kind: 'festival', name: 'Heart-Taking', intercalary: 'Highest Sun', day: 5, description: 'Captives of the year’s raids are sacrificed atop the ziggurat.' },
+      { kind: 'decree', name: 'Flower War', month: 'Gather', day: 1, days: 5, description: 'The warrior-templars ride out to take captives from the surrounding villages.' },
+    ],
+  },
+  nibenay: {
+    label: 'Nibenay',
+    ruler: 'The Shadow King',
+    reckoning: { abbr: 'SK', label: 'Year of the Shadow King', epoch: 12711 },
+    holidays: [
+      { kind: 'festival', name: 'Feast of the Wives', month: 'Wind', day: 12, description: 'The templar-wives of the Shadow King hold court in the Naggaramakam.' },
+      { kind: 'festival', name: 'Agafari Harvest', month: 'Sorrow', day: 5, days: 2, description: 'The first agafari wood of the year is cut and carved.' },
+      { kind: 'decree', name: 'Day of Silence', month: 'Haze', day: 1, description: 'No voice may be raised in the city while the Shadow King meditates.' },
+    ],
+  },
+  gulg: {
+    label: 'Gulg',
+    ruler: 'Lalali-Puy, the Oba',
+    reckoning: { abbr: 'OB', label: 'Year of the Oba', epoch: 13290 },
+    holidays: [
+      { kind: 'festival', name: 'Forest Blessing', month: 'Bloom', day: 1, description: 'The Oba walks the Crescent Forest and names its guardians for the year.' },
+      { kind: 'festival', name: 'Judaga’s Hunt', month: 'Hoard', day: 10, description: 'Young hunters bring their first kill to the dagadas.' },
+      { kind: 'decree', name: 'Oba’s Tribute', intercalary: 'Highest Sun', day: 3, description: 'Every clan lays a share of its hunt before the Oba’s hut.' },
+    ],
+  },
+  raam: {
+    label: 'Raam',
+    ruler: 'Abalach-Re, the Great Vizier',
+    reckoning: { abbr: 'GV', label: 'Year of the Great Vizier', epoch: 13651 },
+    holidays: [
+      { kind: 'festival', name: 'Caste Games', month: 'Morrow', day: 20, days: 2, description: 'Noble houses sponsor games in the Grand Plaza to buy the mob’s favour.' },
+      { kind: 'festival', name: 'Rite of Badna', intercalary: 'Cooling Sun', day: 1, description: 'Abalach-Re’s priests proclaim her the servant of the unseen god Badna.' },
+      { kind: 'decree', name: 'Grain Dole', month: 'Rest', day: 1, description: 'The Vizier’s granaries open to the lower castes for one day.' },
+    ],
+  },
+};
+
+/**
+ * Look up a city by id or name ("urik", "Urik").
+ * @param {string} city
+ * @returns {string|null} City id
+ */
+export function findCity(city) {
+  const key = String(city ?? '').trim().toLowerCase();
+  if (!key) return null;
+  if (CITY_STATES[key]) return key;
+  return Object.keys(CITY_STATES).find(id => CITY_STATES[id].label.toLowerCase() === key) || null;
+}
+
+/**
+ * The city whose reckoning a calendar follows.
+ * @param {any} calendar
+ * @returns {string}
+ */
+export function getCalendarCity(calendar) {
+  return findCity(calendar?.cityState) || DEFAULT_CITY;
+}
+
+/**
+ * A city's local year for an absolute year.
+ * @param {number} year
+ * @param {string} city
+ * @returns {number|null}
+ */
+export function toLocalYear(year, city) {
+  const c = CITY_STATES[findCity(city)];
+  return c && Number.isFinite(year) ? year - c.reckoning.epoch : null;
+}
+
+/**
+ * The absolute year of a city's local year.
+ * @param {number} localYear
+ * @param {string} city
+ * @returns {number|null}
+ */
+export function fromLocalYear(localYear, city) {
+  const c = CITY_STATES[findCity(city)];
+  return c && Number.isFinite(localYear) ? c.reckoning.epoch + localYear : null;
+}
+
+/**
+ * Convert a year count from one city's reckoning to another's.
+ * @param {number} localYear
+ * @param {string} fromCity
+ * @param {string} toCity
+ * @returns {number|null}
+ */
+export function convertLocalYear(localYear, fromCity, toCity) {
+  const year = fromLocalYear(localYear, fromCity);
+  return year == null ? null : toLocalYear(year, toCity);
+}
+
+/**
+ * A year in a city's notation: "HR1783", or "12 before HR1" ahead of the epoch.
+ * @param {number} year - Absolute year
+ * @param {string} city
+ * @returns {string}
+ */
+export function formatCityYear(year, city) {
+  const local = toLocalYear(year, city);
+  if (local == null) return '';
+  const { abbr } = CITY_STATES[findCity(city)].reckoning;
+  return local >= 1 ? `${abbr}${local}` : `${1 - local} before ${abbr}1`;
+}
+
+/**
+ * Read a local year written with a city's abbreviation ("HR1783", "SK 1945").
+ * @param {string} text
+ * @returns {{year:number, city:string, localYear:number}|null}
+ */
+export function parseCityYear(text) {
+  const m = String(text ?? '').trim().match(/^([a-z]{2})\s*(-?\d+)$/i);
+  if (!m) return null;
+  const city = Object.keys(CITY_STATES).find(id => CITY_STATES[id].reckoning.abbr.toLowerCase() === m[1].toLowerCase());
+  if (!city) return null;
+  const localYear = Number(m[2]);
+  return { year: fromLocalYear(localYear, city), city, localYear };
+}
+
+/**
+ * A city's holidays (festivals and decrees) falling on a date.
+ * @param {any} calendar
+ * @param {{month:number, day:number, intercalary?:string}} date
+ * @param {string} city
+ * @returns {{kind:string, name:string, description:string, city:string, dayOf:number, days:number}[]}
+ */
+export function getCityHolidaysOn(calendar, date, city) {
+  const id = findCity(city);
+  if (!id || !date) return [];
+  const monthName = String(calendar?.months?.[date.month - 1]?.name || '').toLowerCase();
+  const out = [];
+  for (const h of CITY_STATES[id].holidays) {
+    const days = h.days || 1;
+    const inPlace = h.intercalary
+      ? String(date.intercalary || '').toLowerCase() === h.intercalary.toLowerCase()
+      : !date.intercalary && monthName === h.month.toLowerCase();
+    if (!inPlace || date.day < h.day || date.day >= h.day + days) continue;
+    out.push({ kind: h.kind, name: h.name, description: h.description, city: id, dayOf: date.day - h.day + 1, days });
+  }
+  return out;
+}
+
+/**
+ * A date as one city reckons it, with the reckoning named in the current language.
+ * @param {any} calendar
+ * @param {{year:number, month:number, day:number, intercalary?:string}} date
+ * @param {string} city
+ * @returns {{city:string, label:string, ruler:string, reckoning:string, year:number, localYear:number, yearText:string, text:string, holidays:object[]}|null}
+ */
+export function getCityReckoning(calendar, date, city) {
+  const id = findCity(city);
+  if (!id || !date) return null;
+  const c = CITY_STATES[id];
+  const yearText = formatCityYear(date.year, id);
+  const day = formatDate(calendar, date).replace(/,\s*-?\d+$/, '');
+  return {
+    city: id,
+    label: c.label,
+    ruler: c.ruler,
+    reckoning: localizeOr(`SSATHAS.Cities.${id}.Reckoning`, c.reckoning.label),
+    year: date.year,
+    localYear: toLocalYear(date.year, id),
+    yearText,
+    text: `${day}, ${yearText}`,
+    holidays: getCityHolidaysOn(calendar, date, id),
+  };
+}
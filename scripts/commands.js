@@ -0,0 +1,425 @@
+/**
+ * Seasons & Stars - Athas chat command handlers
+ *
+ * Each handler takes the raw parameter string and returns `{ content }`. The same
+ * handlers back both the Chat Commander registrations and the plain `chatMessage`
+ * fallback, so every command path produces identical output.
+ */
+
+/* global game, ChatMessage */
+
+import { toDateModel, getDayOfYear, toAbsoluteDay, formatDate, getMoonPhases } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { dayCommand, formatAthasDateLocal } from './day-card.js';
+import { parseAthasDate } from './date-parser.js';
+import { TERRAINS, findTerrain, getWeather, rerollWeather, recordWeather, getConditionsAt } from './weather.js';
+import { toHourOfDay } from './ephemeris.js';
+import { getTrackedActors, getActorWater, setActorWater, addWater, getDehydrationStage } from './water.js';
+import { EVENT_TYPES, findCelestialEvent, describeCelestialEvent } from './celestial-events.js';
+import { PACES, planTravel, renderTravelCard } from './travel.js';
+import { openTravelDialog } from './travel-dialog.js';
+import { writeAlmanac, describeAlmanacResult } from './almanac.js';
+import { parseYear } from './kings-age.js';
+import { getSetting } from './settings.js';
+import { getSkyState, renderSkyImg, describeSky } from './sky.js';
+import { parseReminder, addReminder, describeTimestamp, describeRecurrence } from './reminders.js';
+import { formatHour12 } from './time-of-day.js';
+import { REST_HOURS, planAdvance, summarizeAdvance, renderAdvanceCard, advanceWorldTime } from './advance.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Resolve the calendar and the date a command operates on. The optional argument is
+ * anything {@link parseAthasDate} reads ("Scorch 1, KA 190.27", "tomorrow", "+5d", …).
+ * @param {string} parameters
+ * @returns {{cal:any, date:object}|{error:string}}
+ */
+function resolveCommandDate(parameters) {
+  const cal = getActiveCalendar();
+  if (!cal) return { error: '<p>Active calendar not available.</p>' };
+  const arg = String(parameters || '').trim();
+  const today = toDateModel(getCurrentDate());
+  if (!arg && !today) return { error: '<p>No current date available.</p>' };
+  const parsed = parseAthasDate(cal, arg, { today });
+  if (parsed.error) return { error: `<p><strong>Date not understood:</strong> ${escapeHtml(parsed.error)}</p>` };
+  return { cal, date: parsed.date };
+}
+
+/**
+ * /moons [date]
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function moonsCommand(parameters) {
+  const r = resolveCommandDate(parameters);
+  if (r.error) return { content: r.error };
+  const phases = getMoonPhases(r.cal, r.date);
+  if (!phases.length) return { content: '<p>No moon data available.</p>' };
+  let html = `<p><strong>Moons — ${formatDate(r.cal, r.date)}</strong></p>`;
+  for (const p of phases) {
+    const fullStr = p.daysUntilFull===0 ? ', next Full today' : (p.daysUntilFull!=null?`, next Full in ${p.daysUntilFull}d`:'');
+    const newStr = p.daysUntilNew===0 ? ', next New today' : (p.daysUntilNew!=null?`, next New in ${p.daysUntilNew}d`:'');
+    html += `<p><strong>${p.name}:</strong> ${p.phaseName || '—'} (age ${p.age}/${p.cycleLength})${fullStr}${newStr}</p>`;
+  }
+  return { content: html };
+}
+
+/**
+ * /doy [date]
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function doyCommand(parameters) {
+  const r = resolveCommandDate(parameters);
+  if (r.error) return { content: r.error };
+  return { content: `<p><strong>Day of Year:</strong> ${getDayOfYear(r.cal, r.date)}</p>` };
+}
+
+/**
+ * /abs [date]
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function absCommand(parameters) {
+  const r = resolveCommandDate(parameters);
+  if (r.error) return { content: r.error };
+  return { content: `<p><strong>Absolute Day:</strong> ${toAbsoluteDay(r.cal, r.date)}</p>` };
+}
+
+/**
+ * /eclipse [next|prev] [darkest|brightest|conjunction|opposition|any]
+ * Defaults to the next Darkest night.
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function eclipseCommand(parameters) {
+  const r = resolveCommandDate('');
+  if (r.error) return { content: r.error };
+  let direction = 'next';
+  let types = ['Darkest'];
+  for (const word of String(parameters || '').trim().toLowerCase().split(/\s+/).filter(Boolean)) {
+    if (word.startsWith('prev')) direction = 'prev';
+    else if (word === 'next') direction = 'next';
+    else if (word === 'any' || word === 'all') types = EVENT_TYPES;
+    else {
+      const type = EVENT_TYPES.find(t => t.toLowerCase() === word);
+      if (!type) return { content: `<p>Unknown event type: ${word}. Use darkest, brightest, conjunction, opposition or any.</p>` };
+      types = [type];
+    }
+  }
+  const found = findCelestialEvent(r.cal, r.date, types, direction, { tolerance: getSetting('eventTolerance') });
+  if (!found) return { content: '<p>No matching moon alignment found in scan range.</p>' };
+  return { content: `<p><strong>${direction === 'prev' ? 'Previous' : 'Next'}</strong> ${describeCelestialEvent(r.cal, found)}</p>` };
+}
+
+/**
+ * /weather [reroll] [terrain] [date]
+ * Shows (or, for the GM, re-rolls) the day's weather. Terrain is the world default unless
+ * named ("silt", "stony barrens").
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function weatherCommand(parameters) {
+  const words = String(parameters || '').trim().split(/\s+/).filter(Boolean);
+  const reroll = words[0]?.toLowerCase() === 'reroll';
+  if (reroll) words.shift();
+  let terrain;
+  const first = words[0] ? findTerrain(words[0]) : null;
+  if (first) {
+    terrain = first;
+    words.shift();
+    const parts = first.split('-');
+    while (words.length && parts.includes(words[0].toLowerCase())) words.shift();
+  }
+  const r = resolveCommandDate(words.join(' '));
+  if (r.error) return { content: r.error };
+  if (reroll && !game.user?.isGM) return { content: '<p>Only the GM can re-roll the weather.</p>' };
+  const weather = reroll ? rerollWeather(r.cal, r.date, terrain) : getWeather(r.cal, r.date, terrain);
+  if (!weather) return { content: `<p>Unknown terrain. Use one of: ${Object.values(TERRAINS).map(t => t.label).join(', ')}.</p>` };
+  if (!reroll) recordWeather(r.cal, weather).catch(e => console.warn('SS-Athas weather log:', e));
+
+  let html = `<p><strong>Weather — ${formatDate(r.cal, r.date)}, ${weather.terrainLabel}</strong>${reroll ? ' (re-rolled)' : ''}</p>`;
+  html += `<p><strong>Season:</strong> ${weather.season || '—'}${weather.highestSun ? ' — Highest Sun, harsher than usual' : ''}</p>`;
+  html += `<p><strong>High:</strong> ${weather.high.label} (${weather.high.tempF}°F) <strong>Low:</strong> ${weather.low.label} (${weather.low.tempF}°F)</p>`;
+  html += `<p><strong>Wind:</strong> ${weather.wind.label} (${weather.wind.mph} mph)</p>`;
+  if (weather.storm) {
+    const s = weather.storm;
+    html += `<p><strong>${s.label}:</strong> ${s.severity}, from ${s.period} for ${s.durationHours}h</p>`;
+  }
+  const now = getCurrentDate();
+  const today = toDateModel(now);
+  if (today && toAbsoluteDay(r.cal, today) === toAbsoluteDay(r.cal, r.date)) {
+    const c = getConditionsAt(r.cal, weather, toHourOfDay(r.cal, now) ?? 12);
+    html += `<p><strong>Now (${c.period}):</strong> ${c.band}, ${c.tempF}°F${c.stormActive ? `, ${weather.storm.label.toLowerCase()} raging` : ''}${c.moonlight ? `, ${c.moonlight.toLowerCase()}` : ''}</p>`;
+  }
+  return { content: html };
+}
+
+/**
+ * /water [add <gallons> [actor]]
+ * Without arguments, lists every tracked character's water. The GM can add water to one
+ * character by name, or to everyone tracked.
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function waterCommand(parameters) {
+  const arg = String(parameters || '').trim();
+  const actors = getTrackedActors();
+  const m = arg.match(/^add\s+(\d+(?:\.\d+)?)\s*(?:gal(?:lons?)?)?\s*(.*)$/i);
+  if (arg && !m) return { content: '<p>Usage: /water, or /water add &lt;gallons&gt; [character]</p>' };
+  if (m) {
+    if (!game.user?.isGM) return { content: '<p>Only the GM can hand out water.</p>' };
+    const name = m[2].trim().toLowerCase();
+    const targets = name ? actors.filter(a => String(a.name).toLowerCase() === name) : actors;
+    if (!targets.length) return { content: `<p>No tracked character named ${escapeHtml(m[2].trim())}.</p>` };
+    let html = '<p><strong>Water added</strong></p>';
+    for (const actor of targets) {
+      const next = addWater(getActorWater(actor), Number(m[1]));
+      setActorWater(actor, next).catch(e => console.warn('SS-Athas water:', e));
+      html += `<p>${escapeHtml(actor.name)}: carrying ${next.carried} gal${next.deficit ? `, still owes ${next.deficit} gal` : ''}</p>`;
+    }
+    return { content: html };
+  }
+  if (!actors.length) return { content: '<p>No characters are having their water tracked.</p>' };
+  let html = `<p><strong>Water</strong>${getSetting('waterTracking') ? '' : ' (tracking is off)'}</p>`;
+  for (const actor of actors) {
+    const w = getActorWater(actor);
+    const stage = getDehydrationStage(w);
+    html += `<p><strong>${escapeHtml(actor.name)}:</strong> ${w.carried} gal carried, ${stage.label}${w.deficit ? ` (owes ${w.deficit} gal)` : ''}${w.rate !== 1 ? `, needs ×${w.rate}` : ''}</p>`;
+  }
+  return { content: html };
+}
+
+/**
+ * /travel <miles> [slow|normal|fast] [terrain] [night] [midday] [go]
+ * Previews a trip from now: legs by canonical hour, the arrival and each night's moons.
+ * Day travel rests through Midday unless `midday` is given. With `go` the GM also
+ * advances time to the arrival. Without arguments, opens the travel dialog.
+ * @param {string} parameters
+ * @returns {{content?:string}}
+ */
+export function travelCommand(parameters) {
+  const words = String(parameters || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    openTravelDialog().catch(e => console.warn('SS-Athas travel:', e));
+    return {};
+  }
+  const usage = '<p>Usage: /travel &lt;miles&gt; [slow|normal|fast] [terrain] [night] [midday] [go]</p>';
+  const distance = Number(String(words.shift()).replace(/(mi|miles?)$/, ''));
+  if (!(distance > 0)) return { content: usage };
+  const request = { distance, pace: 'normal', terrain: getSetting('weatherTerrain'), night: false, avoidMidday: true };
+  let go = false;
+  while (words.length) {
+    const w = words.shift();
+    if (w === 'mi' || w === 'miles') continue;
+    if (PACES[w]) request.pace = w;
+    else if (w === 'night') request.night = true;
+    else if (w === 'day') request.night = false;
+    else if (w === 'midday') request.avoidMidday = false;
+    else if (w === 'go') go = true;
+    else {
+      const terrain = findTerrain(w);
+      if (!terrain) return { content: `<p>Unknown travel option “${escapeHtml(w)}”.</p>${usage}` };
+      request.terrain = terrain;
+      const parts = terrain.split('-');
+      while (words.length && parts.includes(words[0])) words.shift();
+    }
+  }
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return { content: '<p>Active calendar/date not available.</p>' };
+  const plan = planTravel(cal, now, request);
+  if (plan.error) return { content: `<p>${plan.error}</p>` };
+  if (go && !game.user?.isGM) return { content: '<p>Only the GM can advance time.</p>' };
+  if (go) advanceWorldTime(plan.elapsedSeconds).catch(e => console.warn('SS-Athas travel:', e));
+  return { content: renderTravelCard(cal, plan, { ...request, advanced: go }) };
+}
+
+/**
+ * /almanac [year | KA <n>] [regenerate]
+ * GM: writes a player almanac journal for a year (the current one by default) or a whole
+ * King's Age. An existing almanac is linked, or rebuilt in place with `regenerate`.
+ * @param {string} parameters
+ * @returns {{content?:string}}
+ */
+export function almanacCommand(parameters) {
+  if (!game.user?.isGM) return { content: '<p>Only the GM can write an almanac.</p>' };
+  const cal = getActiveCalendar();
+  if (!cal) return { content: '<p>Active calendar/date not available.</p>' };
+  let text = String(parameters || '').trim();
+  const regenerate = /\bregenerate\b/i.test(text);
+  text = text.replace(/\bregenerate\b/i, '').trim();
+  let scope;
+  const ka = text.match(/^(?:ka|king['’]?s\s+age)\s*(\d+)$/i);
+  if (ka) scope = { kingsAge: Number(ka[1]) };
+  else if (!text) {
+    const year = getCurrentDate()?.year;
+    if (!Number.isFinite(year)) return { content: '<p>Active calendar/date not available.</p>' };
+    scope = { year };
+  } else {
+    const parsed = parseYear(text);
+    if (parsed?.year == null) {
+      const why = parsed ? 'names several years; add a King\'s Age' : 'is not a year';
+      return { content: `<p><strong>Year not understood:</strong> ${escapeHtml(text)} ${why}.</p>` };
+    }
+    scope = { year: parsed.year };
+  }
+  writeAlmanac(cal, scope, { regenerate })
+    .then(result => ChatMessage.create({ content: describeAlmanacResult(result), whisper: [game.user.id] }))
+    .catch(e => console.warn('SS-Athas almanac:', e));
+  return {};
+}
+
+/**
+ * /sky [hud] [time]
+ * Posts the sky now (or at a time of today: "2nd Watch", "21:30"). `hud` toggles the
+ * floating sky HUD instead.
+ * @param {string} parameters
+ * @returns {{content?:string}}
+ */
+export function skyCommand(parameters) {
+  const text = String(parameters || '').trim();
+  if (/^hud$/i.test(text)) {
+    import('./sky-hud.js')
+      .then(m => m.toggleSkyHud())
+      .catch(e => console.warn('SS-Athas sky:', e));
+    return {};
+  }
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  const date = toDateModel(now);
+  if (!cal || !date) return { content: '<p>Active calendar/date not available.</p>' };
+  const hour = text ? toHourOfDay(cal, text) : toHourOfDay(cal, now.time) ?? 0;
+  if (hour == null) return { content: `<p><strong>Time not understood:</strong> ${escapeHtml(text)}. Use a canonical hour (“2nd Watch”) or HH:MM.</p>` };
+  const sky = getSkyState(cal, date, hour);
+  return {
+    content: `<p><strong>Sky — ${formatAthasDateLocal(cal, date)}, ${formatHour12(hour)}</strong></p>`
+      + renderSkyImg(cal, date, hour)
+      + describeSky(sky).map(line => `<div>${line}</div>`).join(''),
+  };
+}
+
+/**
+ * /remind <when> [every [n] day|week|month|festival|year] [public] [macro <name>]: <text>
+ * GM: schedules a reminder in Athasian time ("in 3 days", "Rest 12 at Morning",
+ * "at 2nd Watch"). Without arguments, or with `list`, opens the reminders list.
+ * @param {string} parameters
+ * @returns {{content?:string}}
+ */
+export function remindCommand(parameters) {
+  if (!game.user?.isGM) return { content: '<p>Only the GM can schedule reminders.</p>' };
+  const text = String(parameters || '').trim();
+  if (!text || /^list$/i.test(text)) {
+    import('./reminders-window.js')
+      .then(m => m.openRemindersWindow())
+      .catch(e => console.warn('SS-Athas reminders:', e));
+    return {};
+  }
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return { content: '<p>Active calendar/date not available.</p>' };
+  const parsed = parseReminder(cal, text, { now });
+  if (parsed.error) {
+    return { content: `<p><strong>Reminder not understood:</strong> ${escapeHtml(parsed.error)}</p><p>Usage: /remind in 3 days: Caravan arrives · /remind Rest 12 at Morning every year: Templar audit · /remind at 2nd Watch public: The enchantment fades</p>` };
+  }
+  addReminder(parsed.reminder)
+    .then(r => {
+      const repeat = r.recur ? `, ${describeRecurrence(r.recur)}` : '';
+      return ChatMessage.create({ content: `<p>Reminder set for ${describeTimestamp(cal, r.at)}${repeat}: ${escapeHtml(r.text)}</p>`, whisper: [game.user.id] });
+    })
+    .catch(e => console.warn('SS-Athas reminders:', e));
+  return {};
+}
+
+/**
+ * Advance world time by a plan from {@link planAdvance} and describe what passed.
+ * @param {any} cal
+ * @param {{seconds:number, from:number, to:number}} plan
+ * @param {string} title
+ * @returns {{content:string}}
+ */
+function runAdvance(cal, plan, title) {
+  const summary = summarizeAdvance(cal, plan.from, plan.to);
+  advanceWorldTime(plan.seconds).catch(e => console.warn('SS-Athas advance:', e));
+  return { content: renderAdvanceCard(summary, title) };
+}
+
+/**
+ * /advance <n> minutes|hours|watches|days|weeks|months|festivals|years
+ * /advance to <canonical hour | [next] Darkest|Brightest|Conjunction|Opposition | date [at time]>
+ * GM: moves time forward and posts what passed: moon phases, alignments and events.
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function advanceCommand(parameters) {
+  if (!game.user?.isGM) return { content: '<p>Only the GM can advance time.</p>' };
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return { content: '<p>Active calendar/date not available.</p>' };
+  const plan = planAdvance(cal, now, parameters);
+  if (plan.error) {
+    return { content: `<p><strong>Advance not understood:</strong> ${escapeHtml(plan.error)}</p><p>Usage: /advance 2 watches · /advance to Evening · /advance to next Darkest · /advance to Scorch 1</p>` };
+  }
+  return runAdvance(cal, plan, `Advance ${plan.label}`);
+}
+
+/**
+ * /rest [long|short]
+ * GM: the party rests (8 hours long, 1 hour short; long by default).
+ * @param {string} parameters
+ * @returns {{content:string}}
+ */
+export function restCommand(parameters) {
+  if (!game.user?.isGM) return { content: '<p>Only the GM can advance time.</p>' };
+  const kind = String(parameters || '').trim().toLowerCase() || 'long';
+  if (!REST_HOURS[kind]) return { content: '<p>Usage: /rest [long|short]</p>' };
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return { content: '<p>Active calendar/date not available.</p>' };
+  const plan = planAdvance(cal, now, `${REST_HOURS[kind]} hours`);
+  if (plan.error) return { content: `<p>${escapeHtml(plan.error)}</p>` };
+  return runAdvance(cal, plan, kind === 'long' ? 'Long rest' : 'Short rest');
+}
+
+/**
+ * /calendar
+ * Opens the calendar window on the current month.
+ * @returns {{}}
+ */
+export function calendarCommand() {
+  import('./calendar-window.js')
+    .then(m => m.openCalendarWindow())
+    .catch(e => console.warn('SS-Athas calendar:', e));
+  return {};
+}
+
+/**
+ * Command table shared by Chat Commander and the chatMessage fallback.
+ * Removed: /kings-age (/ka), /year and /time (redundant; handled by /day).
+ */
+export const athasCommands = {
+  '/day': { aliases: ['/ds-day'], description: 'Show current date with King\'s Age, moons, zodiac (Athas)', handler: dayCommand },
+  '/remind': { description: 'GM: schedule a reminder: /remind in 3 days: Caravan arrives; /remind list', handler: remindCommand },
+  '/advance': { description: 'GM: advance time: /advance 2 watches | to Evening | to next Darkest | to Scorch 1', handler: advanceCommand },
+  '/rest': { description: 'GM: rest and advance time: /rest [long|short]', handler: restCommand },
+  '/calendar': { aliases: ['/cal'], description: 'Open the calendar window (month grid with moons, festivals and events)', handler: calendarCommand },
+  '/sky': { description: 'Show the sun and moons now or at a time: /sky [2nd Watch | HH:MM]; /sky hud toggles the sky HUD', handler: skyCommand },
+  '/moons': { description: 'Show moon phases (optional date, e.g. Scorch 1 KA 190.27, tomorrow, +5d)', handler: moonsCommand },
+  '/doy': { description: 'Show day-of-year (optional date)', handler: doyCommand },
+  '/abs': { description: 'Show absolute day (optional date)', handler: absCommand },
+  '/weather': { description: 'Show the day\'s weather: /weather [reroll] [terrain] [date]', handler: weatherCommand },
+  '/water': { description: 'Show water and dehydration; GM: /water add <gallons> [character]', handler: waterCommand },
+  '/travel': { description: 'Plan a trip from now: /travel <miles> [slow|normal|fast] [terrain] [night] [midday] [go]', handler: travelCommand },
+  '/almanac': { description: 'GM: write an almanac journal: /almanac [year | KA <n>] [regenerate]', handler: almanacCommand },
+  '/eclipse': { description: 'Find next/previous moon alignment (darkest, brightest, conjunction, opposition, any)', handler: eclipseCommand },
+};
+
+/**
+ * Look up a command (or alias) in the table.
+ * @param {string} name - e.g. "/moons"
+ * @returns {object|null}
+ */
+export function findCommand(name) {
+  const key = String(name || '').toLowerCase();
+  if (athasCommands[key]) return athasCommands[key];
+  return Object.values(athasCommands).find(c => c.aliases?.includes(key)) || null;
+}
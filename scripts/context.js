@@ -0,0 +1,67 @@
+/**
+ * Seasons & Stars - Athas context
+ *
+ * Thin accessors for the live Seasons & Stars state. Everything that needs the active
+ * calendar or the current date goes through here so the calculation engine stays pure.
+ */
+
+/* global game */
+
+import { toDateModel, getMoonPhases } from './calendar-math.js';
+
+/**
+ * Get the active S&S calendar object if available.
+ * @returns {any|null}
+ */
+export function getActiveCalendar() {
+  try { return game.seasonsStars?.manager?.getActiveCalendar?.() || null; } catch { return null; }
+}
+
+/**
+ * Get the current S&S date (CalendarDate, 1-based month) if available.
+ * @returns {any|null}
+ */
+export function getCurrentDate() {
+  try { return game.seasonsStars?.manager?.timeConverter?.getCurrentDate?.() || null; } catch { return null; }
+}
+
+/**
+ * Whether this client is the one that should write world updates (the active GM).
+ * @returns {boolean}
+ */
+export function isActiveGM() {
+  const active = game?.users?.activeGM;
+  return active ? (active.isSelf ?? active.id === game.user?.id) : !!game?.user?.isGM;
+}
+
+/**
+ * Resolve the current year from S&S.
+ * @returns {number|null}
+ */
+export function getCurrentYear() {
+  const date = getCurrentDate();
+  return typeof date?.year === 'number' ? date.year : null;
+}
+
+/**
+ * Use the given date when it has a valid year, otherwise the current S&S date.
+ * @param {any} [date]
+ * @returns {{year:number, month:number, day:number, intercalary?:string}|null}
+ */
+export function resolveDate(date) {
+  return toDateModel(date) || toDateModel(getCurrentDate());
+}
+
+/**
+ * Moon phases on a date (current date if omitted) for the active calendar.
+ * @param {any} [date]
+ * @returns {object[]}
+ */
+export function getAthasMoonPhases(date) {
+  try {
+    const cal = getActiveCalendar();
+    const src = resolveDate(date);
+    if (!cal || !src) return [];
+    return getMoonPhases(cal, src);
+  } catch (_e) { return []; }
+}
@@ -0,0 +1,158 @@
+/**
+ * Seasons & Stars - Athas date parser
+ *
+ * Reads dates the way they are written at the table: "Scorch 1, KA 190.27",
+ * "3rd day of Highest Sun 14656", "Sco 12", "tomorrow", "+5d" and the strict
+ * `YYYY-M-D` form. Month names and abbreviations and festival names come from the
+ * calendar, and are also read as translated in the current language; the year part is
+ * anything {@link parseYear} understands, or a city-state's local year ("HR1783"), and
+ * defaults to the reference date's year.
+ */
+
+import { buildCalendarMeta, toDateModel, isValidDate, addDays, parseYMD, formatDate } from './calendar-math.js';
+import { parseYear } from './kings-age.js';
+import { parseCityYear } from './city-states.js';
+import { localizeCalendarText } from './i18n.js';
+
+const RELATIVE_WORDS = { today: 0, now: 0, tomorrow: 1, yesterday: -1 };
+
+/**
+ * Days per relative-offset unit. A week is the calendar's weekday count; a year is
+ * handled separately so it keeps the day of the year.
+ * @param {any} calendar
+ * @returns {Record<string, number>}
+ */
+function unitDays(calendar) {
+  const week = Array.isArray(calendar?.weekdays) && calendar.weekdays.length ? calendar.weekdays.length : 7;
+  return { d: 1, day: 1, days: 1, w: week, wk: week, week: week, weeks: week };
+}
+
+/**
+ * Month and festival names the calendar answers to, as written in the calendar and as
+ * translated, longest first so "Highest Sun" wins over any shorter prefix.
+ * @param {any} calendar
+ * @returns {{key:string, segment:object}[]}
+ */
+function segmentNames(calendar) {
+  const meta = buildCalendarMeta(calendar);
+  const keys = new Map();
+  const add = (text, seg) => {
+    const key = String(text || '').trim().toLowerCase();
+    if (key && !keys.has(key)) keys.set(key, seg);
+  };
+  for (const seg of meta.segments) {
+    add(seg.name, seg);
+    if (seg.type === 'month') {
+      const month = calendar?.months?.[seg.month - 1];
+      add(month?.abbreviation, seg);
+      if (month) {
+        add(localizeCalendarText('months', month), seg);
+        add(localizeCalendarText('months', month, 'abbreviation'), seg);
+      }
+    } else {
+      add(localizeCalendarText('intercalary', seg.name), seg);
+    }
+  }
+  return [...keys].map(([key, segment]) => ({ key, segment })).sort((a, b) => b.key.length - a.key.length);
+}
+
+/**
+ * Escape a string for use inside a RegExp.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the year part of a date. Empty means the reference year.
+ * @param {string} text
+ * @param {object|null} reference
+ * @returns {{year:number}|{error:string}}
+ */
+function parseYearPart(text, reference) {
+  const t = text.replace(/^[,\s]+|[,\s]+$/g, '');
+  if (!t) {
+    if (reference) return { year: reference.year };
+    return { error: 'no year given and no current date to take it from' };
+  }
+  const parsed = parseYear(t);
+  if (!parsed) {
+    const local = parseCityYear(t);
+    if (local) return { year: local.year };
+  }
+  if (!parsed) return { error: `“${t}” is not a year` };
+  if (parsed.year == null) {
+    const list = parsed.matches.slice(0, 5).map(m => `${m.year} (KA ${m.kingsAge}.${m.yearInAge})`).join(', ');
+    return { error: `“${t}” matches several years (${list}); add a King's Age, e.g. “${t}, KA ${parsed.matches[0]?.kingsAge ?? 190}”` };
+  }
+  return { year: parsed.year };
+}
+
+/**
+ * Parse an Athasian date.
+ * @param {any} calendar
+ * @param {string} text
+ * @param {{today?:any}} [options] - Reference date for relative input and a missing year
+ * @returns {{date:{year:number, month:number, day:number, intercalary?:string}}|{error:string}}
+ */
+export function parseAthasDate(calendar, text, { today } = {}) {
+  // One space between words, so offsets into `lower` hold for `raw` too
+  const raw = String(text ?? '').trim().replace(/\s+/g, ' ');
+  const reference = toDateModel(today);
+  if (!raw) return reference ? { date: reference } : { error: 'No date given.' };
+  const lower = raw.toLowerCase();
+
+  if (lower in RELATIVE_WORDS) {
+    if (!reference) return { error: `“${raw}” needs a current date.` };
+    return { date: addDays(calendar, reference, RELATIVE_WORDS[lower]) };
+  }
+
+  let m = lower.match(/^([+-])\s*(\d+)\s*([a-z]*)$/);
+  if (m) {
+    if (!reference) return { error: `“${raw}” needs a current date.` };
+    const n = Number(m[2]) * (m[1] === '-' ? -1 : 1);
+    const unit = m[3] || 'd';
+    if (['y', 'yr', 'year', 'years'].includes(unit)) {
+      const moved = { ...reference, year: reference.year + n };
+      return isValidDate(calendar, moved) ? { date: moved } : { error: `${formatDate(calendar, reference)} has no match ${Math.abs(n)} year(s) away.` };
+    }
+    const per = unitDays(calendar)[unit];
+    if (!per) return { error: `Unknown unit “${m[3]}” in “${raw}”; use d, w or y.` };
+    return { date: addDays(calendar, reference, n * per) };
+  }
+
+  const ymd = parseYMD(raw);
+  if (ymd) {
+    return isValidDate(calendar, ymd) ? { date: ymd } : { error: `${raw} is not a day of the calendar.` };
+  }
+
+  for (const { key, segment } of segmentNames(calendar)) {
+    const hit = lower.match(new RegExp(`(^|[^a-z])${escapeRegExp(key)}(?![a-z])`));
+    if (!hit) continue;
+    const start = hit.index + hit[1].length;
+    const before = lower.slice(0, start);
+    let after = lower.slice(start + key.length);
+    let day = null;
+    // "3rd day of Highest Sun", "day 3 of Scorch", "3 Scorch"
+    const lead = before.match(/^\s*(?:the\s+)?(?:day\s+)?(\d{1,3})(?:st|nd|rd|th)?\s*(?:day\s+)?(?:of\s+)?(?:the\s+)?$/);
+    if (lead) day = Number(lead[1]);
+    else if (before.trim()) continue;
+    if (day == null) {
+      // "Scorch 1", "Scorch 1st", "Highest Sun day 3"
+      const trail = after.match(/^\s*(?:day\s+)?(\d{1,3})(?:st|nd|rd|th)?(?![\d.])/);
+      if (!trail) return { error: `Which day of ${segment.name}? Try “${segment.name} 1”.` };
+      day = Number(trail[1]);
+      after = after.slice(trail[0].length);
+    }
+    if (day < 1 || day > segment.days) return { error: `${segment.name} has days 1–${segment.days}; got ${day}.` };
+    const y = parseYearPart(raw.slice(raw.length - after.length), reference);
+    if (y.error) return { error: `Could not read the year: ${y.error}.` };
+    const date = { year: y.year, month: segment.month, day };
+    if (segment.type === 'intercalary') date.intercalary = segment.name;
+    return { date };
+  }
+
+  return { error: `Could not read “${raw}” as a date. Try “Scorch 1, KA 190.27”, “Highest Sun 3 14656”, “14656-1-1”, “tomorrow” or “+5d”.` };
+}
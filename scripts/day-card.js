@@ -0,0 +1,253 @@
+/**
+ * Seasons & Stars - Athas /day card
+ *
+ * Renders the current date card from a Handlebars template (`templates/day-card.hbs`,
+ * overridable per world): date header, time, season, solar events, city reckonings,
+ * events, moon alignments, weather and moon phases over a time-of-day background. Each
+ * section can be switched off in the settings; labels come from `lang/*.json`.
+ */
+
+/* global game, foundry, ChatMessage, ui */
+
+import { toDateModel, getWeekdayName } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, getAthasMoonPhases } from './context.js';
+import { getYearInfo } from './kings-age.js';
+import {
+  getMonthName, getSeasonName, getTimePeriodName, getSolarEventName, formatHour12, formatAthasTimeLocal,
+} from './time-of-day.js';
+import { getMoonState, toHourOfDay } from './ephemeris.js';
+import { getCelestialEventsOn, describeCelestialEvent } from './celestial-events.js';
+import { getEventsOn } from './events.js';
+import { CITY_STATES, getCalendarCity, getCityReckoning } from './city-states.js';
+import { getWeather, getConditionsAt, localizeWeatherLabel } from './weather.js';
+import { MODULE_ID, getSetting } from './settings.js';
+import { moonPhaseImg } from './sky.js';
+import { localize, format, formatOr, localizeCalendarText, localizeMoonPhase } from './i18n.js';
+
+/** The bundled card template; worlds may point the `dayCardTemplate` setting elsewhere. */
+export const DAY_CARD_TEMPLATE = `modules/${MODULE_ID}/templates/day-card.hbs`;
+
+/** Card sections and the world settings that switch them on. */
+export const DAY_SECTIONS = {
+  time: 'dayShowTime',
+  season: 'dayShowSeason',
+  solar: 'dayShowSolar',
+  cities: 'dayShowCities',
+  events: 'dayShowEvents',
+  eclipse: 'dayShowEclipse',
+  conjunction: 'dayShowConjunction',
+  weather: 'dayShowWeather',
+  moons: 'dayShowMoons',
+};
+
+/**
+ * Moon alignment events whose window covers a date, using the world tolerance.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {object[]}
+ */
+export function getCelestialEventInfo(calendar, date) {
+  try {
+    return getCelestialEventsOn(calendar, toDateModel(date), { tolerance: getSetting('eventTolerance') });
+  } catch (_e) { return []; }
+}
+
+/**
+ * The recurring events on a date (festivals, decrees, observances) for the card.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {{labelKey:string, name:string, span:string, description:string}[]}
+ */
+export function getEventEntries(calendar, date) {
+  const labels = { festival: 'SSATHAS.Day.Festival', decree: 'SSATHAS.Day.Decree' };
+  try {
+    return getEventsOn(calendar, toDateModel(date)).map(ev => ({
+      labelKey: labels[ev.category] || 'SSATHAS.Day.Event',
+      name: ev.name,
+      span: ev.days > 1 ? format('SSATHAS.Day.EventSpan', { day: ev.dayOf, days: ev.days }) : '',
+      description: ev.description || '',
+    }));
+  } catch (_e) { return []; }
+}
+
+/**
+ * The city reckonings for the card: the calendar's own city, then the year as every
+ * other city counts it.
+ * @param {any} calendar
+ * @param {any} date
+ * @returns {{home:{label:string, yearText:string, reckoning:string}, elsewhere:string}|null}
+ */
+export function getCityReckoningEntries(calendar, date) {
+  const d = toDateModel(date);
+  if (!d) return null;
+  const home = getCityReckoning(calendar, d, getCalendarCity(calendar));
+  const elsewhere = Object.keys(CITY_STATES).filter(id => id !== home.city)
+    .map(id => `${CITY_STATES[id].label} ${getCityReckoning(calendar, d, id).yearText}`);
+  return { home: { label: home.label, yearText: home.yearText, reckoning: home.reckoning }, elsewhere: elsewhere.join(' · ') };
+}
+
+/**
+ * Background slug for a canonical period (`assets/backgrounds/<slug>.svg`, and the
+ * card's `ss-athas-day--<slug>` class).
+ * @param {string} periodName
+ * @returns {string}
+ */
+export function getPeriodSlug(periodName) {
+  const p = String(periodName || '').toLowerCase();
+  if (p.includes('2nd watch')) return '2nd-watch';
+  if (p.includes('3rd watch')) return '3rd-watch';
+  if (p.includes('1st watch')) return '1st-watch';
+  if (p.includes('morning')) return 'morning';
+  if (p.includes('evening')) return 'evening';
+  return 'noon';
+}
+
+/**
+ * Local fallback date formatter (used if S&S named formats are unavailable), in the
+ * current language.
+ * @param {any} calendar
+ * @param {any} plainDate - 1-based month
+ * @returns {string}
+ */
+export function formatAthasDateLocal(calendar, plainDate) {
+  if (!calendar || !plainDate) return '';
+  const monthIdx0 = Math.max(0, (plainDate.month ?? 1) - 1);
+  const monthName = getMonthName(calendar, monthIdx0);
+  const weekdayName = getWeekdayName(calendar, plainDate);
+  const info = getYearInfo(plainDate.year);
+  const kaStr = info ? `${info.kingsAge}.${info.yearInAge}` : '';
+  const yearNameStr = info?.yearName || '';
+  const head = plainDate.intercalary
+    ? `${localizeCalendarText('intercalary', plainDate.intercalary)} ${plainDate.day},`
+    : `${weekdayName ? `${weekdayName}, ` : ''}${monthName} ${plainDate.day}`;
+  const ka = formatOr('SSATHAS.Date.KingsAge', { ka: kaStr }, 'KA {ka}');
+  return `${head} ${ka}${yearNameStr ? ` (${formatOr('SSATHAS.Date.YearOf', { name: yearNameStr }, 'Year of {name}')})` : ''}`;
+}
+
+/**
+ * Which card sections are switched on in the world settings.
+ * @returns {Record<string, boolean>}
+ */
+export function getDaySections() {
+  return Object.fromEntries(Object.entries(DAY_SECTIONS).map(([section, key]) => [section, getSetting(key) !== false]));
+}
+
+/**
+ * Template data for the /day card. Labels are left to the template (`{{localize}}`);
+ * switched-off sections are null or empty.
+ * @param {any} calendar
+ * @param {any} plain - Current date with `time`
+ * @param {{sections?:Record<string, boolean>, calDate?:any}} [options] - `calDate` is the S&S
+ *   CalendarDate, whose named formats are preferred for the header and time
+ * @returns {object}
+ */
+export function buildDayCardData(calendar, plain, { sections = getDaySections(), calDate = null } = {}) {
+  const date = toDateModel(plain);
+  const monthIdx0 = Math.max(0, (plain.month ?? 1) - 1);
+  const named = calDate?.formatter?.formatNamed ? (name) => calDate.formatter.formatNamed(calDate, name) : null;
+  const hour = Number(plain?.time?.hour ?? 0);
+  const minute = Number(plain?.time?.minute ?? 0);
+  const periodName = getTimePeriodName(calendar, hour, minute);
+  const light = /morning|midday|noon|evening/i.test(periodName || '');
+  const night = /\b(1st|2nd|3rd)\s+Watch\b/i.test(String(periodName || ''));
+
+  const moonStates = getMoonState(calendar, date, plain.time);
+  // Moons up right now, top right of the header; Ral drawn smaller than Guthay
+  const badges = sections.moons
+    ? moonStates.filter(m => m.aboveHorizon).map(m => moonPhaseImg(m, m.name === 'Ral' ? 22 : 32, 'display:block')).join('')
+    : '';
+  let moons = [];
+  if (sections.moons && night) {
+    const phases = new Map(getAthasMoonPhases(date).map(p => [p.name, p]));
+    moons = moonStates.map(st => {
+      const m = phases.get(st.name) || st;
+      const phase = localizeMoonPhase(m.phaseName);
+      return {
+        name: m.name,
+        phase: m.illumination != null ? formatOr('SSATHAS.Day.Phase', { phase, illumination: m.illumination }, '{phase} ({illumination}%)') : phase,
+        rise: st.rise ? formatHour12(st.rise.hours) : '—',
+        set: st.set ? formatHour12(st.set.hours) : '—',
+      };
+    });
+  }
+
+  const alignments = getCelestialEventInfo(calendar, plain)
+    .filter(ev => (/^(Darkest|Brightest)$/.test(ev.type) ? sections.eclipse : sections.conjunction))
+    .map(ev => describeCelestialEvent(calendar, ev));
+
+  let weather = null;
+  if (sections.weather) {
+    const w = getWeather(calendar, date);
+    if (w) {
+      const now = getConditionsAt(calendar, w, toHourOfDay(calendar, plain.time) ?? 12);
+      const temperature = (band, tempF) => formatOr('SSATHAS.Day.Temperature', { band: localizeWeatherLabel('Bands', band), tempF }, '{band} ({tempF}°F)');
+      const s = w.storm;
+      weather = {
+        terrain: localizeWeatherLabel('Terrains', w.terrainLabel),
+        high: temperature(w.high.label, w.high.tempF),
+        low: temperature(w.low.label, w.low.tempF),
+        wind: formatOr('SSATHAS.Day.WindSpeed', { wind: localizeWeatherLabel('Winds', w.wind.label), mph: w.wind.mph }, '{wind} ({mph} mph)'),
+        storm: s
+          ? formatOr('SSATHAS.Day.Storm', {
+            storm: localizeWeatherLabel('Storms', s.label),
+            severity: localizeWeatherLabel('Severity', s.severity),
+            period: localizeCalendarText('canonicalHours', s.period),
+            hours: s.durationHours,
+          }, '{storm}: {severity}, {period}, {hours}h')
+          : '',
+        now: formatOr('SSATHAS.Day.NowTemperature', { band: localizeWeatherLabel('Bands', now.band), tempF: now.tempF }, '{band}, {tempF}°F'),
+      };
+    }
+  }
+
+  return {
+    period: { name: periodName, slug: getPeriodSlug(periodName), light },
+    header: named ? named('athas-date') : formatAthasDateLocal(calendar, plain),
+    badges,
+    time: sections.time
+      ? { text: named ? named('mixed') : formatAthasTimeLocal(plain), text12: named ? named('athas-time-12h') : formatAthasTimeLocal(plain), period: localizeCalendarText('canonicalHours', periodName) }
+      : null,
+    season: sections.season ? getSeasonName(calendar, monthIdx0) || '—' : null,
+    solar: sections.solar ? getSolarEventName(calendar, plain) : null,
+    cities: sections.cities ? getCityReckoningEntries(calendar, plain) : null,
+    events: sections.events ? getEventEntries(calendar, plain) : [],
+    alignments,
+    weather,
+    moons,
+  };
+}
+
+/**
+ * The card template: the world's override when set, else the bundled one.
+ * @returns {string}
+ */
+export function getDayCardTemplate() {
+  return getSetting('dayCardTemplate') || DAY_CARD_TEMPLATE;
+}
+
+/**
+ * Render the /day card for the current date and post it, publicly or whispered to the
+ * GM as the world setting says.
+ * @returns {Promise<any>}
+ */
+export async function postDayCard() {
+  const plain = getCurrentDate();
+  const cal = getActiveCalendar();
+  if (!plain || !cal) return ChatMessage.create({ content: `<p>${localize('SSATHAS.Day.Unavailable')}</p>`, whisper: [game.user.id] });
+  const data = buildDayCardData(cal, plain, { calDate: game.seasonsStars?.manager?.getCurrentDate?.() });
+  const content = await foundry.applications.handlebars.renderTemplate(getDayCardTemplate(), data);
+  const whisper = getSetting('dayCardOutput') === 'gm' ? ChatMessage.getWhisperRecipients('GM') : [];
+  return ChatMessage.create({ content, whisper });
+}
+
+/**
+ * /day — current date card, rendered from a template and posted when ready.
+ * @returns {{}}
+ */
+export function dayCommand() {
+  postDayCard().catch(e => {
+    console.error('SS-Athas /day error:', e);
+    ui.notifications?.error(format('SSATHAS.Day.Error', { error: e?.message || e }));
+  });
+  return {};
+}
@@ -0,0 +1,139 @@
+/**
+ * Seasons & Stars - Athas moon ephemeris
+ *
+ * Continuous moon positions for a date and time of day. Each moon is treated as riding the
+ * celestial equator: a New moon transits at noon alongside the sun, a Full moon at midnight,
+ * and every moon stays above the horizon for half a day around its transit. Because the
+ * phase keeps advancing through the day, rise and set drift later by roughly
+ * `hoursInDay / cycleLength` each day instead of snapping to fixed hours per phase name.
+ */
+
+import { safeMod, toAbsoluteDay, getMoonPhases } from './calendar-math.js';
+import { getCanonicalHours } from './time-of-day.js';
+
+/**
+ * Hours in a day for a calendar (24 unless the calendar says otherwise).
+ * @param {any} calendar
+ * @returns {number}
+ */
+export function getHoursInDay(calendar) {
+  return Number(calendar?.time?.hoursInDay) || 24;
+}
+
+/**
+ * Normalize a time argument to fractional hours. Accepts a number of hours, `{ hour, minute }`,
+ * a date carrying `time`, or the name of a canonical hour ("2nd Watch" → its start).
+ * @param {any} calendar
+ * @param {any} time
+ * @returns {number|null}
+ */
+export function toHourOfDay(calendar, time) {
+  if (time == null) return null;
+  if (typeof time === 'number') return Number.isFinite(time) ? time : null;
+  if (typeof time === 'string') {
+    const key = time.trim().toLowerCase();
+    const block = getCanonicalHours(calendar).find(b => b.name.toLowerCase() === key);
+    if (block) return block.start;
+    const m = key.match(/^(\d{1,2})(?::(\d{2}))?$/);
+    return m ? Number(m[1]) + (Number(m[2]) || 0) / 60 : null;
+  }
+  const src = time.time ?? time;
+  const hour = Number(src?.hour);
+  if (!Number.isFinite(hour)) return null;
+  return hour + (Number(src?.minute) || 0) / 60 + (Number(src?.second) || 0) / 3600;
+}
+
+/**
+ * Split fractional hours into `{ hour, minute }`.
+ * @param {number} h
+ * @returns {{hour:number, minute:number}}
+ */
+function toClock(h) {
+  let hour = Math.floor(h);
+  let minute = Math.round((h - hour) * 60);
+  if (minute === 60) { hour += 1; minute = 0; }
+  return { hour, minute };
+}
+
+/**
+ * Solve for the hour within the day at which a moon reaches a given hour angle.
+ * @param {number} offset - Hours after transit (−H/4 rise, +H/4 set, 0 transit)
+ * @param {number} f0 - Phase fraction at the start of the day
+ * @param {number} cycle - Cycle length in days
+ * @param {number} H - Hours in day
+ * @returns {number|null} Hour in [0, H), or null if it does not happen that day
+ */
+function solveEventHour(offset, f0, cycle, H) {
+  const drift = 1 - 1 / cycle;
+  const base = H / 2 + offset + H * f0;
+  for (let k = -2; k <= 2; k++) {
+    const t = (base + H * k) / drift;
+    if (t >= 0 && t < H) return t;
+  }
+  return null;
+}
+
+/**
+ * Ephemeris for one moon.
+ * @param {any} calendar
+ * @param {any} moon - Calendar moon definition
+ * @param {number} abs - Absolute day
+ * @param {number} hour - Fractional hour of day
+ * @returns {object|null}
+ */
+function computeMoonState(calendar, moon, abs, hour) {
+  const cycle = Number(moon?.cycleLength) || 0;
+  if (cycle <= 0 || !moon.firstNewMoon) return null;
+  const refAbs = toAbsoluteDay(calendar, moon.firstNewMoon);
+  if (refAbs == null) return null;
+  const H = getHoursInDay(calendar);
+  const startAge = safeMod(abs - refAbs, cycle);
+  const age = safeMod(startAge + hour / H, cycle);
+  const phaseFraction = age / cycle;
+  const phaseAngle = 360 * phaseFraction;
+  const illumination = Math.round(1000 * (1 - Math.cos(2 * Math.PI * phaseFraction)) / 2) / 10;
+  // Transit: noon at New, midnight at Full; hour angle is how far past transit we are
+  const transit = safeMod(H / 2 + H * phaseFraction, H);
+  let hourAngle = 360 * safeMod(hour - transit, H) / H;
+  if (hourAngle > 180) hourAngle -= 360;
+  const altitude = Math.round(10 * (90 - Math.abs(hourAngle))) / 10;
+  const f0 = startAge / cycle;
+  const rise = solveEventHour(-H / 4, f0, cycle, H);
+  const set = solveEventHour(H / 4, f0, cycle, H);
+  const transitToday = solveEventHour(0, f0, cycle, H);
+  return {
+    name: moon.name,
+    color: moon.color || null,
+    cycleLength: cycle,
+    age,
+    phaseFraction,
+    phaseAngle,
+    illumination,
+    waxing: phaseFraction < 0.5,
+    hourAngle,
+    altitude,
+    aboveHorizon: altitude > 0,
+    rise: rise == null ? null : { ...toClock(rise), hours: rise },
+    set: set == null ? null : { ...toClock(set), hours: set },
+    transit: transitToday == null ? null : { ...toClock(transitToday), hours: transitToday },
+  };
+}
+
+/**
+ * Full ephemeris for every moon on a date at a time of day.
+ * @param {any} calendar
+ * @param {any} date - Canonical date
+ * @param {any} [time] - See {@link toHourOfDay}; defaults to `date.time`, then midnight
+ * @returns {object[]} One entry per moon, including its bucketed `phaseName` for that day
+ */
+export function getMoonState(calendar, date, time) {
+  const abs = toAbsoluteDay(calendar, date);
+  if (abs == null) return [];
+  const hour = toHourOfDay(calendar, time) ?? toHourOfDay(calendar, date?.time) ?? 0;
+  const phaseNames = new Map(getMoonPhases(calendar, date).map(p => [p.name, p.phaseName]));
+  const moons = Array.isArray(calendar?.moons) ? calendar.moons : [];
+  return moons
+    .map(m => computeMoonState(calendar, m, abs, hour))
+    .filter(Boolean)
+    .map(s => ({ ...s, phaseName: phaseNames.get(s.name) || null }));
+}
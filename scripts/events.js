@@ -0,0 +1,215 @@
+/**
+ * Seasons & Stars - Athas recurring events
+ *
+ * Holidays and observances defined as recurring rules. Rules come from the active
+ * calendar's `recurringEvents`, the world's own list (settings) and the festivals and
+ * decrees of the calendar's city-state. Each rule is one of:
+ *
+ * - `date`: a month (name or number) and day, or a festival of the sun and day; `days`
+ *   makes it last longer
+ * - `weekday`: the `nth` (1–5, or -1 for the last) given weekday of a month
+ * - `kings-age`: a date (default the first of the year) in every `every`-th year of the
+ *   King's Age, counting from year `start` (default `every`)
+ * - `moons`: the day a moon alignment peaks (`Darkest`, `Brightest`, `Conjunction`,
+ *   `Opposition`)
+ * - `intercalary`: the first day of each festival of the sun, or of the one named
+ */
+
+import {
+  buildCalendarMeta, findSegment, toDateModel, toAbsoluteDay, fromAbsoluteDay, getWeekdayIndex, safeMod,
+} from './calendar-math.js';
+import { getActiveCalendar } from './context.js';
+import { KINGS_AGE_LENGTH } from './kings-age.js';
+import { EVENT_TYPES, scanCelestialEvents } from './celestial-events.js';
+import { CITY_STATES, getCalendarCity } from './city-states.js';
+import { getSetting } from './settings.js';
+
+export const RULE_TYPES = ['date', 'weekday', 'kings-age', 'moons', 'intercalary'];
+
+/**
+ * Check one event definition and fill in defaults.
+ * @param {any} raw - `{ id?, name, category?, description?, rule: { type, … } }`
+ * @returns {{event:object}|{error:string}}
+ */
+export function normalizeEventRule(raw) {
+  const name = String(raw?.name ?? '').trim();
+  if (!name) return { error: 'An event needs a name.' };
+  const rule = { ...(raw.rule || {}) };
+  rule.type = String(rule.type || '').toLowerCase();
+  if (!RULE_TYPES.includes(rule.type)) return { error: `${name}: rule type must be one of ${RULE_TYPES.join(', ')}.` };
+  const positive = (v) => Number.isInteger(Number(v)) && Number(v) >= 1;
+  if (rule.type === 'date' || rule.type === 'kings-age') {
+    if (rule.type === 'kings-age') {
+      if (!positive(rule.every) || Number(rule.every) > KINGS_AGE_LENGTH) return { error: `${name}: "every" must be 1–${KINGS_AGE_LENGTH}.` };
+      rule.every = Number(rule.every);
+      rule.start = positive(rule.start) ? Number(rule.start) : rule.every;
+      if (rule.month == null && !rule.intercalary) rule.month = 1;
+      if (rule.day == null) rule.day = 1;
+    }
+    if (rule.month == null && !rule.intercalary) return { error: `${name}: give a month or a festival of the sun.` };
+    if (!positive(rule.day)) return { error: `${name}: "day" must be a positive number.` };
+    rule.day = Number(rule.day);
+    rule.days = positive(rule.days) ? Number(rule.days) : 1;
+  } else if (rule.type === 'weekday') {
+    const nth = Number(rule.nth ?? 1);
+    if (rule.month == null || rule.weekday == null) return { error: `${name}: give a month and a weekday.` };
+    if (!Number.isInteger(nth) || nth === 0 || nth < -1 || nth > 5) return { error: `${name}: "nth" must be 1–5 or -1.` };
+    rule.nth = nth;
+  } else if (rule.type === 'moons') {
+    const type = EVENT_TYPES.find(t => t.toLowerCase() === String(rule.event || '').toLowerCase());
+    if (!type) return { error: `${name}: "event" must be one of ${EVENT_TYPES.join(', ')}.` };
+    rule.event = type;
+  }
+  const id = String(raw.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+  return {
+    event: { id, name, category: String(raw.category || 'event'), description: String(raw.description || ''), rule },
+  };
+}
+
+/**
+ * A city's festivals and decrees as date rules.
+ * @param {string} city
+ * @returns {object[]}
+ */
+function cityEventRules(city) {
+  return (CITY_STATES[city]?.holidays || []).map(h => ({
+    id: `${city}-${h.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    name: h.name,
+    category: h.kind,
+    description: h.description,
+    rule: { type: 'date', month: h.month, intercalary: h.intercalary, day: h.day, days: h.days },
+  }));
+}
+
+/**
+ * Every event rule in force: the calendar's, the world's and the calendar city's. Invalid
+ * definitions are skipped with a console warning.
+ * @param {any} [calendar]
+ * @returns {object[]} Normalized events with `source` ('calendar', 'world' or 'city')
+ */
+export function getEventRules(calendar = getActiveCalendar()) {
+  const sources = [
+    ['calendar', calendar?.recurringEvents],
+    ['world', getSetting('recurringEvents')],
+    ['city', cityEventRules(getCalendarCity(calendar))],
+  ];
+  const out = [];
+  for (const [source, list] of sources) {
+    for (const raw of Array.isArray(list) ? list : []) {
+      const r = normalizeEventRule(raw);
+      if (r.error) console.warn(`SS-Athas events (${source}): ${r.error}`);
+      else out.push({ ...r.event, source });
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve a rule's month or festival to a calendar segment.
+ * @param {any} calendar
+ * @param {{month?:string|number, intercalary?:string}} rule
+ * @returns {object|null}
+ */
+function ruleSegment(calendar, rule) {
+  if (rule.intercalary) return findSegment(calendar, { intercalary: rule.intercalary });
+  const key = String(rule.month).toLowerCase();
+  return buildCalendarMeta(calendar).segments.find(s => s.type === 'month'
+    && (String(s.month) === key || s.name.toLowerCase() === key)) || null;
+}
+
+/**
+ * 0-based weekday index named by a rule (name, abbreviation or 1-based number).
+ * @param {any} calendar
+ * @param {string|number} weekday
+ * @returns {number}
+ */
+function ruleWeekday(calendar, weekday) {
+  const list = Array.isArray(calendar?.weekdays) ? calendar.weekdays : [];
+  const key = String(weekday).trim().toLowerCase();
+  const byName = list.findIndex(w => String(w?.name || '').toLowerCase() === key || String(w?.abbreviation || '').trim().toLowerCase() === key);
+  if (byName >= 0) return byName;
+  const n = Number(weekday);
+  return Number.isInteger(n) && n >= 1 && n <= list.length ? n - 1 : -1;
+}
+
+/**
+ * How a rule applies to one day: null when it does not, else `{ dayOf, days }`.
+ * @param {any} calendar
+ * @param {object} rule
+ * @param {{date:object, segment:object, abs:number}} day
+ * @param {Map<string, Set<number>>} moonDays - Absolute days on which each alignment type peaks
+ * @returns {{dayOf:number, days:number}|null}
+ */
+function matchRule(calendar, rule, { date, segment, abs }, moonDays) {
+  switch (rule.type) {
+    case 'kings-age': {
+      const yearInAge = safeMod(date.year, KINGS_AGE_LENGTH) + 1;
+      if (yearInAge < rule.start || (yearInAge - rule.start) % rule.every !== 0) return null;
+    }
+    // falls through
+    case 'date': {
+      if (ruleSegment(calendar, rule) !== segment) return null;
+      if (date.day < rule.day || date.day >= rule.day + rule.days) return null;
+      return { dayOf: date.day - rule.day + 1, days: rule.days };
+    }
+    case 'weekday': {
+      if (ruleSegment(calendar, rule) !== segment) return null;
+      if (getWeekdayIndex(calendar, date) !== ruleWeekday(calendar, rule.weekday)) return null;
+      // Every day of a month counts for the week, so a weekday recurs every week length
+      const week = calendar.weekdays.length;
+      const nth = rule.nth === -1 ? (date.day + week > segment.days ? -1 : 0) : Math.floor((date.day - 1) / week) + 1;
+      return nth === rule.nth ? { dayOf: 1, days: 1 } : null;
+    }
+    case 'moons':
+      return moonDays.get(rule.event)?.has(abs) ? { dayOf: 1, days: 1 } : null;
+    case 'intercalary':
+      if (segment?.type !== 'intercalary' || date.day !== 1) return null;
+      return !rule.intercalary || segment.name.toLowerCase() === String(rule.intercalary).toLowerCase() ? { dayOf: 1, days: 1 } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Every event occurrence in an inclusive date range, in date order.
+ * @param {any} calendar
+ * @param {any} fromDate
+ * @param {any} toDate
+ * @param {{rules?:object[], tolerance?:number}} [options] - Rules default to {@link getEventRules}
+ * @returns {{id:string, name:string, category:string, description:string, source:string, date:object, dayOf:number, days:number}[]}
+ */
+export function getEventsBetween(calendar, fromDate, toDate, { rules = getEventRules(calendar), tolerance = getSetting('eventTolerance') } = {}) {
+  const a = toAbsoluteDay(calendar, toDateModel(fromDate));
+  const b = toAbsoluteDay(calendar, toDateModel(toDate));
+  if (a == null || b == null || !rules.length) return [];
+  const lo = Math.min(a, b);
+  const hi = Math.max(a, b);
+  const moonTypes = [...new Set(rules.filter(r => r.rule.type === 'moons').map(r => r.rule.event))];
+  const moonDays = new Map(moonTypes.map(t => [t, new Set()]));
+  if (moonTypes.length) {
+    for (const ev of scanCelestialEvents(calendar, fromAbsoluteDay(calendar, lo), fromAbsoluteDay(calendar, hi), { tolerance, types: moonTypes })) {
+      moonDays.get(ev.type)?.add(toAbsoluteDay(calendar, ev.peak));
+    }
+  }
+  const out = [];
+  for (let abs = lo; abs <= hi; abs++) {
+    const date = fromAbsoluteDay(calendar, abs);
+    const day = { date, segment: findSegment(calendar, date), abs };
+    for (const { rule, ...event } of rules) {
+      const hit = matchRule(calendar, rule, day, moonDays);
+      if (hit) out.push({ ...event, date, ...hit });
+    }
+  }
+  return out;
+}
+
+/**
+ * Event occurrences on one date.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {object} [options] - As for {@link getEventsBetween}
+ * @returns {object[]}
+ */
+export function getEventsOn(calendar, date, options) {
+  return getEventsBetween(calendar, date, date, options);
+}
@@ -0,0 +1,180 @@
+/**
+ * Seasons & Stars - Athas heat rules
+ *
+ * Turns the day's heat into a rule. Each time world time passes the end of Midday, every
+ * exposed character makes a save with the world's roll formula (Constitution by default,
+ * any system via roll data); a failure adds a level of exhaustion at a configurable actor
+ * path. On the festival days of an intercalary Sun period the save is harder. The rolls
+ * are listed on an audit card whispered to the GM.
+ *
+ * Exposure defaults to player characters; the actor flag
+ * `seasons-and-stars-athas.heat.tracked` overrides it.
+ */
+
+/* global game, ChatMessage, Roll, foundry */
+
+import { toAbsoluteDay, fromAbsoluteDay, addSeconds, getSecondsPerDay, formatDate } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, isActiveGM } from './context.js';
+import { getCanonicalHours } from './time-of-day.js';
+import { getHoursInDay, toHourOfDay } from './ephemeris.js';
+import { getTrackedActors } from './water.js';
+import { getSetting } from './settings.js';
+import { escapeHtml } from './html.js';
+
+/** Extra DC on intercalary Sun days. */
+export const SUN_PERIOD_DC_BONUS = 2;
+
+/** Most heat peaks rolled for one jump in time; longer jumps roll only their last days. */
+export const MAX_HEAT_EXPOSURES = 30;
+
+/**
+ * Hour at which a day's heat peak ends (the end of Midday, or 17:00 without one).
+ * @param {any} calendar
+ * @returns {number}
+ */
+export function getHeatPeakEnd(calendar) {
+  const midday = getCanonicalHours(calendar).find(b => b.name.toLowerCase() === 'midday');
+  return midday ? midday.end : 17;
+}
+
+/**
+ * Absolute days whose end of Midday falls in (start, start + hours].
+ * @param {any} calendar
+ * @param {any} start - Date with `time`
+ * @param {number} hours
+ * @returns {{first:number, last:number}|null} Empty when `last < first`
+ */
+function exposureDays(calendar, start, hours) {
+  const H = getHoursInDay(calendar);
+  const abs = toAbsoluteDay(calendar, start);
+  if (abs == null || !(hours > 0)) return null;
+  const t0 = abs * H + (toHourOfDay(calendar, start?.time) ?? 0);
+  const peak = getHeatPeakEnd(calendar);
+  return { first: Math.floor((t0 - peak) / H) + 1, last: Math.floor((t0 + hours - peak) / H) };
+}
+
+/**
+ * Number of heat peaks passed between two moments.
+ * @param {any} calendar
+ * @param {any} start - Date with `time`
+ * @param {number} hours
+ * @returns {number}
+ */
+export function countHeatExposures(calendar, start, hours) {
+  const days = exposureDays(calendar, start, hours);
+  return days ? Math.max(0, days.last - days.first + 1) : 0;
+}
+
+/**
+ * Heat peaks passed between two moments: one per day whose end of Midday falls in
+ * (start, start + hours], or only the last `limit` of them.
+ * @param {any} calendar
+ * @param {any} start - Date with `time`
+ * @param {number} hours
+ * @param {{limit?:number}} [options]
+ * @returns {{date:object, sunPeriod:string|null, label:string}[]}
+ */
+export function findHeatExposures(calendar, start, hours, { limit = Infinity } = {}) {
+  const days = exposureDays(calendar, start, hours);
+  if (!days) return [];
+  const out = [];
+  for (let day = Math.max(days.first, days.last - limit + 1); day <= days.last; day++) {
+    const date = fromAbsoluteDay(calendar, day);
+    const sunPeriod = date.intercalary || null;
+    out.push({ date, sunPeriod, label: `${formatDate(calendar, date)}${sunPeriod ? ` (${sunPeriod})` : ''}` });
+  }
+  return out;
+}
+
+/**
+ * Save DC for an exposure.
+ * @param {{sunPeriod:string|null}} exposure
+ * @param {number} [baseDC]
+ * @returns {number}
+ */
+export function getHeatSaveDC(exposure, baseDC = getSetting('heatSaveDC')) {
+  return Number(baseDC) + (exposure.sunPeriod ? SUN_PERIOD_DC_BONUS : 0);
+}
+
+/**
+ * Add one level of exhaustion at the configured actor data path.
+ * @param {any} actor
+ * @returns {Promise<number|null>} New level, or null if the path does not exist
+ */
+async function addExhaustion(actor) {
+  const path = String(getSetting('heatExhaustionPath') || '').trim();
+  if (!path) return null;
+  const current = foundry.utils.getProperty(actor, path);
+  if (typeof current !== 'number') return null;
+  const next = current + 1;
+  await actor.update({ [path]: next });
+  return next;
+}
+
+/**
+ * Roll the heat save for one actor and exposure.
+ * @param {any} actor
+ * @param {object} exposure
+ * @returns {Promise<{actor:any, exposure:object, formula:string, total:number|null, dc:number, success:boolean, exhaustion:number|null, error?:string}>}
+ */
+async function rollHeatSave(actor, exposure) {
+  const formula = String(getSetting('heatSaveFormula') || '1d20');
+  const dc = getHeatSaveDC(exposure);
+  try {
+    const roll = await new Roll(formula, actor.getRollData?.() ?? {}).evaluate();
+    const success = roll.total >= dc;
+    const exhaustion = success ? null : await addExhaustion(actor);
+    return { actor, exposure, formula, total: roll.total, dc, success, exhaustion };
+  } catch (e) {
+    return { actor, exposure, formula, total: null, dc, success: false, exhaustion: null, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * Audit card listing every save.
+ * @param {object[]} results
+ * @param {{skipped?:number}} [options] - Earlier heat peaks that were not rolled
+ * @returns {string}
+ */
+export function renderHeatAudit(results, { skipped = 0 } = {}) {
+  let html = '<p><strong>Heat of the day</strong></p>';
+  if (skipped > 0) html += `<p><em>${skipped} earlier day${skipped === 1 ? '' : 's'} of heat skipped; only the last ${MAX_HEAT_EXPOSURES} are rolled.</em></p>`;
+  let last = null;
+  for (const r of results) {
+    if (r.exposure.label !== last) {
+      last = r.exposure.label;
+      html += `<p><em>${escapeHtml(last)}</em> — DC ${r.dc}</p>`;
+    }
+    const outcome = r.error
+      ? `could not roll (${r.error})`
+      : `${r.total} — ${r.success ? 'endures' : `fails${r.exhaustion != null ? `, exhaustion ${r.exhaustion}` : ''}`}`;
+    html += `<p>${escapeHtml(r.actor.name)}: ${escapeHtml(outcome)}</p>`;
+  }
+  return html;
+}
+
+/**
+ * Roll heat saves for every heat peak in time that has just passed (the last
+ * {@link MAX_HEAT_EXPOSURES} of a longer jump). Runs on the active GM only, when the heat
+ * rules are on.
+ * @param {number} elapsedSeconds
+ * @returns {Promise<object[]|null>} Results, or null when nothing ran
+ */
+export async function onTimeElapsed(elapsedSeconds) {
+  if (!getSetting('heatRules') || !(elapsedSeconds > 0) || !isActiveGM()) return null;
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return null;
+  const start = addSeconds(cal, now, -elapsedSeconds);
+  const hours = elapsedSeconds * getHoursInDay(cal) / getSecondsPerDay(cal);
+  const exposures = findHeatExposures(cal, start, hours, { limit: MAX_HEAT_EXPOSURES });
+  const actors = getTrackedActors('heat');
+  if (!exposures.length || !actors.length) return null;
+  const skipped = countHeatExposures(cal, start, hours) - exposures.length;
+  const results = [];
+  for (const exposure of exposures) {
+    for (const actor of actors) results.push(await rollHeatSave(actor, exposure));
+  }
+  await ChatMessage.create({ content: renderHeatAudit(results, { skipped }), whisper: ChatMessage.getWhisperRecipients('GM') });
+  return results;
+}
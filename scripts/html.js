@@ -0,0 +1,14 @@
+/**
+ * Seasons & Stars - Athas HTML helpers
+ *
+ * Small helpers shared by the chat cards and windows that build HTML strings.
+ */
+
+/**
+ * Escape text for use inside HTML, attribute values included.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
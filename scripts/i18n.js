@@ -0,0 +1,132 @@
+/**
+ * Seasons & Stars - Athas localization
+ *
+ * Labels and messages live under `SSATHAS.` in `lang/*.json` and are looked up through
+ * Foundry's i18n. Before localization is ready (or headless) a key comes back unchanged,
+ * as Foundry itself does for a missing translation.
+ *
+ * Calendar content is translated for display only: dates, rules and parsing keep the
+ * calendar's own names. A month, weekday, festival of the sun, season or canonical hour
+ * is looked up as `SSATHAS.Calendar.<Kind>.<Name>.<Field>`, where `<Name>` is its
+ * calendar name with everything but letters and digits removed ("Cooling Sun" →
+ * `CoolingSun`), and falls back to the calendar's text. City calendars share Tyr's
+ * months, so one entry covers all; each calendar's label and description are
+ * `SSATHAS.Calendar.Calendars.<id>.Label` and `.Description`. Moon phases, which the
+ * module names itself, are `SSATHAS.Moons.Phases.<Name>`.
+ */
+
+/** Calendar collections that can be translated, by the key segment they use. */
+export const CALENDAR_KINDS = {
+  months: 'Months', weekdays: 'Weekdays', intercalary: 'Intercalary', seasons: 'Seasons', canonicalHours: 'CanonicalHours',
+};
+
+/**
+ * Translate a key.
+ * @param {string} key
+ * @returns {string}
+ */
+export function localize(key) {
+  return globalThis.game?.i18n?.localize?.(key) ?? key;
+}
+
+/**
+ * Translate a key and fill its `{placeholders}`.
+ * @param {string} key
+ * @param {Record<string, any>} [data]
+ * @returns {string}
+ */
+export function format(key, data = {}) {
+  return globalThis.game?.i18n?.format?.(key, data) ?? key;
+}
+
+/**
+ * Whether the current language has a key.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasTranslation(key) {
+  try { return Boolean(globalThis.game?.i18n?.has?.(key)); } catch { return false; }
+}
+
+/**
+ * Translate a key, or use the fallback when the language file lacks it.
+ * @param {string} key
+ * @param {string} fallback
+ * @returns {string}
+ */
+export function localizeOr(key, fallback) {
+  return hasTranslation(key) ? localize(key) : fallback;
+}
+
+/**
+ * Translate a key and fill its `{placeholders}`, or fill the fallback pattern instead.
+ * @param {string} key
+ * @param {Record<string, any>} data
+ * @param {string} fallback - Pattern in the same `{name}` form
+ * @returns {string}
+ */
+export function formatOr(key, data, fallback) {
+  if (hasTranslation(key)) return format(key, data);
+  return String(fallback).replace(/\{(\w+)\}/g, (m, name) => (name in data ? String(data[name]) : m));
+}
+
+/**
+ * Key segment for a calendar name ("Cooling Sun" → "CoolingSun", "1 Day" → "1Day").
+ * @param {string} name
+ * @returns {string}
+ */
+export function contentKey(name) {
+  return String(name ?? '').replace(/[^A-Za-z0-9]+/g, '');
+}
+
+/**
+ * Translated text of a calendar entry (month, weekday, festival, season or canonical hour).
+ * @param {'months'|'weekdays'|'intercalary'|'seasons'|'canonicalHours'} kind
+ * @param {object|string} entry - The calendar's entry, or its name
+ * @param {'name'|'abbreviation'|'description'} [field]
+ * @returns {string}
+ */
+export function localizeCalendarText(kind, entry, field = 'name') {
+  const item = typeof entry === 'string' ? { name: entry } : (entry || {});
+  const fallback = String(item[field] ?? '');
+  const name = contentKey(item.name);
+  if (!name || !CALENDAR_KINDS[kind]) return fallback;
+  const key = `SSATHAS.Calendar.${CALENDAR_KINDS[kind]}.${name}.${field[0].toUpperCase()}${field.slice(1)}`;
+  return localizeOr(key, fallback);
+}
+
+/**
+ * Moon phase name ("Full Moon") in the current language, as `SSATHAS.Moons.Phases.<Name>`.
+ * @param {string} name
+ * @returns {string}
+ */
+export function localizeMoonPhase(name) {
+  return localizeOr(`SSATHAS.Moons.Phases.${contentKey(name)}`, String(name ?? ''));
+}
+
+/**
+ * Copy of a calendar with its months, weekdays, festivals, seasons, canonical hours, label
+ * and description
+ * translated, for display (never hand it to date math: festival dates carry the
+ * calendar's own names).
+ * @param {any} calendar
+ * @returns {any}
+ */
+export function localizeCalendar(calendar) {
+  if (!calendar || typeof calendar !== 'object') return calendar;
+  const out = { ...calendar };
+  for (const kind of Object.keys(CALENDAR_KINDS)) {
+    if (!Array.isArray(calendar[kind])) continue;
+    out[kind] = calendar[kind].map(entry => {
+      const copy = { ...entry };
+      for (const field of ['name', 'abbreviation', 'description']) {
+        if (typeof entry?.[field] === 'string') copy[field] = localizeCalendarText(kind, entry, field);
+      }
+      return copy;
+    });
+  }
+  for (const field of ['label', 'description']) {
+    if (typeof calendar[field] === 'string') out[field] = localizeOr(`SSATHAS.Calendar.Calendars.${calendar.id}.${field[0].toUpperCase()}${field.slice(1)}`, calendar[field]);
+  }
+  return out;
+}
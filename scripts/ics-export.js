@@ -0,0 +1,89 @@
+/**
+ * Seasons & Stars - Athas calendar export form
+ *
+ * Settings menu that downloads a range of Athasian days as an .ics file. The real-world
+ * day mapping is remembered in world settings; the range defaults to a year from today.
+ */
+
+/* global foundry, game, ui */
+
+import { MODULE_ID, getSetting, setSetting } from './settings.js';
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { toDateModel, addDays, buildCalendarMeta, formatDate } from './calendar-math.js';
+import { parseAthasDate } from './date-parser.js';
+import { buildIcs } from './ics.js';
+import { escapeHtml } from './html.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class IcsExportConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: 'ss-athas-ics-export',
+    tag: 'form',
+    window: { title: 'Export Athas Calendar (.ics)', icon: 'fas fa-calendar-alt' },
+    position: { width: 480, height: 'auto' },
+    form: { handler: IcsExportConfig.#onSubmit, closeOnSubmit: false },
+  };
+
+  /** @override */
+  async _renderHTML(_context, _options) {
+    const cal = getActiveCalendar();
+    const today = toDateModel(getCurrentDate());
+    const from = cal && today ? formatDate(cal, today) : '';
+    const to = cal && today ? formatDate(cal, addDays(cal, today, buildCalendarMeta(cal).daysPerYear - 1)) : '';
+    return `
+      <p class="hint">Athasian dates as in chat commands (“Scorch 1, KA 190.27”, “+100d”).</p>
+      <div class="form-group"><label>First day</label><input type="text" name="from" value="${escapeHtml(from)}"></div>
+      <div class="form-group"><label>Last day</label><input type="text" name="to" value="${escapeHtml(to)}"></div>
+      <div class="form-group"><label>First real day</label><input type="date" name="realStart" value="${escapeHtml(getSetting('icsRealStart') || '')}">
+        <p class="hint">Leave empty to start on the day of export.</p></div>
+      <div class="form-group"><label>Real days per Athasian day</label><input type="number" name="stepDays" min="1" step="1" value="${Number(getSetting('icsStepDays')) || 1}"></div>
+      <div class="form-group"><label>Include</label>
+        <label><input type="checkbox" name="days" checked> Every day</label>
+        <label><input type="checkbox" name="moons" checked> Moon alignments</label>
+        <label><input type="checkbox" name="events" checked> Events and holidays</label></div>
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-file-download"></i> Download .ics</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Remember the mapping and download the file.
+   * @this {IcsExportConfig}
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = formData.object;
+    const cal = getActiveCalendar();
+    if (!cal) { ui.notifications.error('Active calendar not available.'); return; }
+    const today = getCurrentDate();
+    const from = parseAthasDate(cal, data.from, { today });
+    const to = parseAthasDate(cal, data.to, { today });
+    if (from.error || to.error) { ui.notifications.error(from.error || to.error); return; }
+    const options = { realStart: data.realStart, stepDays: Number(data.stepDays), days: !!data.days, moons: !!data.moons, events: !!data.events };
+    const result = buildIcs(cal, from.date, to.date, options);
+    if (result.error) { ui.notifications.error(result.error); return; }
+    await setSetting('icsRealStart', data.realStart || '');
+    await setSetting('icsStepDays', options.stepDays);
+    foundry.utils.saveDataToFile(result.ics, 'text/calendar', `${MODULE_ID}.ics`);
+    ui.notifications.info(`Exported ${result.count} calendar entries.`);
+  }
+}
+
+/**
+ * Register the "Export .ics" button in the module settings.
+ */
+export function registerIcsExportMenu() {
+  game.settings.registerMenu(MODULE_ID, 'icsExportMenu', {
+    name: 'SSATHAS.Settings.IcsExportMenu.Name',
+    label: 'SSATHAS.Settings.IcsExportMenu.Label',
+    hint: 'SSATHAS.Settings.IcsExportMenu.Hint',
+    icon: 'fas fa-calendar-alt',
+    type: IcsExportConfig,
+    restricted: true,
+  });
+}
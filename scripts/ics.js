@@ -0,0 +1,167 @@
+/**
+ * Seasons & Stars - Athas iCalendar export
+ *
+ * Writes a range of Athasian days, moon alignments and recurring events as an .ics file
+ * for ordinary calendar apps. Athasian days are laid onto real-world days in sequence:
+ * the first day of the range falls on a chosen real date and each following day
+ * `stepDays` later (1 for day-for-day, 7 to put one in-world day on each weekly session).
+ * Every entry is an all-day event whose summary carries the date in the calendar's
+ * `athas-date` format (`athas-date-intercalary` on festival days), rendered by the S&S
+ * formatter; without S&S the local fallback formatter stands in.
+ */
+
+import { toAbsoluteDay, fromAbsoluteDay, toDateModel, getWeekdayIndex } from './calendar-math.js';
+import { scanCelestialEvents, describeCelestialEvent } from './celestial-events.js';
+import { getEventsBetween } from './events.js';
+import { formatAthasDateLocal } from './day-card.js';
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { MODULE_ID, getSetting } from './settings.js';
+
+/** Longest range exported at once (ten Athasian years). */
+export const MAX_ICS_DAYS = 3750;
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Date formatter for summaries: the calendar's `athas-date` named formats through the
+ * S&S formatter (carried by its current date) when the calendar is the active one, else
+ * the local fallback.
+ * @param {any} calendar
+ * @returns {(date:any)=>string}
+ */
+function athasDateFormatter(calendar) {
+  const local = (date) => formatAthasDateLocal(calendar, date);
+  const formatter = getCurrentDate()?.formatter;
+  if (typeof formatter?.formatNamed !== 'function' || getActiveCalendar()?.id !== calendar?.id) return local;
+  return (date) => {
+    try {
+      const name = date.intercalary ? 'athas-date-intercalary' : 'athas-date';
+      return formatter.formatNamed({ ...date, weekday: getWeekdayIndex(calendar, date) ?? 0 }, name) || local(date);
+    } catch (_e) { return local(date); }
+  };
+}
+
+/**
+ * Escape text for an iCalendar TEXT value.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeIcsText(text) {
+  return String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 §3.1), never splitting a UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    // Continuation lines start with a space, which counts toward their 75 octets
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Parse a real-world `YYYY-MM-DD` date as UTC midnight.
+ * @param {string} text
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function parseRealDate(text) {
+  const m = String(text ?? '').trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return new Date(ms).getUTCDate() === Number(m[3]) ? ms : null;
+}
+
+/**
+ * iCalendar DATE value for a moment.
+ * @param {number} ms
+ * @returns {string}
+ */
+function icsDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Build an .ics file.
+ * @param {any} calendar
+ * @param {any} fromDate - First Athasian day (inclusive)
+ * @param {any} toDate - Last Athasian day (inclusive)
+ * @param {object} [options]
+ * @param {string} [options.realStart] - Real date (`YYYY-MM-DD`) of the first day; today if empty
+ * @param {number} [options.stepDays=1] - Real days per Athasian day
+ * @param {boolean} [options.days=true] - One entry per Athasian day
+ * @param {boolean} [options.moons=true] - Moon alignments, on the day they peak
+ * @param {boolean} [options.events=true] - Recurring events and city holidays
+ * @param {number} [options.tolerance] - Alignment tolerance in degrees (world setting by default)
+ * @param {Date} [options.now] - DTSTAMP (for reproducible output)
+ * @returns {{ics:string, count:number}|{error:string}}
+ */
+export function buildIcs(calendar, fromDate, toDate, {
+  realStart, stepDays = 1, days = true, moons = true, events = true, tolerance = getSetting('eventTolerance'), now = new Date(),
+} = {}) {
+  const a = toAbsoluteDay(calendar, toDateModel(fromDate));
+  const b = toAbsoluteDay(calendar, toDateModel(toDate));
+  if (a == null || b == null) return { error: 'Give a valid first and last day.' };
+  const lo = Math.min(a, b);
+  const hi = Math.max(a, b);
+  if (hi - lo + 1 > MAX_ICS_DAYS) return { error: `Export at most ${MAX_ICS_DAYS} days at a time.` };
+  const step = Number(stepDays);
+  if (!Number.isInteger(step) || step < 1) return { error: 'Real days per Athasian day must be a whole number of at least 1.' };
+  const today = new Date(now);
+  const start = realStart ? parseRealDate(realStart) : Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  if (start == null) return { error: `“${realStart}” is not a real date; use YYYY-MM-DD.` };
+
+  const realDay = (abs) => start + (abs - lo) * step * MS_PER_DAY;
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:-//${MODULE_ID}//Athas Calendar//EN`, 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${escapeIcsText(calendar?.label || 'Athas')}`];
+  let count = 0;
+  const add = (uid, abs, length, summary, description) => {
+    lines.push('BEGIN:VEVENT', `UID:${uid}@${MODULE_ID}`, `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(realDay(abs))}`, `DTEND;VALUE=DATE:${icsDate(realDay(abs + length))}`,
+      `SUMMARY:${escapeIcsText(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    lines.push('END:VEVENT');
+    count++;
+  };
+  const format = athasDateFormatter(calendar);
+  const athasDate = (abs) => format(fromAbsoluteDay(calendar, abs));
+
+  if (days) {
+    for (let abs = lo; abs <= hi; abs++) add(`day-${abs}`, abs, 1, athasDate(abs));
+  }
+  if (moons) {
+    const found = scanCelestialEvents(calendar, fromAbsoluteDay(calendar, lo), fromAbsoluteDay(calendar, hi), { tolerance });
+    for (const ev of found) {
+      const abs = toAbsoluteDay(calendar, ev.peak);
+      if (abs < lo || abs > hi) continue;
+      add(`moons-${ev.type.toLowerCase()}-${abs}`, abs, 1, `${ev.label} — ${athasDate(abs)}`, describeCelestialEvent(calendar, ev));
+    }
+  }
+  if (events) {
+    const found = getEventsBetween(calendar, fromAbsoluteDay(calendar, lo), fromAbsoluteDay(calendar, hi), { tolerance });
+    for (const ev of found) {
+      const abs = toAbsoluteDay(calendar, ev.date);
+      // A multi-day event is one entry from its first day (or the range start)
+      if (ev.dayOf !== 1 && abs !== lo) continue;
+      const length = Math.min(ev.days - ev.dayOf + 1, hi - abs + 1);
+      add(`event-${ev.id}-${abs}`, abs, length, `${ev.name} — ${athasDate(abs)}`, ev.description);
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return { ics: `${lines.map(foldIcsLine).join('\r\n')}\r\n`, count };
+}
@@ -0,0 +1,288 @@
+/**
+ * Seasons & Stars - Athas King's Age
+ *
+ * King's Age math and named-year lookup. King's Ages repeat every 77 years; each age
+ * begins on a multiple of 77 (year 14630 opens the 190th King's Age).
+ *
+ * Year names come from a table, looked up in order: the world override (settings), the
+ * active calendar's `yearNames`, then the built-in Endlean/Seofean cycles. A table is
+ * either an explicit list of 77 names (`{ names }`, or a bare array) or name cycles that
+ * are combined per year (`{ cycles, separator }`).
+ *
+ * Names are translated for display: each fragment ("Ral", "Fury") and whole name is
+ * looked up under `SSATHAS.YearNames.Fragments.<Name>` in the language file, with an
+ * optional `Possessive` form, and cycles joined by the default `’s ` are composed with
+ * the language's `SSATHAS.YearNames.Format` ("{possessive1} {name2}" in English), so a
+ * translation can change the word order and possessive. Parsing accepts both.
+ */
+
+import { safeMod } from './calendar-math.js';
+import { getActiveCalendar, getCurrentYear } from './context.js';
+import { getSetting } from './settings.js';
+import { contentKey, format, hasTranslation, localizeOr } from './i18n.js';
+
+/** Years in one King's Age (one full Endlean × Seofean cycle). */
+export const KINGS_AGE_LENGTH = 77;
+
+/** Free Year 0 (the `free-year` date format subtracts this): FY78 is 14656. */
+export const FREE_YEAR_OFFSET = 14578;
+
+// Cycle 1: 11 names
+export const endlean = [
+  "Ral",
+  "Friend",
+  "Desert",
+  "Priest",
+  "Wind",
+  "Dragon",
+  "Mountain",
+  "King",
+  "Silt",
+  "Enemy",
+  "Guthay"
+];
+
+// Cycle 2: 7 names
+export const seofean = [
+  "Fury",
+  "Contemplation",
+  "Vengeance",
+  "Slumber",
+  "Defiance",
+  "Reverence",
+  "Agitation"
+];
+
+/** Built-in table: Endlean × Seofean ("Ral’s Fury"). */
+export const DEFAULT_YEAR_NAMES = { cycles: [endlean, seofean], separator: '’s ' };
+
+/**
+ * Non-empty trimmed strings, or null if any entry is not one.
+ * @param {any} list
+ * @returns {string[]|null}
+ */
+function nameList(list) {
+  if (!Array.isArray(list) || !list.length) return null;
+  const names = list.map(n => (typeof n === 'string' ? n.trim() : ''));
+  return names.every(Boolean) ? names : null;
+}
+
+/**
+ * Validate a year-name table (calendar JSON, world setting or imported file).
+ * @param {any} data - `{ names }`, a bare array of names, or `{ cycles, separator? }`
+ * @returns {{table:{names:string[]}|{cycles:string[][], separator:string}}|{error:string}}
+ */
+export function normalizeYearNameTable(data) {
+  const src = Array.isArray(data) ? { names: data } : data;
+  if (!src || typeof src !== 'object') return { error: 'Year-name table must be a JSON object or array.' };
+  if (src.names !== undefined) {
+    const names = nameList(src.names);
+    if (!names) return { error: 'Every entry in "names" must be a non-empty string.' };
+    if (names.length !== KINGS_AGE_LENGTH) return { error: `"names" must list exactly ${KINGS_AGE_LENGTH} years (found ${names.length}).` };
+    return { table: { names } };
+  }
+  if (src.cycles !== undefined) {
+    if (!Array.isArray(src.cycles) || !src.cycles.length) return { error: '"cycles" must be a non-empty array of name lists.' };
+    const cycles = src.cycles.map(nameList);
+    if (cycles.some(c => !c)) return { error: 'Every cycle must be a non-empty list of non-empty strings.' };
+    const separator = src.separator === undefined ? DEFAULT_YEAR_NAMES.separator : src.separator;
+    if (typeof separator !== 'string') return { error: '"separator" must be a string.' };
+    return { table: { cycles, separator } };
+  }
+  return { error: 'Year-name table needs either "names" or "cycles".' };
+}
+
+/**
+ * Effective year-name table and where it came from.
+ * @param {any} [calendar] - Defaults to the active S&S calendar
+ * @returns {{table:object, source:'world'|'calendar'|'default'}}
+ */
+export function getYearNameTable(calendar = getActiveCalendar()) {
+  const override = getSetting('yearNames');
+  if (override) {
+    const { table } = normalizeYearNameTable(override);
+    if (table) return { table, source: 'world' };
+  }
+  if (calendar?.yearNames) {
+    const { table } = normalizeYearNameTable(calendar.yearNames);
+    if (table) return { table, source: 'calendar' };
+  }
+  return { table: DEFAULT_YEAR_NAMES, source: 'default' };
+}
+
+/** Language pattern composing a year from its cycle fragments. */
+const YEAR_NAME_FORMAT = 'SSATHAS.YearNames.Format';
+
+/**
+ * A year-name fragment in the current language.
+ * @param {string} text - The table's fragment
+ * @returns {{known:boolean, name:string, possessive:string}}
+ */
+export function localizeYearFragment(text) {
+  const key = `SSATHAS.YearNames.Fragments.${contentKey(text)}`;
+  const known = hasTranslation(`${key}.Name`);
+  const name = known ? localizeOr(`${key}.Name`, text) : text;
+  return { known, name, possessive: localizeOr(`${key}.Possessive`, name) };
+}
+
+/**
+ * Name of the Nth year of a King's Age under a table.
+ * @param {object} table - Normalized table
+ * @param {number} yearInAge - 1..77
+ * @param {{localized?:boolean}} [options] - False for the table's own text
+ * @returns {string}
+ */
+export function composeYearName(table, yearInAge, { localized = true } = {}) {
+  const i = yearInAge - 1;
+  if (table.names) return localized ? localizeYearFragment(table.names[i]).name : table.names[i];
+  const parts = table.cycles.map(c => c[i % c.length]);
+  if (localized && table.separator === DEFAULT_YEAR_NAMES.separator && hasTranslation(YEAR_NAME_FORMAT)) {
+    const fragments = parts.map(localizeYearFragment);
+    if (fragments.every(f => f.known)) {
+      const data = {};
+      fragments.forEach((f, n) => { data[`name${n + 1}`] = f.name; data[`possessive${n + 1}`] = f.possessive; });
+      return format(YEAR_NAME_FORMAT, data);
+    }
+  }
+  return parts.join(table.separator);
+}
+
+/**
+ * Serialize a table for export (pretty-printed JSON, importable as-is).
+ * @param {object} table
+ * @returns {string}
+ */
+export function exportYearNameTable(table) {
+  return JSON.stringify(table.names ? { names: table.names } : { cycles: table.cycles, separator: table.separator }, null, 2);
+}
+
+/**
+ * Parse an imported JSON string into a validated table.
+ * @param {string} json
+ * @returns {{table:object}|{error:string}}
+ */
+export function importYearNameTable(json) {
+  let data;
+  try { data = JSON.parse(String(json)); } catch (e) { return { error: `Invalid JSON: ${e.message}` }; }
+  return normalizeYearNameTable(data);
+}
+
+/**
+ * Compute King's Age, year-in-age, and year name (single API).
+ * @param {number} [year] - Absolute year; defaults to the current S&S year
+ * @returns {{year:number,kingsAge:number,yearInAge:number,yearName:string}|null}
+ */
+export function getYearInfo(year) {
+  const y = typeof year === 'number' ? year : getCurrentYear();
+  if (typeof y !== 'number') return null;
+
+  // Align so 14656 -> KA 190, Year 27 (and 14655, FY77, is Priest's Defiance, KA 190.26)
+  const kingsAge = Math.floor(y / KINGS_AGE_LENGTH);
+  const yearInAge = safeMod(y, KINGS_AGE_LENGTH) + 1;
+
+  const yearName = composeYearName(getYearNameTable().table, yearInAge);
+
+  return {
+    year: y,                           // absolute year
+    kingsAge,                          // floor(year / 77)
+    yearInAge,                         // 1..77
+    yearName,
+  };
+}
+
+/**
+ * Absolute year for a King's Age and year within it.
+ * @param {number} kingsAge
+ * @param {number} yearInAge - 1..77
+ * @returns {number}
+ */
+export function yearFromKingsAge(kingsAge, yearInAge) {
+  return kingsAge * KINGS_AGE_LENGTH + yearInAge - 1;
+}
+
+/**
+ * Lower-case a year name and unify apostrophes and spacing for comparison.
+ * @param {string} text
+ * @returns {string}
+ */
+function nameKey(text) {
+  return String(text).toLowerCase().replace(/[’‘`]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Every year-in-age (1..77) whose name, as the table gives it or translated, matches
+ * under the effective table.
+ * @param {string} name
+ * @returns {number[]}
+ */
+function findYearsInAge(name) {
+  const key = nameKey(name);
+  const { table } = getYearNameTable();
+  const out = [];
+  for (let y = 1; y <= KINGS_AGE_LENGTH; y++) {
+    const names = [composeYearName(table, y), composeYearName(table, y, { localized: false })];
+    if (names.some(n => nameKey(n) === key)) out.push(y);
+  }
+  return out;
+}
+
+/**
+ * Parse a year written the ways players say it and return the absolute year(s).
+ *
+ * Accepts "190.27", "KA 190 Y27", "KA 190, Year 27", "Year of Priest's Defiance, KA 190",
+ * "the Year of Priest's Defiance in the 190th King's Age", "FY78" and plain "14656". A
+ * year name without a King's Age is ambiguous: every matching year within the range is
+ * listed (by default the King's Ages before, during and after the current year).
+ * @param {string|number} text
+ * @param {{from?:number, to?:number}} [options] - Inclusive absolute-year range for bare names
+ * @returns {{year:number|null, ambiguous:boolean, matches:object[]}|null} `matches` holds
+ *   {@link getYearInfo} results; null when the text is not a year
+ */
+export function parseYear(text, { from, to } = {}) {
+  const single = (year) => ({ year, ambiguous: false, matches: [getYearInfo(year)] });
+  if (typeof text === 'number') return Number.isInteger(text) ? single(text) : null;
+  const raw = String(text ?? '').trim();
+  if (!raw) return null;
+
+  if (/^-?\d+$/.test(raw)) return single(Number(raw));
+
+  let m = raw.match(/^(?:fy|free\s*year)\s*(-?\d+)$/i);
+  if (m) return single(FREE_YEAR_OFFSET + Number(m[1]));
+
+  const kaYear = (ka, y) => (y >= 1 && y <= KINGS_AGE_LENGTH ? single(yearFromKingsAge(ka, y)) : null);
+  m = raw.match(/^(?:ka\s*)?(\d+)\s*\.\s*(\d+)$/i);
+  if (m) return kaYear(Number(m[1]), Number(m[2]));
+  m = raw.match(/^ka\s*(\d+)\s*,?\s*(?:y|year)\s*(\d+)$/i);
+  if (m) return kaYear(Number(m[1]), Number(m[2]));
+  m = raw.match(/^(?:y|year)\s*(\d+)\s*(?:,|of|in)?\s*(?:the\s*)?ka\s*(\d+)$/i);
+  if (m) return kaYear(Number(m[2]), Number(m[1]));
+
+  // Year name, optionally with a King's Age ("KA 190", "190th King's Age")
+  let kingsAge = null;
+  let name = raw;
+  m = name.match(/[,\s]*(?:in\s+)?(?:the\s+)?(?:ka\s*(\d+)|(\d+)(?:st|nd|rd|th)?\s+king['’]?s\s+age)\s*$/i);
+  if (m) {
+    kingsAge = Number(m[1] ?? m[2]);
+    name = name.slice(0, m.index);
+  }
+  name = name.replace(/^(?:the\s+)?year\s+of\s+(?:the\s+)?/i, '').replace(/[,.\s]+$/, '');
+  const yearsInAge = name ? findYearsInAge(name) : [];
+  if (!yearsInAge.length) return null;
+  if (kingsAge != null) {
+    const matches = yearsInAge.map(y => getYearInfo(yearFromKingsAge(kingsAge, y)));
+    return { year: matches.length === 1 ? matches[0].year : null, ambiguous: matches.length > 1, matches };
+  }
+
+  const current = getCurrentYear() ?? Number(getActiveCalendar()?.year?.currentYear);
+  const centerAge = Number.isFinite(current) ? Math.floor(current / KINGS_AGE_LENGTH) : 0;
+  const lo = Number.isFinite(from) ? from : (centerAge - 1) * KINGS_AGE_LENGTH;
+  const hi = Number.isFinite(to) ? to : (centerAge + 2) * KINGS_AGE_LENGTH - 1;
+  const matches = [];
+  for (let ka = Math.floor(lo / KINGS_AGE_LENGTH); ka <= Math.floor(hi / KINGS_AGE_LENGTH); ka++) {
+    for (const y of yearsInAge) {
+      const year = yearFromKingsAge(ka, y);
+      if (year >= lo && year <= hi) matches.push(getYearInfo(year));
+    }
+  }
+  return { year: matches.length === 1 ? matches[0].year : null, ambiguous: matches.length !== 1, matches };
+}
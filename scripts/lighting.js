@@ -0,0 +1,150 @@
+/**
+ * Seasons & Stars - Athas scene lighting
+ *
+ * Opt-in automation of scene darkness. By day the darkness follows the sun's canonical
+ * period; at night it depends on how much moonlight there is: the illumination of every
+ * moon above the horizon, averaged over both moons. A Darkest night is pitch black and a
+ * Brightest night eerily bright. Moonlight tints the scene's dark environment with the
+ * moons' colours. The active GM updates every scene not excluded with the scene flag
+ * `seasons-and-stars-athas.lightingExcluded`, animating the change.
+ */
+
+/* global game, Scene */
+
+import { toDateModel } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, isActiveGM } from './context.js';
+import { getCelestialEventsOn } from './celestial-events.js';
+import { getSkyState, moonColor } from './sky.js';
+import { MODULE_ID, getSetting } from './settings.js';
+import { localizeOr } from './i18n.js';
+
+/** Darkness by daytime canonical period; any other period is night. */
+export const PERIOD_DARKNESS = { morning: 0.25, midday: 0, evening: 0.45 };
+
+/** Darkness of a moonless night, and how much full moonlight takes away. */
+const NIGHT_DARKNESS = 1;
+const MOONLIGHT_RELIEF = 0.5;
+
+/** Darkness on a Brightest night. */
+const BRIGHTEST_DARKNESS = 0.25;
+
+/**
+ * Parse `#rrggbb` into channels.
+ * @param {string} hex
+ * @returns {number[]|null}
+ */
+function hexToRgb(hex) {
+  const m = String(hex || '').match(/^#?([0-9a-f]{6})$/i);
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Hue of a colour as a fraction of the colour wheel (Foundry's environment hue).
+ * @param {string} hex
+ * @returns {number}
+ */
+export function hexToHue(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return 0;
+  const [r, g, b] = rgb.map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  if (d === 0) return 0;
+  const h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return ((h / 6) + 1) % 1;
+}
+
+/**
+ * Scene lighting for a moment.
+ * @param {any} calendar
+ * @param {any} date - Canonical date
+ * @param {any} [time] - Defaults to `date.time`
+ * @param {{tolerance?:number}} [options] - Moon alignment tolerance (world setting by default)
+ * @returns {{darkness:number, period:string, night:boolean, moonLight:number, event:string|null, tint:{color:string, intensity:number}|null}}
+ */
+export function computeSceneLighting(calendar, date, time, { tolerance = getSetting('eventTolerance') } = {}) {
+  const sky = getSkyState(calendar, date, time);
+  const period = sky.sun.period;
+  const day = PERIOD_DARKNESS[String(period || '').toLowerCase()];
+  if (day != null) return { darkness: day, period, night: false, moonLight: 0, event: null, tint: null };
+
+  const lit = sky.moons.map(m => ({ color: moonColor(m), light: m.aboveHorizon ? m.illumination / 100 : 0 }));
+  const total = lit.reduce((n, m) => n + m.light, 0);
+  const moonLight = lit.length ? Math.round(1000 * total / lit.length) / 1000 : 0;
+  const types = getCelestialEventsOn(calendar, toDateModel(date), { tolerance }).map(ev => ev.type);
+  const event = ['Darkest', 'Brightest'].find(t => types.includes(t)) || null;
+  if (event === 'Darkest') return { darkness: 1, period, night: true, moonLight, event, tint: null };
+
+  let tint = null;
+  if (total > 0) {
+    const rgb = [0, 1, 2].map(i => Math.round(lit.reduce((n, m) => n + (hexToRgb(m.color)?.[i] ?? 0) * m.light, 0) / total));
+    tint = { color: `#${rgb.map(v => v.toString(16).padStart(2, '0')).join('')}`, intensity: event === 'Brightest' ? 1 : moonLight };
+  }
+  const darkness = event === 'Brightest' ? BRIGHTEST_DARKNESS : NIGHT_DARKNESS - MOONLIGHT_RELIEF * moonLight;
+  return { darkness: Math.round(1000 * darkness) / 1000, period, night: true, moonLight, event, tint };
+}
+
+/**
+ * Whether a scene is left out of the automation.
+ * @param {any} scene
+ * @returns {boolean}
+ */
+export function isSceneExcluded(scene) {
+  return !!scene?.getFlag?.(MODULE_ID, 'lightingExcluded');
+}
+
+/**
+ * Scene update for a lighting state, or null when the scene already matches.
+ * @param {any} scene
+ * @param {object} light - From {@link computeSceneLighting}
+ * @returns {object|null}
+ */
+export function sceneLightingUpdate(scene, light) {
+  const env = scene?.environment || {};
+  const hue = light.tint ? Math.round(1000 * hexToHue(light.tint.color)) / 1000 : env.dark?.hue ?? 0;
+  // Moonlight tints the dark environment at most halfway
+  const intensity = light.tint ? Math.round(500 * light.tint.intensity) / 1000 : 0;
+  const change = {};
+  if (Math.abs((env.darknessLevel ?? 0) - light.darkness) > 0.005) change['environment.darknessLevel'] = light.darkness;
+  if ((env.dark?.hue ?? 0) !== hue) change['environment.dark.hue'] = hue;
+  if ((env.dark?.intensity ?? 0) !== intensity) change['environment.dark.intensity'] = intensity;
+  return Object.keys(change).length ? { _id: scene.id, ...change } : null;
+}
+
+/**
+ * Set every included scene's darkness and tint for the current moment. Runs on the active
+ * GM only, when the automation is on.
+ * @param {{animate?:boolean}} [options] - Animate over the configured transition (default)
+ * @returns {Promise<object|null>} The lighting applied, or null when nothing ran
+ */
+export async function applySceneLighting({ animate = true } = {}) {
+  if (!getSetting('sceneLighting') || !isActiveGM()) return null;
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  const date = toDateModel(now);
+  if (!cal || !date) return null;
+  const light = computeSceneLighting(cal, date, now.time);
+  const updates = game.scenes.filter(s => !isSceneExcluded(s)).map(s => sceneLightingUpdate(s, light)).filter(Boolean);
+  if (updates.length) {
+    await Scene.updateDocuments(updates, { animateDarkness: animate ? Math.max(0, Number(getSetting('lightingTransition')) || 0) * 1000 : 0 });
+  }
+  return light;
+}
+
+/**
+ * Add the "leave out of Athas lighting" checkbox to the scene configuration's lighting tab.
+ * @param {any} app - SceneConfig
+ * @param {HTMLElement} element
+ */
+export function addSceneConfigExclusion(app, element) {
+  if (!(element instanceof HTMLElement) || element.querySelector(`[name="flags.${MODULE_ID}.lightingExcluded"]`)) return;
+  const tab = element.querySelector('.tab[data-tab="lighting"]') || element.querySelector('form') || element;
+  const group = document.createElement('div');
+  group.className = 'form-group';
+  group.innerHTML = `<label>${localizeOr('SSATHAS.Lighting.Label', 'Athas lighting')}</label><div class="form-fields"><label class="checkbox">
+    <input type="checkbox" name="flags.${MODULE_ID}.lightingExcluded" ${isSceneExcluded(app.document) ? 'checked' : ''}> ${localizeOr('SSATHAS.Lighting.Exclude', 'Leave this scene’s darkness alone')}</label></div>
+    <p class="hint">${localizeOr('SSATHAS.Lighting.Hint', 'Exclude this scene from the time-of-day and moonlight darkness automation.')}</p>`;
+  tab.append(group);
+}
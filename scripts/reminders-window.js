@@ -0,0 +1,76 @@
+/**
+ * Seasons & Stars - Athas reminders list
+ *
+ * GM window listing every scheduled reminder, soonest first, with when it falls due,
+ * how it repeats, who sees it and its macro. Reminders are added with `/remind` and can
+ * be deleted here.
+ */
+
+/* global foundry, ui */
+
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { getReminders, removeReminder, describeTimestamp, describeRecurrence, toTimestamp } from './reminders.js';
+import { escapeHtml } from './html.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class RemindersApp extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: 'ss-athas-reminders',
+    window: { title: 'Athas Reminders', icon: 'fas fa-bell', resizable: true },
+    position: { width: 560, height: 'auto' },
+    actions: {
+      delete: RemindersApp.#onDelete,
+    },
+  };
+
+  /** @override */
+  async _renderHTML(_context, _options) {
+    const cal = getActiveCalendar();
+    if (!cal) return '<p>Active calendar not available.</p>';
+    const list = getReminders();
+    if (!list.length) return '<p>No reminders. Add one with <code>/remind in 3 days: Caravan arrives</code>.</p>';
+    const now = toTimestamp(cal, getCurrentDate());
+    const rows = list.map(r => `<tr>
+        <td>${escapeHtml(describeTimestamp(cal, r.at))}${now != null && r.at <= now ? ' <em>(due)</em>' : ''}</td>
+        <td>${escapeHtml(r.text)}</td>
+        <td>${escapeHtml(describeRecurrence(r.recur) || '—')}</td>
+        <td>${r.public ? 'Everyone' : 'GM'}${r.macro ? `; macro ${escapeHtml(r.macro)}` : ''}</td>
+        <td><a data-action="delete" data-id="${escapeHtml(r.id)}" title="Delete"><i class="fas fa-trash"></i></a></td>
+      </tr>`).join('');
+    return `<table><tr><th>Due</th><th>Reminder</th><th>Repeats</th><th>Shown to</th><th></th></tr>${rows}</table>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Delete a reminder.
+   * @this {RemindersApp}
+   */
+  static async #onDelete(_event, target) {
+    if (await removeReminder(target.dataset.id)) ui.notifications.info('Reminder deleted.');
+    this.render();
+  }
+}
+
+let app = null;
+
+/**
+ * Open (or bring forward) the reminders list.
+ * @returns {Promise<RemindersApp>}
+ */
+export async function openRemindersWindow() {
+  app ??= new RemindersApp();
+  await app.render({ force: true });
+  return app;
+}
+
+/**
+ * Redraw the reminders list if it is open (after time passes or reminders change).
+ */
+export function refreshRemindersWindow() {
+  if (app?.rendered) app.render();
+}
@@ -0,0 +1,318 @@
+/**
+ * Seasons & Stars - Athas reminders
+ *
+ * Reminders and timed effects scheduled in Athasian time ("caravan arrives in 3 days",
+ * "Templar audit on Rest 12", "enchantment expires at 2nd Watch"). Each is stored in
+ * world settings with an absolute timestamp: seconds since the first day of the
+ * calendar, so it survives calendar-time jumps of any size. When world time passes one,
+ * the active GM posts it (whispered to the GM unless public) and runs its macro, once
+ * per jump even when a repeating reminder came due several times.
+ *
+ * Repeats follow the calendar: `day`, `week` (the same weekday, skipping festival days
+ * outside the week), `month` (the same day of a later month), `festival` (the same day
+ * of a later festival of the sun) or `year`.
+ */
+
+/* global game, ChatMessage, fromUuid */
+
+import {
+  buildCalendarMeta, toDateModel, toAbsoluteDay, fromAbsoluteDay, findSegment, getSecondsPerDay, getWeekdayIndex, safeMod,
+} from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, isActiveGM } from './context.js';
+import { toHourOfDay } from './ephemeris.js';
+import { parseAthasDate } from './date-parser.js';
+import { formatHour12 } from './time-of-day.js';
+import { formatAthasDateLocal } from './day-card.js';
+import { getSetting, setSetting } from './settings.js';
+import { escapeHtml } from './html.js';
+
+export const RECUR_UNITS = ['day', 'week', 'month', 'festival', 'year'];
+
+/** Most occurrences of one repeating reminder worked through in a single jump. */
+const MAX_CATCH_UP = 100000;
+
+/**
+ * Absolute timestamp (seconds since the calendar's first day) of a date and time.
+ * @param {any} calendar
+ * @param {any} date - Canonical date, optionally with `time`
+ * @returns {number|null}
+ */
+export function toTimestamp(calendar, date) {
+  const abs = toAbsoluteDay(calendar, toDateModel(date));
+  if (abs == null) return null;
+  const hours = toHourOfDay(calendar, date?.time) ?? 0;
+  return abs * getSecondsPerDay(calendar) + Math.round(hours * 3600);
+}
+
+/**
+ * Date and time of an absolute timestamp.
+ * @param {any} calendar
+ * @param {number} ts
+ * @returns {object} Canonical date with `time: { hour, minute, second }`
+ */
+export function fromTimestamp(calendar, ts) {
+  const perDay = getSecondsPerDay(calendar);
+  const day = Math.floor(ts / perDay);
+  const rest = ts - day * perDay;
+  return { ...fromAbsoluteDay(calendar, day), time: { hour: Math.floor(rest / 3600), minute: Math.floor((rest % 3600) / 60), second: rest % 60 } };
+}
+
+/**
+ * "Rest 12 KA 190.27, 02:00 AM" for a timestamp.
+ * @param {any} calendar
+ * @param {number} ts
+ * @returns {string}
+ */
+export function describeTimestamp(calendar, ts) {
+  const at = fromTimestamp(calendar, ts);
+  return `${formatAthasDateLocal(calendar, at)}, ${formatHour12(at.time.hour + at.time.minute / 60)}`;
+}
+
+/**
+ * Day `day` of a segment in a year, clamped to the segment's length.
+ * @param {number} year
+ * @param {object} segment
+ * @param {number} day
+ * @returns {object}
+ */
+function dayOfSegment(year, segment, day) {
+  const date = { year, month: segment.month, day: Math.min(day, segment.days) };
+  if (segment.type === 'intercalary') date.intercalary = segment.name;
+  return date;
+}
+
+/**
+ * The next time a repeating reminder falls due, keeping the time of day.
+ * @param {any} calendar
+ * @param {number} ts - The occurrence just reached
+ * @param {{unit:string, every?:number}} recur
+ * @returns {number|null}
+ */
+export function nextOccurrence(calendar, ts, { unit, every = 1 }) {
+  const perDay = getSecondsPerDay(calendar);
+  const timeOfDay = safeMod(ts, perDay);
+  const abs = Math.floor(ts / perDay);
+  const date = fromAbsoluteDay(calendar, abs);
+  const n = Math.max(1, Math.floor(Number(every) || 1));
+  const meta = buildCalendarMeta(calendar);
+  let next = null;
+  if (unit === 'day') next = abs + n;
+  else if (unit === 'week') {
+    const week = Array.isArray(calendar?.weekdays) ? calendar.weekdays.length : 0;
+    if (!week || getWeekdayIndex(calendar, date) == null) next = abs + n * (week || 7);
+    else {
+      next = abs;
+      for (let counted = 0; counted < n * week;) { next++; if (getWeekdayIndex(calendar, fromAbsoluteDay(calendar, next)) != null) counted++; }
+    }
+  } else if (unit === 'year') next = toAbsoluteDay(calendar, dayOfSegment(date.year + n, findSegment(calendar, date), date.day));
+  else if (unit === 'month' || unit === 'festival') {
+    // Festival days repeat on later festivals; month days on later months
+    const type = unit === 'festival' || date.intercalary ? 'intercalary' : 'month';
+    let index = meta.segments.indexOf(findSegment(calendar, date));
+    let year = date.year;
+    for (let found = 0; found < n;) {
+      index++;
+      if (index >= meta.segments.length) { index = 0; year++; }
+      if (meta.segments[index].type === type) found++;
+    }
+    next = toAbsoluteDay(calendar, dayOfSegment(year, meta.segments[index], date.day));
+  }
+  return next == null ? null : next * perDay + timeOfDay;
+}
+
+/**
+ * Reminders that have come due by a moment, and the list to keep. A repeating reminder
+ * fires once with the number of occurrences passed and moves to its next one.
+ * @param {any} calendar
+ * @param {object[]} reminders
+ * @param {number} nowTs
+ * @returns {{fired:{reminder:object, first:number, last:number, occurrences:number, next:number|null}[], remaining:object[]}}
+ */
+export function collectDueReminders(calendar, reminders, nowTs) {
+  const fired = [];
+  const remaining = [];
+  for (const reminder of reminders) {
+    if (!(reminder.at <= nowTs)) { remaining.push(reminder); continue; }
+    let last = reminder.at;
+    let occurrences = 1;
+    let next = reminder.recur ? nextOccurrence(calendar, last, reminder.recur) : null;
+    while (next != null && next <= nowTs && occurrences < MAX_CATCH_UP) {
+      last = next;
+      occurrences++;
+      next = nextOccurrence(calendar, last, reminder.recur);
+    }
+    fired.push({ reminder, first: reminder.at, last, occurrences, next });
+    if (next != null) remaining.push({ ...reminder, at: next });
+  }
+  fired.sort((a, b) => a.last - b.last);
+  return { fired, remaining };
+}
+
+/**
+ * Read a recurrence ("year", "2 weeks", "festival").
+ * @param {string} text
+ * @returns {{unit:string, every:number}|null}
+ */
+export function parseRecurrence(text) {
+  const m = String(text ?? '').trim().toLowerCase().match(/^(?:(\d+)\s*)?([a-z]+?)s?$/);
+  if (!m || !RECUR_UNITS.includes(m[2]) || m[1] === '0') return null;
+  return { unit: m[2], every: Number(m[1] || 1) };
+}
+
+/**
+ * Read a `/remind` request:
+ * `<when> [every [n] day|week|month|festival|year] [public] [macro <name>]: <message>`,
+ * where `<when>` is `in <n> minutes|hours|days|weeks|months|festivals|years`,
+ * `at <time>` (the next such time) or a date with an optional `at <time>`.
+ * @param {any} calendar
+ * @param {string} text
+ * @param {{now:any}} options - Current date with `time`
+ * @returns {{reminder:{text:string, at:number, recur:object|null, macro:string|null, public:boolean}}|{error:string}}
+ */
+export function parseReminder(calendar, text, { now }) {
+  // Split at the first colon followed by a space, so "at 21:30: …" keeps its clock time
+  const split = String(text ?? '').match(/^(.*?):\s+(.+)$/s) || String(text ?? '').match(/^([^:]*):(.*)$/s);
+  if (!split || !split[2].trim()) return { error: 'Give the reminder text after a colon, e.g. “in 3 days: Caravan arrives”.' };
+  const message = split[2].trim();
+  let when = split[1].trim();
+  const nowTs = toTimestamp(calendar, now);
+  if (nowTs == null) return { error: 'No current date available.' };
+
+  let macro = null;
+  when = when.replace(/\s+macro\s+(.+)$/i, (_, name) => { macro = name.trim(); return ''; });
+  const isPublic = /\s*\bpublic\b/i.test(when);
+  when = when.replace(/\s*\bpublic\b/i, '');
+  let recur = null;
+  const every = when.match(/\s*\bevery\s+(.+)$/i);
+  if (every) {
+    recur = parseRecurrence(every[1]);
+    if (!recur) return { error: `Repeat “every ${every[1].trim()}”: use day, week, month, festival or year, optionally with a number.` };
+    when = when.slice(0, every.index);
+  }
+  when = when.trim();
+
+  let at = null;
+  const rel = when.match(/^in\s+(\d+)\s*([a-z]+?)s?$/i);
+  const timeOnly = when.match(/^at\s+(.+)$/i);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unit = rel[2].toLowerCase();
+    const seconds = { minute: 60, min: 60, hour: 3600, h: 3600, d: getSecondsPerDay(calendar) }[unit];
+    if (seconds) at = nowTs + n * seconds;
+    else if (RECUR_UNITS.includes(unit)) at = n ? nextOccurrence(calendar, nowTs, { unit, every: n }) : nowTs;
+    else return { error: `Unknown unit “${rel[2]}”; use minutes, hours, days, weeks, months, festivals or years.` };
+  } else if (timeOnly) {
+    const hour = toHourOfDay(calendar, timeOnly[1]);
+    if (hour == null) return { error: `Time not understood: ${timeOnly[1]}.` };
+    const perDay = getSecondsPerDay(calendar);
+    at = Math.floor(nowTs / perDay) * perDay + Math.round(hour * 3600);
+    if (at <= nowTs) at += perDay;
+  } else {
+    const m = when.match(/^(.*?)(?:\s+at\s+(.+))?$/i);
+    const parsed = parseAthasDate(calendar, m[1], { today: toDateModel(now) });
+    if (parsed.error) return { error: parsed.error };
+    const hour = m[2] ? toHourOfDay(calendar, m[2]) : 0;
+    if (hour == null) return { error: `Time not understood: ${m[2]}.` };
+    at = toTimestamp(calendar, { ...parsed.date, time: hour });
+  }
+  if (!(at > nowTs)) return { error: 'That moment has already passed.' };
+  return { reminder: { text: message, at, recur, macro, public: isPublic } };
+}
+
+/**
+ * Describe a recurrence ("every 2 weeks").
+ * @param {{unit:string, every:number}|null} recur
+ * @returns {string}
+ */
+export function describeRecurrence(recur) {
+  if (!recur) return '';
+  return recur.every > 1 ? `every ${recur.every} ${recur.unit}s` : `every ${recur.unit}`;
+}
+
+/**
+ * Chat card for a reminder that came due.
+ * @param {any} calendar
+ * @param {{reminder:object, first:number, last:number, occurrences:number, next:number|null}} fire
+ * @returns {string}
+ */
+export function renderReminderCard(calendar, { reminder, first, last, occurrences, next }) {
+  let html = `<p><strong>Reminder:</strong> ${escapeHtml(reminder.text)}</p><p><em>Due ${describeTimestamp(calendar, last)}</em></p>`;
+  if (occurrences > 1) html += `<p>Came due ${occurrences} times since ${describeTimestamp(calendar, first)}.</p>`;
+  if (next != null) html += `<p>Next: ${describeTimestamp(calendar, next)} (${describeRecurrence(reminder.recur)})</p>`;
+  return html;
+}
+
+/**
+ * Stored reminders, soonest first.
+ * @returns {object[]}
+ */
+export function getReminders() {
+  const list = getSetting('reminders');
+  return (Array.isArray(list) ? list : []).slice().sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Store a new reminder (GM).
+ * @param {{text:string, at:number, recur?:object|null, macro?:string|null, public?:boolean}} reminder
+ * @returns {Promise<object>} The stored reminder with its id
+ */
+export async function addReminder(reminder) {
+  const stored = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    text: String(reminder.text),
+    at: Number(reminder.at),
+    recur: reminder.recur || null,
+    macro: reminder.macro || null,
+    public: !!reminder.public,
+  };
+  await setSetting('reminders', [...getReminders(), stored]);
+  return stored;
+}
+
+/**
+ * Delete a reminder (GM).
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function removeReminder(id) {
+  const list = getReminders();
+  const kept = list.filter(r => r.id !== id);
+  if (kept.length === list.length) return false;
+  await setSetting('reminders', kept);
+  return true;
+}
+
+/**
+ * Run a reminder's macro, found by UUID or name.
+ * @param {string} macro
+ * @param {object} fire
+ * @returns {Promise<void>}
+ */
+async function runReminderMacro(macro, fire) {
+  const doc = (macro.includes('.') ? await fromUuid(macro).catch(() => null) : null) || game.macros?.getName(macro);
+  if (!doc) { console.warn(`SS-Athas reminders: macro “${macro}” not found.`); return; }
+  await doc.execute({ reminder: fire.reminder, occurrences: fire.occurrences });
+}
+
+/**
+ * Post every reminder that world time has passed. Runs on the active GM only, and only
+ * when time moves forward.
+ * @param {number} elapsedSeconds
+ * @returns {Promise<object[]|null>} What fired, or null when nothing ran
+ */
+export async function onTimeElapsed(elapsedSeconds) {
+  if (!(elapsedSeconds > 0) || !isActiveGM()) return null;
+  const cal = getActiveCalendar();
+  const nowTs = toTimestamp(cal, getCurrentDate());
+  const list = getReminders();
+  if (!cal || nowTs == null || !list.length) return null;
+  const { fired, remaining } = collectDueReminders(cal, list, nowTs);
+  if (!fired.length) return null;
+  await setSetting('reminders', remaining);
+  for (const fire of fired) {
+    const whisper = fire.reminder.public ? [] : ChatMessage.getWhisperRecipients('GM');
+    await ChatMessage.create({ content: renderReminderCard(cal, fire), whisper });
+    if (fire.reminder.macro) await runReminderMacro(fire.reminder.macro, fire).catch(e => console.warn('SS-Athas reminders:', e));
+  }
+  return fired;
+}
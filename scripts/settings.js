@@ -0,0 +1,292 @@
+/**
+ * Seasons & Stars - Athas world settings
+ *
+ * Setting definitions are registered on `init`; `getSetting` falls back to the declared
+ * default when Foundry settings are unavailable (before init, or headless in tests).
+ * Names, hints and choices are `SSATHAS.` keys, localized by Foundry from `lang/*.json`.
+ */
+
+/* global game */
+
+export const MODULE_ID = 'seasons-and-stars-athas';
+
+export const SETTINGS = {
+  eventTolerance: {
+    name: 'SSATHAS.Settings.EventTolerance.Name',
+    hint: 'SSATHAS.Settings.EventTolerance.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 30, step: 1 },
+    default: 5,
+  },
+  waterTracking: {
+    name: 'SSATHAS.Settings.WaterTracking.Name',
+    hint: 'SSATHAS.Settings.WaterTracking.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  },
+  heatRules: {
+    name: 'SSATHAS.Settings.HeatRules.Name',
+    hint: 'SSATHAS.Settings.HeatRules.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  },
+  heatSaveFormula: {
+    name: 'SSATHAS.Settings.HeatSaveFormula.Name',
+    hint: 'SSATHAS.Settings.HeatSaveFormula.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '1d20 + @abilities.con.mod',
+  },
+  heatSaveDC: {
+    name: 'SSATHAS.Settings.HeatSaveDC.Name',
+    hint: 'SSATHAS.Settings.HeatSaveDC.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 10,
+  },
+  heatExhaustionPath: {
+    name: 'SSATHAS.Settings.HeatExhaustionPath.Name',
+    hint: 'SSATHAS.Settings.HeatExhaustionPath.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'system.attributes.exhaustion',
+  },
+  dayCardOutput: {
+    name: 'SSATHAS.Settings.DayCardOutput.Name',
+    hint: 'SSATHAS.Settings.DayCardOutput.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      public: 'SSATHAS.Settings.DayCardOutput.Public',
+      gm: 'SSATHAS.Settings.DayCardOutput.GM',
+    },
+    default: 'public',
+  },
+  dayCardTemplate: {
+    name: 'SSATHAS.Settings.DayCardTemplate.Name',
+    hint: 'SSATHAS.Settings.DayCardTemplate.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    filePicker: 'any',
+    default: '',
+  },
+  dayShowTime: {
+    name: 'SSATHAS.Settings.DayShowTime.Name',
+    hint: 'SSATHAS.Settings.DayShowTime.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowSeason: {
+    name: 'SSATHAS.Settings.DayShowSeason.Name',
+    hint: 'SSATHAS.Settings.DayShowSeason.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowSolar: {
+    name: 'SSATHAS.Settings.DayShowSolar.Name',
+    hint: 'SSATHAS.Settings.DayShowSolar.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowCities: {
+    name: 'SSATHAS.Settings.DayShowCities.Name',
+    hint: 'SSATHAS.Settings.DayShowCities.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowEvents: {
+    name: 'SSATHAS.Settings.DayShowEvents.Name',
+    hint: 'SSATHAS.Settings.DayShowEvents.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowEclipse: {
+    name: 'SSATHAS.Settings.DayShowEclipse.Name',
+    hint: 'SSATHAS.Settings.DayShowEclipse.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowConjunction: {
+    name: 'SSATHAS.Settings.DayShowConjunction.Name',
+    hint: 'SSATHAS.Settings.DayShowConjunction.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowWeather: {
+    name: 'SSATHAS.Settings.DayShowWeather.Name',
+    hint: 'SSATHAS.Settings.DayShowWeather.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  dayShowMoons: {
+    name: 'SSATHAS.Settings.DayShowMoons.Name',
+    hint: 'SSATHAS.Settings.DayShowMoons.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  weatherTerrain: {
+    name: 'SSATHAS.Settings.WeatherTerrain.Name',
+    hint: 'SSATHAS.Settings.WeatherTerrain.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      'sandy-wastes': 'SSATHAS.Weather.Terrains.Sandywastes',
+      'stony-barrens': 'SSATHAS.Weather.Terrains.Stonybarrens',
+      'silt-sea-edge': 'SSATHAS.Weather.Terrains.Siltseaedge',
+      'scrub-plains': 'SSATHAS.Weather.Terrains.Scrubplains',
+    },
+    default: 'sandy-wastes',
+  },
+  weatherSeed: {
+    name: 'SSATHAS.Settings.WeatherSeed.Name',
+    hint: 'SSATHAS.Settings.WeatherSeed.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'athas',
+  },
+  weatherLog: {
+    name: 'SSATHAS.Settings.WeatherLog.Name',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+  },
+  yearNames: {
+    name: 'SSATHAS.Settings.YearNames.Name',
+    hint: 'SSATHAS.Settings.YearNames.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: null,
+  },
+  icsRealStart: {
+    name: 'SSATHAS.Settings.IcsRealStart.Name',
+    hint: 'SSATHAS.Settings.IcsRealStart.Hint',
+    scope: 'world',
+    config: false,
+    type: String,
+    default: '',
+  },
+  icsStepDays: {
+    name: 'SSATHAS.Settings.IcsStepDays.Name',
+    hint: 'SSATHAS.Settings.IcsStepDays.Hint',
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 1,
+  },
+  recurringEvents: {
+    name: 'SSATHAS.Settings.RecurringEvents.Name',
+    hint: 'SSATHAS.Settings.RecurringEvents.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: [],
+  },
+  reminders: {
+    name: 'SSATHAS.Settings.Reminders.Name',
+    hint: 'SSATHAS.Settings.Reminders.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: [],
+  },
+  sceneLighting: {
+    name: 'SSATHAS.Settings.SceneLighting.Name',
+    hint: 'SSATHAS.Settings.SceneLighting.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  },
+  lightingTransition: {
+    name: 'SSATHAS.Settings.LightingTransition.Name',
+    hint: 'SSATHAS.Settings.LightingTransition.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 60, step: 1 },
+    default: 10,
+  },
+  skyInWidget: {
+    name: 'SSATHAS.Settings.SkyInWidget.Name',
+    hint: 'SSATHAS.Settings.SkyInWidget.Hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+  },
+  skyHud: {
+    name: 'SSATHAS.Settings.SkyHud.Name',
+    hint: 'SSATHAS.Settings.SkyHud.Hint',
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: false,
+  },
+};
+
+/**
+ * Register every module setting with Foundry.
+ */
+export function registerSettings() {
+  for (const [key, def] of Object.entries(SETTINGS)) {
+    game.settings.register(MODULE_ID, key, def);
+  }
+}
+
+/**
+ * Read a module setting, or its default when settings are unavailable.
+ * @param {string} key
+ * @returns {any}
+ */
+export function getSetting(key) {
+  try {
+    const value = game.settings.get(MODULE_ID, key);
+    if (value !== undefined) return value;
+  } catch (_e) {
+    // not registered yet / headless
+  }
+  return SETTINGS[key]?.default;
+}
+
+/**
+ * Write a module setting (GM only for world settings).
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<any>}
+ */
+export function setSetting(key, value) {
+  return game.settings.set(MODULE_ID, key, value);
+}
@@ -0,0 +1,90 @@
+/**
+ * Seasons & Stars - Athas sky HUD
+ *
+ * A small floating window with the sky renderer (see sky.js) for the current moment, and
+ * the same picture added under the Seasons & Stars calendar widgets. Both follow world
+ * time; whether the HUD is open is remembered per client.
+ */
+
+/* global foundry */
+
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { toDateModel } from './calendar-math.js';
+import { getSetting, setSetting } from './settings.js';
+import { getSkyState, renderSkyImg, describeSky } from './sky.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class SkyHud extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: 'ss-athas-sky-hud',
+    window: { title: 'Sky over Athas', icon: 'fas fa-sun', minimizable: true },
+    position: { width: 300, height: 'auto', top: 80, left: 120 },
+  };
+
+  /** @override */
+  async _renderHTML(_context, _options) {
+    const cal = getActiveCalendar();
+    const now = getCurrentDate();
+    const date = toDateModel(now);
+    if (!cal || !date) return '<p>Active calendar/date not available.</p>';
+    const lines = describeSky(getSkyState(cal, date, now.time)).map(line => `<div>${line}</div>`).join('');
+    return `${renderSkyImg(cal, date, now.time)}<div style="font-size:0.85em;margin-top:4px;">${lines}</div>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    setSetting('skyHud', false).catch(() => {});
+  }
+}
+
+let hud = null;
+
+/**
+ * Open the sky HUD, or close it when open.
+ * @returns {Promise<void>}
+ */
+export async function toggleSkyHud() {
+  if (hud?.rendered) { await hud.close(); return; }
+  hud ??= new SkyHud();
+  await hud.render({ force: true });
+  await setSetting('skyHud', true);
+}
+
+/**
+ * Reopen the HUD if this client left it open.
+ */
+export function restoreSkyHud() {
+  if (getSetting('skyHud') && !hud?.rendered) toggleSkyHud().catch(e => console.warn('SS-Athas sky:', e));
+}
+
+/**
+ * Redraw the sky HUD if it is open (after world time changes).
+ */
+export function refreshSkyHud() {
+  if (hud?.rendered) hud.render();
+}
+
+/**
+ * Add the sky under a Seasons & Stars calendar widget (from its render hook).
+ * @param {HTMLElement} element - The widget's element
+ */
+export function addSkyToWidget(element) {
+  if (!getSetting('skyInWidget') || !(element instanceof HTMLElement)) return;
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  const date = toDateModel(now);
+  if (!cal || !date) return;
+  element.querySelector('.ss-athas-sky')?.remove();
+  const panel = document.createElement('div');
+  panel.className = 'ss-athas-sky';
+  panel.style.margin = '4px';
+  panel.innerHTML = renderSkyImg(cal, date, now.time, { width: 220, height: 80 });
+  (element.querySelector('.window-content') || element).append(panel);
+}
@@ -0,0 +1,197 @@
+/**
+ * Seasons & Stars - Athas sky renderer
+ *
+ * Draws the sky over the horizon for a date and time: the crimson sun on its daily arc and
+ * Ral and Guthay with their true lit fraction, placed by hour angle (rising on the left,
+ * transiting in the middle, setting on the right) and dimmed below the ground line when
+ * under the horizon. The sun follows the moon ephemeris' model: it rides the celestial
+ * equator, rising a quarter-day before noon and setting a quarter-day after. Output is
+ * SVG, wrapped in an <img> for chat cards, the Seasons & Stars widget and the sky HUD.
+ */
+
+import { safeMod } from './calendar-math.js';
+import { getMoonState, getHoursInDay, toHourOfDay } from './ephemeris.js';
+import { getTimePeriodName, formatHour12 } from './time-of-day.js';
+import { localizeOr, formatOr } from './i18n.js';
+
+/** Colours used when a calendar moon has none. */
+const MOON_COLORS = { Ral: '#8de715', Guthay: '#e7dd15' };
+
+const SUN_COLOR = '#d0341c';
+
+/**
+ * Display colour of a moon: its calendar `color`, else the Athasian default.
+ * @param {{name?:string, color?:string|null}} moon
+ * @returns {string}
+ */
+export function moonColor(moon) {
+  return moon?.color || MOON_COLORS[moon?.name] || '#e7dd15';
+}
+
+/**
+ * The sun's place in the sky at an hour of the day.
+ * @param {any} calendar
+ * @param {any} time - See toHourOfDay
+ * @returns {{hour:number, hourAngle:number, altitude:number, aboveHorizon:boolean, period:string}}
+ */
+export function getSunState(calendar, time) {
+  const H = getHoursInDay(calendar);
+  const hour = safeMod(toHourOfDay(calendar, time) ?? 0, H);
+  let hourAngle = 360 * safeMod(hour - H / 2, H) / H;
+  if (hourAngle > 180) hourAngle -= 360;
+  const altitude = Math.round(10 * (90 - Math.abs(hourAngle))) / 10;
+  return { hour, hourAngle, altitude, aboveHorizon: altitude > 0, period: getTimePeriodName(calendar, hour) };
+}
+
+/**
+ * Sun and moons for a date and time.
+ * @param {any} calendar
+ * @param {any} date - Canonical date
+ * @param {any} [time] - Defaults to `date.time`
+ * @returns {{sun:object, moons:object[]}}
+ */
+export function getSkyState(calendar, date, time) {
+  const at = time ?? date?.time ?? 0;
+  return { sun: getSunState(calendar, at), moons: getMoonState(calendar, date, at) };
+}
+
+/**
+ * Phase fraction (0 new, 0.5 full) of a moon from getMoonState or getMoonPhases.
+ * @param {object} moon
+ * @returns {number}
+ */
+function phaseFractionOf(moon) {
+  if (Number.isFinite(moon?.phaseFraction)) return moon.phaseFraction;
+  const cycle = Number(moon?.cycleLength) || 0;
+  return cycle > 0 ? safeMod(Number(moon?.age) || 0, cycle) / cycle : 0;
+}
+
+/**
+ * SVG fragment for a moon disc: the dark disc, the lit part bounded by the limb and an
+ * elliptical terminator, and the rim. Waxing moons are lit on the right.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r
+ * @param {number} phaseFraction
+ * @param {string} color
+ * @returns {string}
+ */
+function moonDisc(cx, cy, r, phaseFraction, color) {
+  const c = Math.cos(2 * Math.PI * phaseFraction);
+  const lit = (1 - c) / 2;
+  const waxing = phaseFraction < 0.5;
+  let shape = '';
+  if (lit > 0.995) shape = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}"/>`;
+  else if (lit > 0.005) {
+    const rx = (r * Math.abs(c)).toFixed(2);
+    const limb = waxing ? 1 : 0;
+    const terminator = waxing !== c > 0 ? 1 : 0;
+    shape = `<path d="M${cx},${cy - r} A${r},${r} 0 0 ${limb} ${cx},${cy + r} A${rx},${r} 0 0 ${terminator} ${cx},${cy - r} Z" fill="${color}"/>`;
+  }
+  return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="rgba(0,0,0,0.65)"/>${shape}<circle cx="${cx}" cy="${cy}" r="${r}" stroke="${color}" stroke-width="1" fill="none"/>`;
+}
+
+/**
+ * Wrap SVG markup as an inline image (chat messages keep <img> but strip raw <svg>).
+ * @param {string} svg
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [style]
+ * @returns {string}
+ */
+function svgImg(svg, width, height, style = 'vertical-align:middle') {
+  const uri = 'data:image/svg+xml;utf8,' + encodeURIComponent(svg);
+  return `<img src="${uri}" width="${width}" height="${height}" style="${style};border:none;"/>`;
+}
+
+/**
+ * Moon phase glyph as an inline image.
+ * @param {object} moon - From getMoonState or getMoonPhases
+ * @param {number} [size=28] - Rendered size in pixels
+ * @param {string} [style] - Inline style for the <img>
+ * @returns {string}
+ */
+export function moonPhaseImg(moon, size = 28, style) {
+  const svg = `<svg width="28" height="28" viewBox="0 0 28 28" xmlns="http://www.w3.org/2000/svg">${moonDisc(14, 14, 12, phaseFractionOf(moon), moonColor(moon))}</svg>`;
+  return svgImg(svg, size, size, style);
+}
+
+/**
+ * Sky background colours for a sun altitude: day, twilight or night.
+ * @param {number} altitude
+ * @returns {[string, string]} Top and horizon colours
+ */
+function skyColors(altitude) {
+  if (altitude > 10) return ['#e9a24e', '#f7dca0'];
+  if (altitude > -10) return ['#4a2448', '#d0632c'];
+  return ['#07070f', '#2a1f3a'];
+}
+
+/**
+ * The sky scene as SVG markup.
+ * @param {{sun:object, moons:object[]}} sky - From {@link getSkyState}
+ * @param {{width?:number, height?:number}} [options]
+ * @returns {string}
+ */
+export function renderSkySvg(sky, { width = 280, height = 110 } = {}) {
+  const pad = 14;
+  const horizon = Math.round(height * 0.72);
+  const place = (hourAngle, altitude) => {
+    const x = width / 2 + (hourAngle / 180) * (width / 2 - pad);
+    const s = Math.sin(altitude * Math.PI / 180);
+    const y = s >= 0 ? horizon - s * (horizon - pad) : horizon - s * (height - horizon - pad / 2);
+    return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+  };
+  const [top, low] = skyColors(sky.sun.altitude);
+  const body = (above, inner) => `<g opacity="${above ? 1 : 0.35}">${inner}</g>`;
+  const [sx, sy] = place(sky.sun.hourAngle, sky.sun.altitude);
+  const sun = body(sky.sun.aboveHorizon, `<circle cx="${sx}" cy="${sy}" r="13" fill="${SUN_COLOR}" opacity="0.35"/><circle cx="${sx}" cy="${sy}" r="9" fill="${SUN_COLOR}"/>`);
+  // Guthay is the larger moon; draw it first so Ral stays visible in a conjunction
+  const moons = [...sky.moons].sort((a, b) => b.cycleLength - a.cycleLength).map(m => {
+    const [x, y] = place(m.hourAngle, m.altitude);
+    const r = m.cycleLength > 50 ? 8 : 6;
+    return body(m.aboveHorizon, moonDisc(x, y, r, m.phaseFraction, moonColor(m))
+      + `<text x="${x}" y="${y + r + 9}" font-size="8" font-family="sans-serif" text-anchor="middle" fill="#f0e0c8">${m.name}</text>`);
+  }).join('');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`
+    + `<defs><linearGradient id="sky" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${top}"/><stop offset="1" stop-color="${low}"/></linearGradient></defs>`
+    + `<rect width="${width}" height="${horizon}" fill="url(#sky)"/>`
+    + `<rect y="${horizon}" width="${width}" height="${height - horizon}" fill="#4a3220"/>`
+    + `<line x1="0" y1="${horizon}" x2="${width}" y2="${horizon}" stroke="#7a3b0c" stroke-width="1"/>`
+    + `${sun}${moons}</svg>`;
+}
+
+/**
+ * The sky scene as an inline image.
+ * @param {any} calendar
+ * @param {any} date - Canonical date
+ * @param {any} [time] - Defaults to `date.time`
+ * @param {{width?:number, height?:number}} [options]
+ * @returns {string}
+ */
+export function renderSkyImg(calendar, date, time, { width = 280, height = 110 } = {}) {
+  return svgImg(renderSkySvg(getSkyState(calendar, date, time), { width, height }), width, height, 'display:block;max-width:100%;height:auto');
+}
+
+/**
+ * One-line description of each body: where it is and, for moons, the phase and the next
+ * rise or set today.
+ * @param {{sun:object, moons:object[]}} sky
+ * @returns {string[]}
+ */
+export function describeSky(sky) {
+  const where = (b) => (b.aboveHorizon
+    ? formatOr('SSATHAS.Sky.Up', { altitude: Math.round(b.altitude) }, 'up, {altitude}° high')
+    : localizeOr('SSATHAS.Sky.Below', 'below the horizon'));
+  return [
+    `${localizeOr('SSATHAS.Sky.Sun', 'Sun')}: ${where(sky.sun)} (${sky.sun.period})`,
+    ...sky.moons.map(m => {
+      // Only rises and sets still to come today
+      const event = m.aboveHorizon ? m.set : m.rise;
+      const next = event && event.hours > sky.sun.hour
+        ? `, ${formatOr(m.aboveHorizon ? 'SSATHAS.Sky.Sets' : 'SSATHAS.Sky.Rises', { time: formatHour12(event.hours) }, m.aboveHorizon ? 'sets {time}' : 'rises {time}')}`
+        : '';
+      return `${m.name}: ${m.phaseName || ''} ${Math.round(m.illumination)}%, ${where(m)}${next}`;
+    }),
+  ];
+}
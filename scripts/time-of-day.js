@@ -0,0 +1,171 @@
+/**
+ * Seasons & Stars - Athas time of day
+ *
+ * Canonical-hour lookup, seasons, solar events and small time formatters. All helpers
+ * take the calendar definition explicitly. Month, season and solar event names come back
+ * in the current language.
+ */
+
+import { localizeCalendarText, localizeOr } from './i18n.js';
+
+/** Solar events by calendar month name and day, with their language keys. */
+const SOLAR_EVENTS = [
+  { month: 'scorch', day: 1, key: 'SummerSolstice', label: 'High Sun (Summer Solstice)' },
+  { month: 'bloom', day: 3, key: 'WinterSolstice', label: 'Low Sun (Winter Solstice)' },
+  { month: 'wind', day: 2, key: 'DescendingEquinox', label: 'Descending Equinox' },
+  { month: 'gather', day: 4, key: 'AscendingEquinox', label: 'Ascending Equinox' },
+];
+
+/**
+ * Month name for a 0-based month index.
+ * @param {any} calendar
+ * @param {number} monthIndex
+ * @returns {string}
+ */
+export function getMonthName(calendar, monthIndex) {
+  try {
+    const month = calendar?.months?.[monthIndex];
+    return month?.name ? localizeCalendarText('months', month) : `Month ${monthIndex + 1}`;
+  } catch { return `Month ${monthIndex + 1}`; }
+}
+
+/**
+ * The calendar's season entry for a 0-based month index (seasons may wrap the year end).
+ * @param {any} calendar
+ * @param {number} monthIndex
+ * @returns {object|null}
+ */
+export function getSeason(calendar, monthIndex) {
+  try {
+    const seasons = calendar?.seasons || []; const m1 = monthIndex + 1;
+    for (const s of seasons) { if (s.startMonth <= s.endMonth ? (m1 >= s.startMonth && m1 <= s.endMonth) : (m1 >= s.startMonth || m1 <= s.endMonth)) return s; }
+  } catch {}
+  return null;
+}
+
+/**
+ * Season name for a 0-based month index, in the current language.
+ * @param {any} calendar
+ * @param {number} monthIndex
+ * @returns {string|null}
+ */
+export function getSeasonName(calendar, monthIndex) {
+  const season = getSeason(calendar, monthIndex);
+  return season?.name ? localizeCalendarText('seasons', season) : null;
+}
+
+/**
+ * Zodiac sign for a 0-based month index, if the calendar defines one.
+ * @param {any} calendar
+ * @param {number} monthIndex
+ * @returns {string|null}
+ */
+export function getZodiacSign(calendar, monthIndex) {
+  try {
+    const zodiac = calendar?.zodiac;
+    if (Array.isArray(zodiac) && zodiac.length) return zodiac[monthIndex] || null;
+  } catch {}
+  return null;
+}
+
+/**
+ * The calendar's canonical hours as fractional-hour spans. A block that ends at or
+ * before its start (1st Watch: 21 → 0) wraps past midnight.
+ * @param {any} calendar
+ * @returns {{name:string, start:number, end:number, wraps:boolean, icon:string|null, description:string}[]}
+ */
+export function getCanonicalHours(calendar) {
+  const blocks = Array.isArray(calendar?.canonicalHours) ? calendar.canonicalHours : [];
+  return blocks
+    .filter(b => Number.isFinite(Number(b?.endHour)))
+    .map(b => {
+      const start = (Number(b?.startHour) || 0) + (Number(b?.startMinute) || 0) / 60;
+      const end = Number(b.endHour) + (Number(b?.endMinute) || 0) / 60;
+      return { name: String(b?.name || ''), start, end, wraps: end <= start, icon: b?.icon || null, description: b?.description || '' };
+    });
+}
+
+/**
+ * Canonical-hour block containing a time of day.
+ * @param {any} calendar
+ * @param {number} hour
+ * @param {number} [minute=0]
+ * @returns {object|null}
+ */
+export function getCanonicalHour(calendar, hour, minute = 0) {
+  const h = Number(hour) + (Number(minute) / 60);
+  if (!Number.isFinite(h)) return null;
+  for (const b of getCanonicalHours(calendar)) {
+    if (b.wraps ? (h >= b.start || h < b.end) : (h >= b.start && h < b.end)) return b;
+  }
+  return null;
+}
+
+/**
+ * Named time period for an hour using the calendar's canonical hours, or a fixed
+ * fallback mapping when the calendar defines none.
+ * @param {any} calendar
+ * @param {number} hour
+ * @param {number} [minute=0]
+ * @returns {string}
+ */
+export function getTimePeriodName(calendar, hour, minute = 0) {
+  try {
+    const block = getCanonicalHour(calendar, hour, minute);
+    if (block) return block.name;
+  } catch {}
+  // Fallback by hour of day
+  const h = Number(hour) || 0;
+  if (h >= 0 && h < 3) return '2nd Watch';
+  if (h >= 3 && h < 6) return '3rd Watch';
+  if (h >= 6 && h < 10) return 'Morning';
+  if (h >= 10 && h < 17) return 'Midday';
+  if (h >= 17 && h < 21) return 'Evening';
+  return '1st Watch';
+}
+
+/**
+ * Solstice or equinox falling on a date, if any. Festival days never carry one.
+ * @param {any} calendar
+ * @param {any} date - 1-based month
+ * @returns {string|null}
+ */
+export function getSolarEventName(calendar, date) {
+  try {
+    if (date?.intercalary) return null;
+    const idx = Math.max(0, (date?.month ?? 1) - 1);
+    const name = String(calendar?.months?.[idx]?.name || '').toLowerCase();
+    const day = Number(date?.day) || 1;
+    const event = SOLAR_EVENTS.find(e => e.month === name && e.day === day);
+    if (event) return localizeOr(`SSATHAS.Solar.${event.key}`, event.label);
+  } catch (_e) {}
+  return null;
+}
+
+/**
+ * "hh:mm AM" for fractional hours (6.5 → "06:30 AM").
+ * @param {number} h
+ * @returns {string}
+ */
+export function formatHour12(h) {
+  const total = Math.round((Number(h) || 0) * 60);
+  const minutes = ((total % 1440) + 1440) % 1440;
+  const hour = Math.floor(minutes / 60);
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  let h12 = hour % 12; if (h12 === 0) h12 = 12;
+  return `${String(h12).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')} ${ampm}`;
+}
+
+/**
+ * "hh:mm AM" from a date's time (local fallback when S&S named formats are unavailable).
+ * @param {any} plainDate
+ * @returns {string}
+ */
+export function formatAthasTimeLocal(plainDate) {
+  const hour = Number(plainDate?.time?.hour ?? plainDate?.hour);
+  const minute = Number(plainDate?.time?.minute ?? plainDate?.minute);
+  if (!Number.isFinite(hour) || !Number.isFinite(minute)) return '';
+  let h12 = ((hour % 12) + 12) % 12; if (h12 === 0) h12 = 12;
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  return `${String(h12).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${ampm}`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Seasons & Stars - Athas travel dialog
+ *
+ * Form front end for the travel planner: preview a trip in chat, or (GM) preview it and
+ * advance Seasons & Stars time to the arrival.
+ */
+
+/* global foundry, game, ui, ChatMessage */
+
+import { getActiveCalendar, getCurrentDate } from './context.js';
+import { PACES, TERRAIN_SPEED, planTravel, renderTravelCard } from './travel.js';
+import { TERRAINS } from './weather.js';
+import { getSetting } from './settings.js';
+import { advanceWorldTime } from './advance.js';
+
+/**
+ * Options for a <select>.
+ * @param {Record<string, string>} choices - value → label
+ * @param {string} selected
+ * @returns {string}
+ */
+function options(choices, selected) {
+  return Object.entries(choices).map(([v, l]) => `<option value="${v}"${v === selected ? ' selected' : ''}>${l}</option>`).join('');
+}
+
+/**
+ * Plan, post and optionally advance time.
+ * @param {object} request - distance, pace, terrain, night, avoidMidday
+ * @param {boolean} advance
+ * @returns {Promise<void>}
+ */
+export async function runTravel(request, advance) {
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) { ui.notifications.warn('Active calendar/date not available.'); return; }
+  const plan = planTravel(cal, now, request);
+  if (plan.error) { ui.notifications.error(plan.error); return; }
+  const doAdvance = advance && game.user?.isGM;
+  await ChatMessage.create({ content: renderTravelCard(cal, plan, { ...request, advanced: doAdvance }) });
+  if (doAdvance) await advanceWorldTime(plan.elapsedSeconds);
+}
+
+/**
+ * Open the travel dialog.
+ * @returns {Promise<void>}
+ */
+export async function openTravelDialog() {
+  const terrains = Object.fromEntries(Object.keys(TERRAIN_SPEED).map(k => [k, TERRAINS[k]?.label || k]));
+  const paces = Object.fromEntries(Object.keys(PACES).map(k => [k, `${k[0].toUpperCase()}${k.slice(1)} (${PACES[k]} mph)`]));
+  const content = `
+    <div class="form-group"><label>Distance (miles)</label><input type="number" name="distance" min="1" step="any" value="24" required></div>
+    <div class="form-group"><label>Pace</label><select name="pace">${options(paces, 'normal')}</select></div>
+    <div class="form-group"><label>Terrain</label><select name="terrain">${options(terrains, getSetting('weatherTerrain'))}</select></div>
+    <div class="form-group"><label>Travel by night</label><input type="checkbox" name="night"></div>
+    <div class="form-group"><label>March through Midday</label><input type="checkbox" name="midday"></div>`;
+  const read = (advance) => (_event, button) => {
+    const f = button.form.elements;
+    return {
+      distance: Number(f.distance.value),
+      pace: f.pace.value,
+      terrain: f.terrain.value,
+      night: f.night.checked,
+      avoidMidday: !f.midday.checked,
+      advance,
+    };
+  };
+  const buttons = [{ action: 'preview', label: 'Preview', icon: 'fas fa-route', default: true, callback: read(false) }];
+  if (game.user?.isGM) buttons.push({ action: 'travel', label: 'Travel (advance time)', icon: 'fas fa-forward', callback: read(true) });
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title: 'Plan Travel', icon: 'fas fa-route' },
+    content,
+    buttons,
+    rejectClose: false,
+  }).catch(() => null);
+  if (!result || typeof result !== 'object') return;
+  const { advance, ...request } = result;
+  await runTravel(request, advance);
+}
@@ -0,0 +1,167 @@
+/**
+ * Seasons & Stars - Athas travel planner
+ *
+ * Plans an overland trip in calendar terms. The journey is walked forward through the
+ * calendar's canonical hours from the current moment: by day the party marches in the
+ * Morning and Evening (and Midday only if asked to), by night through the three watches,
+ * never more than a day's march in one day. Each leg records its block, hours and
+ * miles; the plan ends with the arrival moment and the moons on every night of the trip.
+ */
+
+import { toAbsoluteDay, fromAbsoluteDay, getSecondsPerDay, formatDate } from './calendar-math.js';
+import { getCanonicalHours, formatHour12 } from './time-of-day.js';
+import { getHoursInDay, toHourOfDay, getMoonState } from './ephemeris.js';
+import { TERRAINS } from './weather.js';
+import { formatAthasDateLocal } from './day-card.js';
+
+/** Miles per hour by pace. */
+export const PACES = { slow: 2, normal: 3, fast: 4 };
+
+/** Terrain speed factors (keys match the weather terrains). */
+export const TERRAIN_SPEED = {
+  'sandy-wastes': 0.75,
+  'stony-barrens': 0.75,
+  'silt-sea-edge': 0.5,
+  'scrub-plains': 1,
+};
+
+const DAY_BLOCKS = ['morning', 'evening'];
+const NIGHT_BLOCKS = ['1st watch', '2nd watch', '3rd watch'];
+
+/** Days after which planning gives up (a trip this long is almost certainly a typo). */
+const MAX_TRIP_DAYS = 400;
+
+/**
+ * Round to one decimal.
+ * @param {number} n
+ * @returns {number}
+ */
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Split fractional hours into `{ hour, minute }`.
+ * @param {number} h
+ * @returns {{hour:number, minute:number}}
+ */
+function toClock(h) {
+  const total = Math.round(h * 60);
+  return { hour: Math.floor(total / 60), minute: total % 60 };
+}
+
+/**
+ * Plan a trip.
+ * @param {any} calendar
+ * @param {any} start - Date with `time` the party sets out
+ * @param {object} options
+ * @param {number} options.distance - Miles
+ * @param {string} [options.pace='normal'] - slow, normal or fast
+ * @param {string} [options.terrain='scrub-plains'] - A weather terrain key
+ * @param {boolean} [options.night=false] - March through the watches instead of by day
+ * @param {boolean} [options.avoidMidday=true] - Day travel rests through Midday
+ * @param {number} [options.hoursPerDay=8] - Longest march in one day (or night)
+ * @returns {{legs:object[], arrival:object, elapsedHours:number, elapsedSeconds:number, marchHours:number, milesPerHour:number, nights:object[]}|{error:string}}
+ */
+export function planTravel(calendar, start, {
+  distance, pace = 'normal', terrain = 'scrub-plains', night = false, avoidMidday = true, hoursPerDay = 8,
+} = {}) {
+  const miles = Number(distance);
+  if (!(miles > 0)) return { error: 'Distance must be a positive number of miles.' };
+  if (!PACES[pace]) return { error: `Unknown pace “${pace}”; use slow, normal or fast.` };
+  if (!TERRAIN_SPEED[terrain]) return { error: `Unknown terrain “${terrain}”.` };
+  const H = getHoursInDay(calendar);
+  const abs0 = toAbsoluteDay(calendar, start);
+  if (abs0 == null) return { error: 'Invalid start date.' };
+
+  const allowed = night ? NIGHT_BLOCKS : (avoidMidday ? DAY_BLOCKS : [...DAY_BLOCKS, 'midday']);
+  const blocks = getCanonicalHours(calendar)
+    .filter(b => allowed.includes(b.name.toLowerCase()))
+    // A block that wraps midnight is split into its evening and morning parts
+    .flatMap(b => (b.wraps ? [{ ...b, end: H }, ...(b.end > 0 ? [{ ...b, start: 0 }] : [])] : [b]))
+    .sort((a, b) => a.start - b.start);
+  if (!blocks.length) return { error: 'The calendar has no canonical hours to travel in.' };
+
+  const mph = PACES[pace] * TERRAIN_SPEED[terrain];
+  const t0 = abs0 * H + (toHourOfDay(calendar, start?.time) ?? 0);
+  let t = t0;
+  let remaining = miles;
+  const used = new Map();
+  const legs = [];
+  for (let day = Math.floor(t0 / H); remaining > 1e-9; day++) {
+    if (day - abs0 > MAX_TRIP_DAYS) return { error: `The trip would take more than ${MAX_TRIP_DAYS} days.` };
+    for (const b of blocks) {
+      const s = day * H + b.start;
+      const e = day * H + b.end;
+      if (e <= t || remaining <= 1e-9) continue;
+      // Night marches count against the night they began (after noon)
+      const budgetDay = night && b.start < H / 2 ? day - 1 : day;
+      const left = hoursPerDay - (used.get(budgetDay) || 0);
+      const from = Math.max(s, t);
+      const hours = Math.min(e - from, left, remaining / mph);
+      if (hours <= 1e-9) continue;
+      used.set(budgetDay, (used.get(budgetDay) || 0) + hours);
+      remaining -= hours * mph;
+      t = from + hours;
+      legs.push({
+        date: fromAbsoluteDay(calendar, Math.floor(from / H)),
+        block: b.name,
+        start: toClock(from - Math.floor(from / H) * H),
+        end: toClock(t - Math.floor(from / H) * H),
+        hours: round1(hours),
+        miles: round1(hours * mph),
+      });
+    }
+  }
+
+  const arrivalDay = Math.floor(t / H);
+  const arrival = { ...fromAbsoluteDay(calendar, arrivalDay), time: { ...toClock(t - arrivalDay * H), second: 0 } };
+  const firstWatch = getCanonicalHours(calendar).find(b => b.name.toLowerCase() === '1st watch');
+  const nightHour = firstWatch ? firstWatch.start : H - 3;
+  const nights = [];
+  for (let day = Math.floor(t0 / H); day < arrivalDay || (day === arrivalDay && t - day * H > nightHour); day++) {
+    const date = fromAbsoluteDay(calendar, day);
+    nights.push({
+      date,
+      moons: getMoonState(calendar, date, nightHour + 1).map(m => ({
+        name: m.name, phaseName: m.phaseName, illumination: m.illumination, aboveHorizon: m.aboveHorizon,
+      })),
+    });
+  }
+  const elapsedHours = t - t0;
+  return {
+    legs,
+    arrival,
+    elapsedHours: round1(elapsedHours),
+    elapsedSeconds: Math.round(elapsedHours * getSecondsPerDay(calendar) / H),
+    marchHours: round1(legs.reduce((sum, l) => sum + l.hours, 0)),
+    milesPerHour: mph,
+    terrainLabel: TERRAINS[terrain]?.label || terrain,
+    nights,
+  };
+}
+
+/**
+ * Chat card for a plan.
+ * @param {any} calendar
+ * @param {object} plan - From {@link planTravel}
+ * @param {{distance:number, pace:string, night:boolean, advanced?:boolean}} request
+ * @returns {string}
+ */
+export function renderTravelCard(calendar, plan, { distance, pace, night, advanced = false }) {
+  const clock = (c) => formatHour12(c.hour + c.minute / 60);
+  let html = `<p><strong>Travel — ${distance} miles, ${pace} pace, ${plan.terrainLabel}, by ${night ? 'night' : 'day'}</strong></p>`;
+  let lastDay = null;
+  for (const leg of plan.legs) {
+    const day = formatDate(calendar, leg.date);
+    if (day !== lastDay) { html += `<p><em>${day}</em></p>`; lastDay = day; }
+    html += `<p>${leg.block} ${clock(leg.start)}–${clock(leg.end)}: ${leg.miles} mi</p>`;
+  }
+  html += `<p><strong>Arrival:</strong> ${formatAthasDateLocal(calendar, plan.arrival)}, ${clock(plan.arrival.time)} (${plan.marchHours}h marching over ${plan.elapsedHours}h)</p>`;
+  for (const n of plan.nights) {
+    const moons = n.moons.map(m => `${m.name} ${m.phaseName || '—'} (${m.illumination}%)`).join(', ');
+    html += `<p><strong>Night of ${formatDate(calendar, n.date)}:</strong> ${moons}</p>`;
+  }
+  if (advanced) html += '<p><em>Time advanced to arrival.</em></p>';
+  return html;
+}
@@ -0,0 +1,209 @@
+/**
+ * Seasons & Stars - Athas water tracker
+ *
+ * Water drunk per character as calendar time passes. Each elapsed hour costs water by the
+ * heat band at that hour (the weather's high/low for the day, picked by canonical hour and
+ * shaped by season), paid from the gallons an actor carries. Any shortfall becomes a
+ * deficit, and the deficit sets the dehydration stage; the GM is whispered whenever a
+ * character's stage worsens.
+ *
+ * State lives in the actor flag `seasons-and-stars-athas.water`:
+ * `{ carried, deficit, rate, tracked }` (gallons; `rate` scales need, e.g. 2 for a
+ * half-giant).
+ */
+
+/* global game, ChatMessage */
+
+import { addSeconds, getSecondsPerDay, toAbsoluteDay, fromAbsoluteDay } from './calendar-math.js';
+import { getActiveCalendar, getCurrentDate, isActiveGM } from './context.js';
+import { getHoursInDay } from './ephemeris.js';
+import { TEMPERATURE_BANDS, getWeather, getTemperatureAt } from './weather.js';
+import { MODULE_ID, getSetting } from './settings.js';
+import { escapeHtml } from './html.js';
+
+/** Gallons per day at each temperature band (same order as TEMPERATURE_BANDS). */
+export const GALLONS_PER_DAY = [0.5, 0.5, 1, 1.5, 2, 3];
+
+/** Dehydration stages by deficit, in gallons per unit of `rate`. */
+export const DEHYDRATION_STAGES = [
+  { key: 'hydrated', label: 'Hydrated', deficit: 0 },
+  { key: 'thirsty', label: 'Thirsty', deficit: 0.01 },
+  { key: 'dehydrated', label: 'Dehydrated', deficit: 1 },
+  { key: 'severe', label: 'Severely dehydrated', deficit: 2 },
+  { key: 'critical', label: 'Dying of thirst', deficit: 3 },
+];
+
+const DEFAULT_STATE = { carried: 0, deficit: 0, rate: 1 };
+
+/**
+ * Round gallons to two decimals.
+ * @param {number} g
+ * @returns {number}
+ */
+function roundGallons(g) {
+  return Math.round(g * 100) / 100;
+}
+
+/**
+ * Temperature band index at an hour of a day.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {number} hour
+ * @param {string} [terrain]
+ * @returns {number}
+ */
+export function getHeatBand(calendar, date, hour, terrain) {
+  const weather = getWeather(calendar, date, terrain);
+  return weather ? getTemperatureAt(calendar, weather, hour).bandIndex : 2;
+}
+
+/**
+ * Water needed by one character (rate 1) over a stretch of time.
+ * @param {any} calendar
+ * @param {any} start - Date with `time` where the stretch begins
+ * @param {number} hours - Length of the stretch
+ * @param {{terrain?:string}} [options]
+ * @returns {{gallons:number, hours:number, byBand:Record<string, number>}} `byBand` is hours per band label
+ */
+export function waterRequired(calendar, start, hours, { terrain } = {}) {
+  const H = getHoursInDay(calendar);
+  const byBand = {};
+  let gallons = 0;
+  let remaining = Math.max(0, Number(hours) || 0);
+  let abs = toAbsoluteDay(calendar, start);
+  if (abs == null) return { gallons: 0, hours: 0, byBand };
+  let weather = getWeather(calendar, fromAbsoluteDay(calendar, abs), terrain);
+  let hour = (Number(start?.time?.hour) || 0) + (Number(start?.time?.minute) || 0) / 60;
+  while (remaining > 1e-9) {
+    const chunk = Math.min(remaining, Math.floor(hour) + 1 - hour);
+    const band = weather ? getTemperatureAt(calendar, weather, hour).bandIndex : 2;
+    gallons += (GALLONS_PER_DAY[band] / H) * chunk;
+    const label = TEMPERATURE_BANDS[band].label;
+    byBand[label] = (byBand[label] || 0) + chunk;
+    remaining -= chunk;
+    hour += chunk;
+    if (hour >= H - 1e-9) {
+      hour = 0;
+      weather = getWeather(calendar, fromAbsoluteDay(calendar, ++abs), terrain);
+    }
+  }
+  return { gallons: roundGallons(gallons), hours: Number(hours) || 0, byBand };
+}
+
+/**
+ * Normalize an actor's stored water state.
+ * @param {any} raw
+ * @returns {{carried:number, deficit:number, rate:number}}
+ */
+export function normalizeWaterState(raw) {
+  const s = { ...DEFAULT_STATE, ...(raw || {}) };
+  return {
+    carried: Math.max(0, Number(s.carried) || 0),
+    deficit: Math.max(0, Number(s.deficit) || 0),
+    rate: Number(s.rate) > 0 ? Number(s.rate) : 1,
+  };
+}
+
+/**
+ * Drink `gallons` (already scaled by rate) from what is carried; the rest is owed.
+ * @param {object} state
+ * @param {number} gallons
+ * @returns {{carried:number, deficit:number, rate:number}}
+ */
+export function consumeWater(state, gallons) {
+  const s = normalizeWaterState(state);
+  const drunk = Math.min(s.carried, gallons);
+  return { ...s, carried: roundGallons(s.carried - drunk), deficit: roundGallons(s.deficit + gallons - drunk) };
+}
+
+/**
+ * Add water: it first pays off any deficit, the rest is carried.
+ * @param {object} state
+ * @param {number} gallons
+ * @returns {{carried:number, deficit:number, rate:number}}
+ */
+export function addWater(state, gallons) {
+  const s = normalizeWaterState(state);
+  const g = Math.max(0, Number(gallons) || 0);
+  const repaid = Math.min(s.deficit, g);
+  return { ...s, deficit: roundGallons(s.deficit - repaid), carried: roundGallons(s.carried + g - repaid) };
+}
+
+/**
+ * Dehydration stage for a state.
+ * @param {object} state
+ * @returns {{index:number, key:string, label:string}}
+ */
+export function getDehydrationStage(state) {
+  const s = normalizeWaterState(state);
+  const perRate = s.deficit / s.rate;
+  let index = 0;
+  DEHYDRATION_STAGES.forEach((stage, i) => { if (perRate >= stage.deficit) index = i; });
+  return { index, key: DEHYDRATION_STAGES[index].key, label: DEHYDRATION_STAGES[index].label };
+}
+
+/**
+ * Actors a survival rule applies to: player characters unless their flag says otherwise,
+ * plus any actor flagged `tracked: true`.
+ * @param {string} [flagKey='water'] - Module flag holding `tracked` ('water', 'heat')
+ * @returns {any[]}
+ */
+export function getTrackedActors(flagKey = 'water') {
+  const actors = game?.actors ? Array.from(game.actors) : [];
+  return actors.filter(a => {
+    const flag = a.getFlag?.(MODULE_ID, flagKey);
+    if (typeof flag?.tracked === 'boolean') return flag.tracked;
+    return !!a.hasPlayerOwner && a.type === 'character';
+  });
+}
+
+/**
+ * An actor's water state.
+ * @param {any} actor
+ * @returns {{carried:number, deficit:number, rate:number}}
+ */
+export function getActorWater(actor) {
+  return normalizeWaterState(actor?.getFlag?.(MODULE_ID, 'water'));
+}
+
+/**
+ * Store an actor's water state.
+ * @param {any} actor
+ * @param {object} state
+ * @returns {Promise<any>}
+ */
+export function setActorWater(actor, state) {
+  return actor.setFlag(MODULE_ID, 'water', { ...(actor.getFlag(MODULE_ID, 'water') || {}), ...state });
+}
+
+/**
+ * Deduct water for time that has just passed and whisper the GM about any character
+ * whose dehydration stage worsened. Runs on the active GM only, when tracking is on.
+ * @param {number} elapsedSeconds - World time advanced (negative or zero is ignored)
+ * @returns {Promise<{gallons:number, actors:object[]}|null>}
+ */
+export async function onTimeElapsed(elapsedSeconds) {
+  if (!getSetting('waterTracking') || !(elapsedSeconds > 0) || !isActiveGM()) return null;
+  const cal = getActiveCalendar();
+  const now = getCurrentDate();
+  if (!cal || !now) return null;
+  const start = addSeconds(cal, now, -elapsedSeconds);
+  const hoursPerSecond = getHoursInDay(cal) / getSecondsPerDay(cal);
+  const need = waterRequired(cal, start, elapsedSeconds * hoursPerSecond);
+  const report = [];
+  for (const actor of getTrackedActors()) {
+    const before = getActorWater(actor);
+    const after = consumeWater(before, need.gallons * before.rate);
+    await setActorWater(actor, after);
+    const was = getDehydrationStage(before);
+    const is = getDehydrationStage(after);
+    report.push({ actor, before, after, stage: is });
+    if (is.index > was.index) {
+      await ChatMessage.create({
+        content: `<p><strong>${escapeHtml(actor.name)}</strong> is now <strong>${is.label}</strong> (owes ${after.deficit} gal, carrying ${after.carried} gal).</p>`,
+        whisper: ChatMessage.getWhisperRecipients('GM'),
+      });
+    }
+  }
+  return { gallons: need.gallons, actors: report };
+}
@@ -0,0 +1,290 @@
+/**
+ * Seasons & Stars - Athas weather
+ *
+ * Seeded daily weather by terrain. A day's roll depends only on the world seed, the
+ * absolute day, the terrain and a re-roll counter, so every client computes the same
+ * conditions without syncing. Rolls the GM has seen are also written to a per-day log in
+ * world settings, which keeps them stable if the tables or the seed change later.
+ *
+ * Season sets the base temperature bands, the canonical hour picks between the day's high
+ * and low, Highest Sun shifts every table one step harsher, and the moons set how much
+ * light a night carries.
+ */
+
+/* global game */
+
+import { toAbsoluteDay, toDateModel } from './calendar-math.js';
+import { getSeason, getSeasonName, getTimePeriodName } from './time-of-day.js';
+import { getMoonState } from './ephemeris.js';
+import { getSetting, setSetting } from './settings.js';
+import { contentKey, localizeOr } from './i18n.js';
+
+export const TERRAINS = {
+  'sandy-wastes': { label: 'Sandy wastes', heat: 1, wind: 1, storm: 'dust', stormChance: 0.12 },
+  'stony-barrens': { label: 'Stony barrens', heat: 1, wind: 0, storm: 'dust', stormChance: 0.06 },
+  'silt-sea-edge': { label: 'Silt sea edge', heat: 0, wind: 1, storm: 'silt', stormChance: 0.14 },
+  'scrub-plains': { label: 'Scrub plains', heat: 0, wind: 0, storm: 'dust', stormChance: 0.05 },
+};
+
+export const DEFAULT_TERRAIN = 'sandy-wastes';
+
+/** Temperature bands, coolest first, with a representative °F range. */
+export const TEMPERATURE_BANDS = [
+  { label: 'Cold', min: 25, max: 45 },
+  { label: 'Cool', min: 45, max: 65 },
+  { label: 'Warm', min: 65, max: 85 },
+  { label: 'Hot', min: 85, max: 105 },
+  { label: 'Scorching', min: 105, max: 125 },
+  { label: 'Blistering', min: 125, max: 145 },
+];
+
+export const WIND_LEVELS = [
+  { label: 'Calm', min: 0, max: 5 },
+  { label: 'Breeze', min: 5, max: 15 },
+  { label: 'Strong wind', min: 15, max: 30 },
+  { label: 'Gale', min: 30, max: 50 },
+];
+
+/** Base [low, high] band index per season (by season name). */
+const SEASON_BANDS = {
+  'high sun': [1, 4],
+  'sun descending': [1, 3],
+  'sun ascending': [0, 3],
+};
+
+const STORM_LABELS = { dust: 'Dust storm', silt: 'Silt storm' };
+
+/** Log entries kept in the world setting (a little over a year of daily rolls). */
+const LOG_LIMIT = 400;
+
+/**
+ * A weather label in the current language, looked up by its English text as
+ * `SSATHAS.Weather.<group>.<Label>` ("Strong wind" → `Winds.StrongWind`). Rolls carry
+ * the English labels, which are also what the log stores, so translate when showing them.
+ * @param {'Terrains'|'Bands'|'Winds'|'Storms'|'Severity'} group
+ * @param {string} label
+ * @returns {string}
+ */
+export function localizeWeatherLabel(group, label) {
+  const key = contentKey(label);
+  return key ? localizeOr(`SSATHAS.Weather.${group}.${key[0].toUpperCase()}${key.slice(1)}`, label) : String(label ?? '');
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Mulberry32 generator: a function returning floats in [0, 1).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Clamp a band index into a table.
+ * @param {number} i
+ * @param {any[]} table
+ * @returns {number}
+ */
+function clampIndex(i, table) {
+  return Math.max(0, Math.min(table.length - 1, i));
+}
+
+/**
+ * Roll a value within a band's range.
+ * @param {{min:number, max:number}} band
+ * @param {() => number} rng
+ * @returns {number}
+ */
+function rollIn(band, rng) {
+  return Math.round(band.min + (band.max - band.min) * rng());
+}
+
+/**
+ * Deterministic weather for one day and terrain.
+ * @param {any} calendar
+ * @param {any} date - Canonical date
+ * @param {{terrain?:string, seed?:string, reroll?:number}} [options]
+ * @returns {object|null}
+ */
+export function generateWeather(calendar, date, { terrain = DEFAULT_TERRAIN, seed = 'athas', reroll = 0 } = {}) {
+  const d = toDateModel(date);
+  const abs = toAbsoluteDay(calendar, d);
+  const t = TERRAINS[terrain];
+  if (abs == null || !t) return null;
+  const rng = createRng(hashString(`${seed}|${abs}|${terrain}|${reroll}`));
+
+  const season = getSeasonName(calendar, Math.max(0, d.month - 1));
+  const highestSun = String(d.intercalary || '').toLowerCase() === 'highest sun';
+  const harsh = highestSun ? 1 : 0;
+  const [baseLow, baseHigh] = SEASON_BANDS[String(getSeason(calendar, Math.max(0, d.month - 1))?.name || '').toLowerCase()] || [1, 3];
+  // Swing each band by -1/0/+1, weighted toward the seasonal norm
+  const swing = () => { const r = rng(); return r < 0.2 ? -1 : (r < 0.8 ? 0 : 1); };
+  const highIdx = clampIndex(baseHigh + t.heat + harsh + swing(), TEMPERATURE_BANDS);
+  const lowIdx = Math.min(highIdx, clampIndex(baseLow + harsh + swing(), TEMPERATURE_BANDS));
+  const windRoll = rng();
+  const windIdx = clampIndex((windRoll < 0.3 ? 0 : windRoll < 0.75 ? 1 : windRoll < 0.95 ? 2 : 3) + (t.wind && rng() < 0.35 ? 1 : 0) + harsh, WIND_LEVELS);
+
+  const stormChance = Math.min(0.9, t.stormChance * (1 + windIdx * 0.5) * (highestSun ? 1.5 : 1));
+  let storm = null;
+  if (rng() < stormChance) {
+    const startHour = Math.floor(rng() * 24);
+    storm = {
+      type: t.storm,
+      label: STORM_LABELS[t.storm],
+      startHour,
+      durationHours: 1 + Math.floor(rng() * 6),
+      period: getTimePeriodName(calendar, startHour),
+      severity: windIdx >= 3 ? 'severe' : (windIdx >= 2 ? 'strong' : 'moderate'),
+    };
+  }
+
+  const high = TEMPERATURE_BANDS[highIdx];
+  const low = TEMPERATURE_BANDS[lowIdx];
+  const wind = WIND_LEVELS[windIdx];
+  return {
+    date: d,
+    terrain,
+    terrainLabel: t.label,
+    season,
+    highestSun,
+    reroll,
+    high: { band: highIdx, label: high.label, tempF: rollIn(high, rng) },
+    low: { band: lowIdx, label: low.label, tempF: rollIn(low, rng) },
+    wind: { level: windIdx, label: wind.label, mph: rollIn(wind, rng) },
+    storm,
+  };
+}
+
+/**
+ * Temperature at a time of day: the day's high through Midday, its low through the
+ * watches, halfway between at Morning and Evening.
+ * @param {any} calendar
+ * @param {object} weather - From {@link generateWeather}
+ * @param {number} hour - Fractional hour
+ * @returns {{period:string, tempF:number, bandIndex:number, band:string}}
+ */
+export function getTemperatureAt(calendar, weather, hour) {
+  const period = getTimePeriodName(calendar, Math.floor(hour), Math.floor((hour % 1) * 60));
+  const p = period.toLowerCase();
+  let tempF = weather.high.tempF;
+  if (p.includes('watch')) tempF = weather.low.tempF;
+  else if (p === 'morning' || p === 'evening') tempF = Math.round((weather.high.tempF + weather.low.tempF) / 2);
+  const found = TEMPERATURE_BANDS.findIndex(b => tempF < b.max);
+  const bandIndex = found < 0 ? TEMPERATURE_BANDS.length - 1 : found;
+  return { period, tempF, bandIndex, band: TEMPERATURE_BANDS[bandIndex].label };
+}
+
+/**
+ * Conditions at a time of day: temperature (see {@link getTemperatureAt}), whether the
+ * day's storm is raging and, during the watches, the moonlight.
+ * @param {any} calendar
+ * @param {object} weather - From {@link generateWeather}
+ * @param {number} hour - Fractional hour
+ * @returns {{period:string, tempF:number, band:string, stormActive:boolean, moonlight:string|null}}
+ */
+export function getConditionsAt(calendar, weather, hour) {
+  const { period, tempF, band } = getTemperatureAt(calendar, weather, hour);
+  const s = weather.storm;
+  const stormActive = !!s && hour >= s.startHour && hour < s.startHour + s.durationHours;
+  let moonlight = null;
+  if (period.toLowerCase().includes('watch')) {
+    const up = getMoonState(calendar, weather.date, hour).filter(m => m.aboveHorizon);
+    const light = up.reduce((sum, m) => sum + m.illumination, 0);
+    moonlight = light >= 120 ? 'Bright moonlight' : light >= 50 ? 'Moonlit' : light > 5 ? 'Dim moonlight' : 'Moonless dark';
+    if (stormActive) moonlight = 'Dark (storm)';
+  }
+  return { period, tempF, band, stormActive, moonlight };
+}
+
+/**
+ * Log key for a day and terrain.
+ * @param {number} abs
+ * @param {string} terrain
+ * @returns {string}
+ */
+function logKey(abs, terrain) {
+  return `${abs}:${terrain}`;
+}
+
+/**
+ * Weather for a day using the world seed, preferring a logged roll.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {string} [terrain] - Defaults to the world's terrain setting
+ * @returns {object|null}
+ */
+export function getWeather(calendar, date, terrain = getSetting('weatherTerrain')) {
+  const abs = toAbsoluteDay(calendar, date);
+  if (abs == null || !TERRAINS[terrain]) return null;
+  const logged = getSetting('weatherLog')?.[logKey(abs, terrain)];
+  if (logged) return logged;
+  return generateWeather(calendar, date, { terrain, seed: getSetting('weatherSeed') });
+}
+
+/**
+ * Store a day's weather in the world log (GM only; others are ignored). Oldest entries
+ * beyond {@link LOG_LIMIT} are dropped.
+ * @param {any} calendar
+ * @param {object} weather
+ * @returns {Promise<void>}
+ */
+export async function recordWeather(calendar, weather) {
+  if (!weather || !game?.user?.isGM) return;
+  const abs = toAbsoluteDay(calendar, weather.date);
+  const log = { ...(getSetting('weatherLog') || {}) };
+  const key = logKey(abs, weather.terrain);
+  if (JSON.stringify(log[key]) === JSON.stringify(weather)) return;
+  log[key] = weather;
+  const keys = Object.keys(log).sort((a, b) => Number(a.split(':')[0]) - Number(b.split(':')[0]));
+  for (const k of keys.slice(0, Math.max(0, keys.length - LOG_LIMIT))) delete log[k];
+  await setSetting('weatherLog', log);
+}
+
+/**
+ * Replace a day's weather with its next deterministic re-roll. The result is returned
+ * immediately and written to the log in the background.
+ * @param {any} calendar
+ * @param {any} date
+ * @param {string} [terrain]
+ * @returns {object|null}
+ */
+export function rerollWeather(calendar, date, terrain = getSetting('weatherTerrain')) {
+  const current = getWeather(calendar, date, terrain);
+  if (!current) return null;
+  const next = generateWeather(calendar, date, { terrain, seed: getSetting('weatherSeed'), reroll: (current.reroll || 0) + 1 });
+  recordWeather(calendar, next).catch(e => console.warn('SS-Athas weather log:', e));
+  return next;
+}
+
+/**
+ * Resolve a terrain key from user text ("silt", "Stony barrens", "scrub-plains").
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function findTerrain(text) {
+  const key = String(text || '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (!key) return null;
+  if (TERRAINS[key]) return key;
+  return Object.keys(TERRAINS).find(k => k.startsWith(key) || k.split('-').includes(key)) || null;
+}
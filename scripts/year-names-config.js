@@ -0,0 +1,113 @@
+/**
+ * Seasons & Stars - Athas year-name settings form
+ *
+ * World-level editor for the King's Age year-name table: edit the JSON in place, import it
+ * from a file, export the effective table, or reset to the calendar's own list.
+ */
+
+/* global foundry, game, ui */
+
+import { MODULE_ID, setSetting } from './settings.js';
+import { getYearNameTable, exportYearNameTable, importYearNameTable } from './kings-age.js';
+import { escapeHtml } from './html.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class YearNamesConfig extends ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: 'ss-athas-year-names',
+    tag: 'form',
+    window: { title: 'Athas Year Names', icon: 'fas fa-scroll', resizable: true },
+    position: { width: 560, height: 'auto' },
+    form: { handler: YearNamesConfig.#onSubmit, closeOnSubmit: false },
+    actions: {
+      import: YearNamesConfig.#onImport,
+      export: YearNamesConfig.#onExport,
+      reset: YearNamesConfig.#onReset,
+    },
+  };
+
+  /** @override */
+  async _renderHTML(_context, _options) {
+    const { table, source } = getYearNameTable();
+    const sourceLabel = { world: 'world override', calendar: 'calendar JSON', default: 'built-in cycles' }[source];
+    return `
+      <p class="hint">Either <code>{ "names": [ …77 names… ] }</code> or <code>{ "cycles": [[…], […]], "separator": "’s " }</code>.
+        Currently using the ${sourceLabel}.</p>
+      <textarea name="table" rows="18" style="width:100%;font-family:monospace;">${escapeHtml(exportYearNameTable(table))}</textarea>
+      <footer class="form-footer">
+        <button type="button" data-action="import"><i class="fas fa-file-import"></i> Import</button>
+        <button type="button" data-action="export"><i class="fas fa-file-export"></i> Export</button>
+        <button type="button" data-action="reset"><i class="fas fa-undo"></i> Use calendar</button>
+        <button type="submit"><i class="fas fa-save"></i> Save</button>
+      </footer>`;
+  }
+
+  /** @override */
+  _replaceHTML(result, content, _options) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Validate and store the edited table as the world override.
+   * @this {YearNamesConfig}
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const parsed = importYearNameTable(formData.object.table);
+    if (parsed.error) { ui.notifications.error(parsed.error); return; }
+    await setSetting('yearNames', parsed.table);
+    ui.notifications.info('Year names saved.');
+    this.close();
+  }
+
+  /**
+   * Load a JSON file into the editor (saved on submit).
+   * @this {YearNamesConfig}
+   */
+  static #onImport() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      const parsed = importYearNameTable(await foundry.utils.readTextFromFile(file));
+      if (parsed.error) { ui.notifications.error(parsed.error); return; }
+      this.element.querySelector('textarea[name="table"]').value = exportYearNameTable(parsed.table);
+    });
+    input.click();
+  }
+
+  /**
+   * Download the table currently in the editor.
+   * @this {YearNamesConfig}
+   */
+  static #onExport() {
+    const parsed = importYearNameTable(this.element.querySelector('textarea[name="table"]').value);
+    if (parsed.error) { ui.notifications.error(parsed.error); return; }
+    foundry.utils.saveDataToFile(exportYearNameTable(parsed.table), 'application/json', `${MODULE_ID}-year-names.json`);
+  }
+
+  /**
+   * Drop the world override and fall back to the calendar's table.
+   * @this {YearNamesConfig}
+   */
+  static async #onReset() {
+    await setSetting('yearNames', null);
+    this.render();
+  }
+}
+
+/**
+ * Register the "Year Names" button in the module settings.
+ */
+export function registerYearNamesMenu() {
+  game.settings.registerMenu(MODULE_ID, 'yearNamesMenu', {
+    name: 'SSATHAS.Settings.YearNamesMenu.Name',
+    label: 'SSATHAS.Settings.YearNamesMenu.Label',
+    hint: 'SSATHAS.Settings.YearNamesMenu.Hint',
+    icon: 'fas fa-scroll',
+    type: YearNamesConfig,
+    restricted: true,
+  });
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { getWatchHours, planAdvance, summarizeAdvance, renderAdvanceCard } from '../scripts/advance.js';
+import { toTimestamp, fromTimestamp } from '../scripts/reminders.js';
+import { findCelestialEvent } from '../scripts/celestial-events.js';
+import { advanceCommand, restCommand } from '../scripts/commands.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 8, minute: 0 } } });
+const cal = stub.calendar;
+const now = { year: 14656, month: 1, day: 1, time: { hour: 8, minute: 0 } };
+const nowTs = toTimestamp(cal, now);
+
+test('steps advance by lengths of time', () => {
+  assert.equal(getWatchHours(cal), 3);
+  assert.equal(planAdvance(cal, now, '2 watches', { tolerance: 5 }).seconds, 6 * 3600);
+  assert.equal(planAdvance(cal, now, '1 watch', { tolerance: 5 }).seconds, 3 * 3600);
+  assert.equal(planAdvance(cal, now, '90 minutes', { tolerance: 5 }).seconds, 5400);
+  assert.equal(planAdvance(cal, now, '2h', { tolerance: 5 }).seconds, 7200);
+  assert.equal(planAdvance(cal, now, '3 days', { tolerance: 5 }).seconds, 3 * 86400);
+  const month = planAdvance(cal, now, '1 month', { tolerance: 5 });
+  assert.deepEqual(fromTimestamp(cal, month.to), { year: 14656, month: 2, day: 1, time: { hour: 8, minute: 0, second: 0 } });
+  assert.match(planAdvance(cal, now, '2 fortnights', { tolerance: 5 }).error, /Unknown step/);
+  assert.match(planAdvance(cal, now, '2 watche', { tolerance: 5 }).error, /Unknown step/);
+});
+
+test('targets resolve canonical hours, alignments and dates ahead of now', () => {
+  const evening = planAdvance(cal, now, 'to Evening', { tolerance: 5 });
+  assert.equal(evening.seconds, 9 * 3600);
+  // Morning has already begun today, so the next one is tomorrow's
+  assert.equal(planAdvance(cal, now, 'to Morning', { tolerance: 5 }).seconds, 22 * 3600);
+  const darkest = findCelestialEvent(cal, now, 'Darkest', 'next', { tolerance: 5 });
+  const plan = planAdvance(cal, now, 'to next Darkest', { tolerance: 5 });
+  assert.equal(plan.to, toTimestamp(cal, { ...darkest.peak, time: darkest.peakTime.hours }));
+  const scorch = planAdvance(cal, now, 'to Scorch 1', { tolerance: 5 });
+  assert.deepEqual(fromTimestamp(cal, scorch.to), { year: 14657, month: 1, day: 1, time: { hour: 0, minute: 0, second: 0 } });
+  const rest = planAdvance(cal, now, 'to Rest 12 at Midday', { tolerance: 5 });
+  assert.equal(rest.to, toTimestamp(cal, { year: 14656, month: 3, day: 12, time: 10 }));
+  assert.match(planAdvance(cal, now, 'to Scorch 1 14600', { tolerance: 5 }).error, /already passed/);
+  assert.match(planAdvance(cal, now, 'sideways', { tolerance: 5 }).error, /Say how far/);
+});
+
+test('the summary counts moon phases and lists what was passed', () => {
+  const to = nowTs + 40 * 86400;
+  const summary = summarizeAdvance(cal, nowTs, to, { tolerance: 5 });
+  assert.equal(summary.elapsed, '40 days');
+  // Ral's 33-day cycle turns once in 40 days; Guthay only wanes
+  assert.equal(summary.moons[0], 'Ral: Full Moon → Last Quarter (29%); passed 1 full moon and 1 new moon');
+  assert.equal(summary.moons[1], 'Guthay: Full Moon → Last Quarter (28%)');
+  assert.deepEqual(summary.passed.map(t => t.split(/[,(]/)[0].trim()), ['Opposition', 'Emancipation Reading', 'Conjunction']);
+  const short = summarizeAdvance(cal, nowTs, nowTs + 3600, { tolerance: 5 });
+  assert.equal(short.elapsed, '1 hour');
+  assert.deepEqual(short.passed, []);
+  // A jump of a thousand years only walks its first ten
+  const long = summarizeAdvance(cal, nowTs, nowTs + 1000 * 375 * 86400, { tolerance: 5 });
+  assert.equal(long.passed.length, 14);
+  assert.match(long.passed.at(-1), /^nothing after .* is listed$/);
+  assert.match(renderAdvanceCard({ ...short, passed: ['<b>'] }, 'Rest'), /&lt;b&gt;/);
+});
+
+test('/advance and /rest are GM-only and advance world time', async () => {
+  const advanced = [];
+  globalThis.game.user = { isGM: false, id: 'p' };
+  assert.match(advanceCommand('2 watches').content, /Only the GM/);
+  globalThis.game.user = { isGM: true, id: 'gm' };
+  globalThis.game.settings = { get: (_mod, key) => ({ eventTolerance: 5 })[key] };
+  globalThis.game.time = { advance: async (s) => advanced.push(s) };
+  const saved = globalThis.game.seasonsStars;
+  globalThis.game.seasonsStars = { ...saved, api: { ...saved?.api, advanceMinutes: async (m) => advanced.push(m * 60) } };
+  try {
+    assert.match(advanceCommand('2 watches').content, /Advance 2 watches:<\/strong> 6 hours/);
+    assert.match(restCommand('').content, /Long rest:<\/strong> 8 hours/);
+    assert.match(restCommand('nap').content, /Usage/);
+    assert.match(advanceCommand('to nowhere').content, /Advance not understood/);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(advanced, [6 * 3600, 8 * 3600]);
+  } finally {
+    globalThis.game.seasonsStars = saved;
+  }
+});
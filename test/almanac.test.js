@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { buildAlmanacYear, buildAlmanac, renderAlmanacYear, writeAlmanac } from '../scripts/almanac.js';
+import { almanacCommand } from '../scripts/commands.js';
+
+const { calendar: cal } = installStubManager();
+
+test('a year lists every month and festival with its moons and solar days', () => {
+  const data = buildAlmanacYear(cal, 14656);
+  assert.equal(data.info.yearName, 'Wind’s Reverence');
+  assert.equal(data.cityYear, 'FY78');
+  assert.equal(data.segments.length, 15);
+  const all = data.segments.flatMap(s => s.entries.map(e => `${s.name} ${e.day}: ${e.text}`));
+  const count = (re) => all.join('\n').match(re)?.length ?? 0;
+  assert.ok(count(/Ral Full/g) >= 11 && count(/Ral Full/g) <= 12);
+  assert.ok(count(/Guthay New/g) >= 3);
+  assert.ok(all.some(e => /^Scorch 1: High Sun \(Summer Solstice\)/.test(e)));
+  assert.ok(all.some(e => /^Gather 4: Ascending Equinox/.test(e)));
+  assert.equal(data.segments.find(s => s.name === 'Cooling Sun').entries[0].weekday, null);
+  const html = renderAlmanacYear(cal, data);
+  assert.match(html, /<h3>Highest Sun<\/h3>/);
+  assert.match(html, /opens 1 Day, Scorch 1 KA 190\.27/);
+});
+
+test('a King\'s Age gets an overview and a page per year', () => {
+  const almanac = buildAlmanac(cal, { kingsAge: 190 });
+  assert.equal(almanac.key, 'ka:190');
+  assert.equal(almanac.pages.length, 78);
+  assert.match(almanac.pages[1].name, /^190\.1 Ral’s Fury$/);
+  assert.match(almanac.pages[0].html, /Wind’s Reverence — 14656/);
+});
+
+test('the journal is created once and regenerated in place', async () => {
+  const journals = [];
+  class FakeJournal {
+    constructor(data) { Object.assign(this, data); this.uuid = `JournalEntry.${journals.length}`; }
+    static async create(data) { const j = new FakeJournal(data); journals.push(j); return j; }
+    getFlag(_mod, key) { return this.flags?.['seasons-and-stars-athas']?.[key]; }
+    async deleteEmbeddedDocuments() { this.pages = []; }
+    async createEmbeddedDocuments(_type, pages) { this.pages = pages; this.regenerated = true; }
+    async update(data) { Object.assign(this, data); }
+  }
+  globalThis.JournalEntry = FakeJournal;
+  globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { NONE: 0, OBSERVER: 2 } };
+  globalThis.game.journal = journals;
+  const first = await writeAlmanac(cal, { year: 14656 });
+  assert.equal(first.status, 'created');
+  assert.equal(first.journal.name, 'Almanac: Year of Wind’s Reverence (KA 190.27)');
+  assert.deepEqual(first.journal.ownership, { default: 2 });
+  assert.equal((await writeAlmanac(cal, { year: 14656 })).status, 'exists');
+  const again = await writeAlmanac(cal, { year: 14656 }, { regenerate: true });
+  assert.equal(again.status, 'regenerated');
+  assert.equal(journals.length, 1);
+  assert.ok(journals[0].regenerated);
+  // A handout the GM had locked down is opened to players again
+  journals[0].ownership = { default: 0 };
+  await writeAlmanac(cal, { year: 14656 }, { regenerate: true });
+  assert.deepEqual(journals[0].ownership, { default: 2 });
+  delete globalThis.CONST;
+});
+
+test('/almanac is for the GM and reads years', () => {
+  globalThis.game.user = { isGM: false };
+  assert.match(almanacCommand('').content, /Only the GM/);
+  globalThis.game.user = { isGM: true, id: 'gm' };
+  assert.match(almanacCommand('Year of Nowhere').content, /Year not understood/);
+  delete globalThis.game.user;
+});
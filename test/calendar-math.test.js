@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCalendar } from './helpers/ss-stub.js';
+import {
+  buildCalendarMeta, toAbsoluteDay, fromAbsoluteDay, getDayOfYear, isValidDate, addDays, getMoonPhases,
+  getWeekday, getWeekdayIndex,
+} from '../scripts/calendar-math.js';
+
+const cal = loadCalendar();
+
+test('year layout has 12 months, 3 festivals and 375 days', () => {
+  const meta = buildCalendarMeta(cal);
+  assert.equal(meta.daysPerYear, 375);
+  assert.equal(meta.segments.filter(s => s.type === 'intercalary').length, 3);
+});
+
+test('absolute day round-trips every day of the year', () => {
+  const base = toAbsoluteDay(cal, { year: 14656, month: 1, day: 1 });
+  for (let i = 0; i < 375; i++) {
+    const date = fromAbsoluteDay(cal, base + i);
+    assert.ok(isValidDate(cal, date), JSON.stringify(date));
+    assert.equal(toAbsoluteDay(cal, date), base + i);
+  }
+});
+
+test('festival days come back as intercalary dates', () => {
+  const gather30 = toAbsoluteDay(cal, { year: 14656, month: 4, day: 30 });
+  assert.deepEqual(fromAbsoluteDay(cal, gather30 + 1), { year: 14656, month: 4, day: 1, intercalary: 'Cooling Sun' });
+  assert.deepEqual(fromAbsoluteDay(cal, gather30 + 6), { year: 14656, month: 5, day: 1 });
+  assert.equal(getDayOfYear(cal, { year: 14656, month: 12, day: 5, intercalary: 'Highest Sun' }), 375);
+  assert.deepEqual(addDays(cal, { year: 14656, month: 12, day: 5, intercalary: 'Highest Sun' }, 1), { year: 14657, month: 1, day: 1 });
+});
+
+test('out-of-range dates are rejected', () => {
+  assert.equal(isValidDate(cal, { year: 14656, month: 4, day: 33 }), false);
+  assert.equal(isValidDate(cal, { year: 14656, month: 4, day: 6, intercalary: 'Cooling Sun' }), false);
+  assert.equal(toAbsoluteDay(cal, { year: 14656, month: 13, day: 1 }), null);
+});
+
+test('moons are New on their first-new-moon anchors', () => {
+  const ral = getMoonPhases(cal, { year: 14554, month: 1, day: 17 }).find(p => p.name === 'Ral');
+  const guthay = getMoonPhases(cal, { year: 14554, month: 3, day: 3 }).find(p => p.name === 'Guthay');
+  assert.equal(ral.age, 0);
+  assert.equal(ral.phaseName, 'New Moon');
+  assert.equal(guthay.age, 0);
+  assert.equal(guthay.illumination, 0);
+});
+
+test('weekdays skip festival days that do not count for weekdays', () => {
+  assert.equal(getWeekday(cal, { year: 14656, month: 1, day: 1 }).name, '1 Day');
+  assert.equal(getWeekdayIndex(cal, { year: 14656, month: 4, day: 30 }), 5);
+  assert.equal(getWeekday(cal, { year: 14656, month: 4, day: 3, intercalary: 'Cooling Sun' }), null);
+  assert.equal(getWeekdayIndex(cal, { year: 14656, month: 5, day: 1 }), 0);
+});
+
+test('weekdays advance by one across every counted day and carry over between years', () => {
+  const start = toAbsoluteDay(cal, { year: 14655, month: 12, day: 1 });
+  let prev = null;
+  for (let abs = start; abs < start + 60; abs++) {
+    const idx = getWeekdayIndex(cal, fromAbsoluteDay(cal, abs));
+    if (idx == null) continue;
+    if (prev != null) assert.equal(idx, (prev + 1) % 6);
+    prev = idx;
+  }
+});
+
+test('years drift when festival days count for weekdays', () => {
+  const counting = { ...cal, intercalary: cal.intercalary.map(ic => ({ ...ic, countsForWeekdays: true })) };
+  const a = getWeekdayIndex(counting, { year: 14656, month: 1, day: 1 });
+  const b = getWeekdayIndex(counting, { year: 14657, month: 1, day: 1 });
+  assert.equal(b, (a + 375) % 6);
+  assert.notEqual(getWeekday(counting, { year: 14656, month: 4, day: 1, intercalary: 'Cooling Sun' }), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { installI18n, loadLanguage } from './helpers/i18n-stub.js';
+import { buildMonthView, renderMonthView, shiftView } from '../scripts/calendar-view.js';
+import { findCommand } from '../scripts/commands.js';
+
+const { calendar: cal } = installStubManager();
+globalThis.game.settings = { get: (_module, key) => ({ eventTolerance: 5, recurringEvents: [] }[key]) };
+
+test('a month is laid out in six-day weeks with its festival strip', () => {
+  const view = buildMonthView(cal, { year: 14656, month: 4 }, { today: { year: 14656, month: 4, day: 2 } });
+  assert.equal(view.name, 'Gather');
+  assert.equal(view.info.yearName, 'Wind’s Reverence');
+  assert.equal(view.cityYear, 'FY78');
+  assert.equal(view.weekdays.length, 6);
+  assert.ok(view.weeks.every(w => w.length === 6));
+  assert.equal(view.weeks.flat().filter(Boolean).length, 30);
+  const cells = view.weeks.flat().filter(Boolean);
+  assert.ok(cells.find(c => c.day === 2).isToday);
+  assert.equal(cells.find(c => c.day === 4).solar, 'Ascending Equinox');
+  assert.ok(cells.every(c => c.moons.length === 2));
+  assert.equal(view.festivals.length, 1);
+  assert.equal(view.festivals[0].name, 'Cooling Sun');
+  assert.equal(view.festivals[0].days.length, 5);
+  assert.ok(view.festivals[0].days.some(c => c.events.some(e => e.name === 'Water Blessing')));
+});
+
+test('season markers and rendering', () => {
+  const view = buildMonthView(cal, { year: 14656, month: 3 });
+  assert.equal(view.season, 'Sun Descending');
+  assert.deepEqual(view.weeks.flat().find(c => c?.day === 1).seasons, ['Sun Descending']);
+  const player = renderMonthView(view);
+  assert.match(player, /Sun Descending begins/);
+  assert.match(player, /data-action="navigate" data-step="nextAge"/);
+  assert.match(player, /data:image\/svg\+xml/);
+  assert.doesNotMatch(player, /data-action="setDate"/);
+  assert.match(renderMonthView(view, { gm: true }), /data-action="setDate" data-abs="\d+"/);
+});
+
+test('the window\'s own labels come from the language file', () => {
+  const lang = loadLanguage();
+  Object.assign(lang.SSATHAS.CalendarView, { Today: 'Hoy', SeasonBegins: 'comienza {season}', AgeYear: 'Era del Rey {ka}, año {year}' });
+  installI18n(lang);
+  try {
+    const html = renderMonthView(buildMonthView(cal, { year: 14656, month: 3 }));
+    assert.match(html, />Hoy<\/button>/);
+    assert.match(html, /comienza Sun Descending/);
+    assert.match(html, /Era del Rey 190, año 27/);
+    assert.doesNotMatch(html, /SSATHAS\./);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
+
+test('navigation wraps months and steps whole King\'s Ages', () => {
+  assert.deepEqual(shiftView(cal, { year: 14656, month: 12 }, 'nextMonth'), { year: 14657, month: 1 });
+  assert.deepEqual(shiftView(cal, { year: 14656, month: 1 }, 'prevMonth'), { year: 14655, month: 12 });
+  assert.deepEqual(shiftView(cal, { year: 14656, month: 5 }, 'prevYear'), { year: 14655, month: 5 });
+  assert.deepEqual(shiftView(cal, { year: 14656, month: 5 }, 'nextAge'), { year: 14733, month: 5 });
+  assert.equal(buildMonthView(cal, { year: 14656, month: 13 }), null);
+});
+
+test('/calendar is registered with its /cal alias', () => {
+  assert.equal(findCommand('/cal'), findCommand('/calendar'));
+  assert.ok(findCommand('/calendar'));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCalendar } from './helpers/ss-stub.js';
+import { toAbsoluteDay } from '../scripts/calendar-math.js';
+import {
+  scanCelestialEvents, getCelestialEventsOn, findCelestialEvent, describeCelestialEvent,
+} from '../scripts/celestial-events.js';
+
+const cal = loadCalendar();
+const from = { year: 14656, month: 1, day: 1 };
+const to = { year: 14666, month: 12, day: 30 };
+
+test('multi-day windows collapse into one event with start, peak and end', () => {
+  const events = scanCelestialEvents(cal, from, to);
+  assert.ok(events.length > 150);
+  for (const ev of events) {
+    assert.ok(ev.startAbs <= ev.peakAbs && ev.peakAbs <= ev.endAbs);
+    assert.equal(ev.durationDays, ev.endAbs - ev.startAbs + 1);
+    assert.equal(toAbsoluteDay(cal, ev.peak), ev.peakAbs);
+  }
+  const peaks = events.map(ev => ev.exactAbs);
+  assert.equal(new Set(peaks).size, peaks.length);
+});
+
+test('aligned events are classified by phase at the peak', () => {
+  const events = scanCelestialEvents(cal, from, to, { types: ['Darkest', 'Brightest'] });
+  assert.ok(events.some(ev => ev.type === 'Darkest'));
+  assert.ok(events.some(ev => ev.type === 'Brightest'));
+  for (const ev of events) {
+    const target = ev.type === 'Darkest' ? 0 : 180;
+    for (const m of ev.moons) assert.ok(Math.abs(((m.phaseAngle - target + 540) % 360) - 180) <= 5);
+  }
+  const darkest = findCelestialEvent(cal, from, 'Darkest');
+  assert.equal(darkest.peakAbs, events.find(ev => ev.type === 'Darkest').peakAbs);
+});
+
+test('a wider tolerance widens windows and finds more eclipses', () => {
+  const narrow = scanCelestialEvents(cal, from, to, { tolerance: 5, types: 'Darkest' });
+  const wide = scanCelestialEvents(cal, from, to, { tolerance: 15, types: 'Darkest' });
+  assert.ok(wide.length > narrow.length);
+  assert.ok(wide[0].durationDays >= narrow[0].durationDays);
+});
+
+test('events covering a day include windows that started earlier', () => {
+  const ev = findCelestialEvent(cal, from, 'Opposition');
+  assert.ok(getCelestialEventsOn(cal, ev.end).some(e => e.exactAbs === ev.exactAbs));
+  assert.match(describeCelestialEvent(cal, ev), /^Opposition: .+ at \d\d:\d\d [AP]M/);
+});
+
+test('every day within tolerance of an alignment is covered by an event', () => {
+  const moons = cal.moons.map(m => ({ cycle: m.cycleLength, refAbs: toAbsoluteDay(cal, m.firstNewMoon) }));
+  const start = toAbsoluteDay(cal, from);
+  const covered = new Set();
+  for (const ev of scanCelestialEvents(cal, from, to)) {
+    for (let abs = ev.startAbs; abs <= ev.endAbs; abs++) covered.add(abs);
+  }
+  // Full 4125-day supercycle, sampled at the start of each day
+  for (let abs = start; abs < start + 4125; abs++) {
+    const [a, b] = moons.map(m => 360 * ((((abs - m.refAbs) % m.cycle) + m.cycle) % m.cycle) / m.cycle);
+    const sep = Math.abs(((a - b + 540) % 360) - 180);
+    if (sep > 5 && sep < 175) continue;
+    assert.ok(covered.has(abs), `day ${abs} (Δ${sep.toFixed(1)}°) has no event`);
+  }
+});
+
+test('scanning a whole King\'s Age is fast (benchmark)', () => {
+  const started = performance.now();
+  const events = scanCelestialEvents(cal, { year: 14630, month: 1, day: 1 }, { year: 14706, month: 12, day: 30 });
+  const elapsed = performance.now() - started;
+  assert.ok(events.length > 1250);
+  assert.ok(elapsed < 250, `King's Age scan took ${elapsed.toFixed(1)} ms`);
+  const found = findCelestialEvent(cal, { year: 14630, month: 1, day: 1 }, 'Brightest', 'next', { maxYears: 77 });
+  assert.ok(found && performance.now() - started < 300);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { installStubManager, loadCalendar } from './helpers/ss-stub.js';
+import {
+  CITY_STATES, getCalendarCity, toLocalYear, convertLocalYear, formatCityYear, parseCityYear, getCityHolidaysOn, getCityReckoning,
+} from '../scripts/city-states.js';
+import { parseAthasDate } from '../scripts/date-parser.js';
+import { getCityReckoningEntries } from '../scripts/day-card.js';
+
+const { calendar: cal } = installStubManager();
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../calendars/${file}`, import.meta.url), 'utf8'));
+
+test('Tyr keeps its Free Year reckoning', () => {
+  assert.equal(getCalendarCity(cal), 'tyr');
+  assert.equal(getCalendarCity({}), 'tyr');
+  assert.equal(toLocalYear(14656, 'tyr'), 78);
+  assert.equal(formatCityYear(14656, 'Tyr'), 'FY78');
+  assert.equal(formatCityYear(14570, 'tyr'), '9 before FY1');
+});
+
+test('local years convert between cities through the absolute year', () => {
+  const hr = toLocalYear(14656, 'urik');
+  assert.equal(convertLocalYear(78, 'tyr', 'urik'), hr);
+  assert.equal(convertLocalYear(hr, 'urik', 'tyr'), 78);
+  assert.deepEqual(parseCityYear(`HR ${hr}`), { year: 14656, city: 'urik', localYear: hr });
+  assert.equal(parseCityYear('XX12'), null);
+  assert.deepEqual(parseAthasDate(cal, `Scorch 1, HR${hr}`).date, { year: 14656, month: 1, day: 1 });
+});
+
+test('holidays fall on months and festivals of the sun', () => {
+  assert.deepEqual(getCityHolidaysOn(cal, { year: 14656, month: 1, day: 1 }, 'tyr').map(h => h.name), ['Liberation Day']);
+  const kiln = getCityHolidaysOn(cal, { year: 14656, month: 8, day: 2, intercalary: 'Soaring Sun' }, 'urik');
+  assert.equal(kiln[0].name, 'Kiln Festival');
+  assert.equal(kiln[0].dayOf, 2);
+  assert.deepEqual(getCityHolidaysOn(cal, { year: 14656, month: 8, day: 3, intercalary: 'Soaring Sun' }, 'urik'), []);
+  assert.equal(getCityHolidaysOn(cal, { year: 14656, month: 4, day: 1 }, 'draj')[0].kind, 'decree');
+  assert.equal(getCityReckoning(cal, { year: 14656, month: 1, day: 1 }, 'urik').text, `Scorch 1, HR${toLocalYear(14656, 'urik')}`);
+});
+
+test('every city calendar shares Tyr\'s months and formats its own years', () => {
+  const tyr = loadCalendar();
+  const index = readJson('index.json');
+  for (const [id, city] of Object.entries(CITY_STATES)) {
+    const entry = index.calendars.find(c => c.id === (id === 'tyr' ? 'dark-sun-kings-age' : `dark-sun-${id}`));
+    assert.ok(entry, `${id} listed in index.json`);
+    const c = readJson(entry.file);
+    assert.equal(getCalendarCity(c), id);
+    assert.deepEqual(c.months, tyr.months);
+    assert.deepEqual(c.intercalary, tyr.intercalary);
+    // Tyr's city year is its Free Year, so its format points at that one
+    const format = (name) => { const f = c.dateFormats[name]; const ref = f.match(/^\{\{ss-dateFmt '([\w-]+)'\}\}$/); return ref ? format(ref[1]) : f; };
+    assert.ok(format('city-year').includes(`${city.reckoning.abbr}{{ss-math year op="subtract" value=${city.reckoning.epoch}}}`));
+  }
+});
+
+test('the /day card shows the home reckoning and the other cities', () => {
+  const { home, elsewhere } = getCityReckoningEntries(cal, { year: 14656, month: 1, day: 1 });
+  assert.deepEqual(home, { label: 'Tyr', yearText: 'FY78', reckoning: 'Free Year' });
+  assert.match(elsewhere, /Urik HR\d+/);
+});
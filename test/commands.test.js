@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { findCommand, moonsCommand, doyCommand, absCommand, eclipseCommand } from '../scripts/commands.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 4, day: 2, intercalary: 'Cooling Sun' } });
+
+test('commands read the current date from the S&S manager', () => {
+  assert.match(moonsCommand('').content, /Cooling Sun 2, 14656/);
+  assert.match(doyCommand('').content, /Day of Year:<\/strong> 122/);
+});
+
+test('explicit YYYY-M-D dates are validated', () => {
+  assert.match(absCommand('14656-1-1').content, /Absolute Day:<\/strong> 5495625/);
+  assert.match(doyCommand('14656-4-33').content, /Date not understood:<\/strong> 14656-4-33 is not a day/);
+});
+
+test('date-taking commands accept Athasian dates and relative offsets', () => {
+  stub.setDate({ year: 14656, month: 1, day: 1 });
+  assert.match(doyCommand('Highest Sun 5, KA 190.27').content, /Day of Year:<\/strong> 375/);
+  assert.match(absCommand('tomorrow').content, /Absolute Day:<\/strong> 5495626/);
+  assert.match(moonsCommand('+5d').content, /Scorch 6, 14656/);
+  assert.match(moonsCommand('<b>Smash</b>').content, /&lt;b&gt;Smash/);
+});
+
+test('eclipse command scans from the current date', () => {
+  stub.setDate({ year: 14656, month: 1, day: 1 });
+  assert.match(eclipseCommand('next').content, /Darkest Night \(both New\): Bloom 3, 14658/);
+  assert.match(eclipseCommand('prev brightest').content, /Previous<\/strong> Brightest Night/);
+  assert.match(eclipseCommand('sideways').content, /Unknown event type/);
+});
+
+test('aliases resolve to the same command', () => {
+  assert.equal(findCommand('/ds-day'), findCommand('/day'));
+  assert.equal(findCommand('/nope'), null);
+});
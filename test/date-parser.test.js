@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCalendar } from './helpers/ss-stub.js';
+import { parseAthasDate } from '../scripts/date-parser.js';
+
+const cal = loadCalendar();
+const today = { year: 14656, month: 4, day: 30 };
+const parse = (text) => parseAthasDate(cal, text, { today });
+
+test('month names, abbreviations and King\'s Age years', () => {
+  assert.deepEqual(parse('Scorch 1, KA 190.27').date, { year: 14656, month: 1, day: 1 });
+  assert.deepEqual(parse('Scorch  1,  KA 190.27').date, { year: 14656, month: 1, day: 1 });
+  assert.deepEqual(parse('Scorch 1,  Year  of  Priest\'s  Defiance,  KA  190').date, { year: 14655, month: 1, day: 1 });
+  assert.deepEqual(parse('1 Scorch 14656').date, { year: 14656, month: 1, day: 1 });
+  assert.deepEqual(parse('Sco 12').date, { year: 14656, month: 1, day: 12 });
+  assert.deepEqual(parse('Mist 3 FY78').date, { year: 14656, month: 6, day: 3 });
+  assert.deepEqual(parse('Scorch 1, Year of Priest\'s Defiance, KA 190').date, { year: 14655, month: 1, day: 1 });
+});
+
+test('festival names resolve to intercalary days', () => {
+  assert.deepEqual(parse('3rd day of Highest Sun 14656').date, { year: 14656, month: 12, day: 3, intercalary: 'Highest Sun' });
+  assert.deepEqual(parse('Cooling Sun 2').date, { year: 14656, month: 4, day: 2, intercalary: 'Cooling Sun' });
+});
+
+test('relative words and offsets count from the reference date', () => {
+  assert.deepEqual(parse('tomorrow').date, { year: 14656, month: 4, day: 1, intercalary: 'Cooling Sun' });
+  assert.deepEqual(parse('+5d').date, { year: 14656, month: 4, day: 5, intercalary: 'Cooling Sun' });
+  assert.deepEqual(parse('-2w').date, { year: 14656, month: 4, day: 18 });
+  assert.deepEqual(parse('+1y').date, { year: 14657, month: 4, day: 30 });
+});
+
+test('unreadable input explains what went wrong', () => {
+  assert.match(parse('Scorch 40').error, /days 1–30/);
+  assert.match(parse('Scorch').error, /Which day/);
+  assert.match(parse('Scorch 1, Priest\'s Defiance').error, /several years/);
+  assert.match(parse('+3q').error, /Unknown unit/);
+  assert.match(parse('blah').error, /Could not read “blah”/);
+  assert.match(parseAthasDate(cal, 'tomorrow').error, /needs a current date/);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { installI18n, loadLanguage } from './helpers/i18n-stub.js';
+import { DAY_SECTIONS, DAY_CARD_TEMPLATE, buildDayCardData, getDaySections, postDayCard } from '../scripts/day-card.js';
+import { SETTINGS } from '../scripts/settings.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 22, minute: 0 } } });
+const cal = stub.calendar;
+const now = { year: 14656, month: 1, day: 1, time: { hour: 22, minute: 0 } };
+const all = Object.fromEntries(Object.keys(DAY_SECTIONS).map(s => [s, true]));
+
+test('every section has a setting, on by default', () => {
+  for (const key of Object.values(DAY_SECTIONS)) assert.equal(SETTINGS[key]?.default, true);
+  assert.deepEqual(getDaySections(), all);
+});
+
+test('the card data fills the sections that are switched on', () => {
+  const data = buildDayCardData(cal, now, { sections: all });
+  assert.deepEqual(data.period, { name: '1st Watch', slug: '1st-watch', light: false });
+  assert.match(data.header, /Scorch 1 KA 190\.27/);
+  assert.equal(data.time.text12, '10:00 PM');
+  assert.equal(data.season, 'High Sun');
+  assert.deepEqual(data.cities.home, { label: 'Tyr', yearText: 'FY78', reckoning: 'Free Year' });
+  assert.ok(data.events.some(e => e.name === 'Liberation Day'));
+  assert.match(data.weather.high, /°F/);
+  assert.deepEqual(data.moons.map(m => m.name), ['Ral', 'Guthay']);
+  assert.match(data.badges, /<img/);
+
+  const bare = buildDayCardData(cal, now, { sections: { ...all, time: false, weather: false, moons: false, events: false } });
+  assert.equal(bare.time, null);
+  assert.equal(bare.weather, null);
+  assert.deepEqual(bare.moons, []);
+  assert.equal(bare.badges, '');
+  assert.deepEqual(bare.events, []);
+  // Moon phases are only listed in the watches
+  assert.deepEqual(buildDayCardData(cal, { ...now, time: { hour: 12, minute: 0 } }, { sections: all }).moons, []);
+});
+
+test('event spans are localized', () => {
+  installI18n();
+  globalThis.game.settings = { get: (_mod, key) => (key === 'recurringEvents' ? [{ name: 'Caravan Fair', rule: { type: 'date', month: 'Rest', day: 9, days: 3 } }] : undefined) };
+  const fair = buildDayCardData(cal, { year: 14656, month: 3, day: 10, time: { hour: 12, minute: 0 } }, { sections: all });
+  assert.deepEqual(fair.events.find(e => e.name === 'Caravan Fair'), { labelKey: 'SSATHAS.Day.Event', name: 'Caravan Fair', span: 'day 2 of 3', description: '' });
+  delete globalThis.game.settings;
+  delete globalThis.game.i18n;
+});
+
+test('a translated card has no English left in the text it fills in', () => {
+  // Pseudo-language: every string of the English file wrapped in «»
+  const wrap = (node) => (typeof node === 'string' ? `«${node}»` : Object.fromEntries(Object.entries(node).map(([k, v]) => [k, wrap(v)])));
+  installI18n(wrap(loadLanguage()));
+  const untranslated = (text) => {
+    let rest = String(text);
+    while (/«[^«»]*»/.test(rest)) rest = rest.replace(/«[^«»]*»/g, '');
+    return rest.replace(/\b[AP]M\b/g, '').match(/[A-Za-z]+/g) || [];
+  };
+  try {
+    // A stormy night with an opposition
+    const data = buildDayCardData(cal, { year: 14656, month: 3, day: 3, time: { hour: 22, minute: 0 } }, { sections: all });
+    assert.ok(data.weather.storm);
+    assert.equal(data.alignments.length, 1);
+    const texts = [
+      data.time.period, data.season, data.cities.home.reckoning, ...data.alignments,
+      ...Object.values(data.weather), ...data.moons.map(m => m.phase),
+    ];
+    for (const text of texts) assert.deepEqual(untranslated(text), [], text);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
+
+test('the card is rendered from the template and posted as the world says', async () => {
+  const rendered = [];
+  const messages = [];
+  let output = 'public';
+  globalThis.foundry = { applications: { handlebars: { renderTemplate: async (path, data) => { rendered.push({ path, data }); return '<div>card</div>'; } } } };
+  globalThis.game.user = { isGM: true, id: 'gm' };
+  globalThis.game.settings = { get: (_mod, key) => ({ dayCardOutput: output, dayShowWeather: false })[key] };
+  globalThis.ChatMessage = { create: async (data) => messages.push(data), getWhisperRecipients: () => ['gm'] };
+  try {
+    await postDayCard();
+    assert.equal(rendered[0].path, DAY_CARD_TEMPLATE);
+    assert.equal(rendered[0].data.weather, null);
+    assert.deepEqual(messages[0], { content: '<div>card</div>', whisper: [] });
+    output = 'gm';
+    await postDayCard();
+    assert.deepEqual(messages[1].whisper, ['gm']);
+  } finally {
+    delete globalThis.foundry;
+    delete globalThis.game.settings;
+  }
+});
+
+test('the template and settings only use keys the language file has', () => {
+  const i18n = installI18n();
+  const template = readFileSync(new URL('../templates/day-card.hbs', import.meta.url), 'utf8');
+  const keys = [...template.matchAll(/"(SSATHAS\.[\w.]+)"/g)].map(m => m[1]);
+  keys.push(...['Festival', 'Decree', 'Event', 'Unavailable', 'Error'].map(k => `SSATHAS.Day.${k}`));
+  // Every setting is named by key, so a literal name or hint fails here too
+  for (const def of Object.values(SETTINGS)) {
+    keys.push(...[def.name, def.hint, ...Object.values(def.choices || {})].filter(k => k !== undefined));
+  }
+  assert.ok(keys.length > 20);
+  assert.deepEqual(keys.filter(k => !i18n.has(k)), []);
+  delete globalThis.game.i18n;
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCalendar } from './helpers/ss-stub.js';
+import { getMoonState, toHourOfDay } from '../scripts/ephemeris.js';
+
+const cal = loadCalendar();
+const ralOn = (date, time) => getMoonState(cal, date, time).find(m => m.name === 'Ral');
+
+test('a New Ral rises near dawn and is below the horizon at midnight', () => {
+  const ral = ralOn({ year: 14554, month: 1, day: 17 }, 0);
+  assert.equal(ral.phaseAngle, 0);
+  assert.equal(ral.illumination, 0);
+  assert.equal(ral.aboveHorizon, false);
+  assert.ok(Math.abs(ral.rise.hours - 6) < 0.5);
+});
+
+test('phase angle advances continuously through the day', () => {
+  const morning = ralOn({ year: 14554, month: 1, day: 20 }, 6);
+  const evening = ralOn({ year: 14554, month: 1, day: 20 }, 18);
+  assert.ok(evening.phaseAngle > morning.phaseAngle);
+  assert.ok(Math.abs(evening.phaseAngle - morning.phaseAngle - 360 / 33 / 2) < 1e-9);
+});
+
+test('a Full Ral is up through the night watches', () => {
+  // Half a cycle after the anchor new moon
+  const full = { year: 14554, month: 2, day: 3 };
+  assert.ok(ralOn(full, '2nd Watch').aboveHorizon);
+  assert.ok(ralOn(full, 12).aboveHorizon === false);
+});
+
+test('moonrise drifts later every day across the cycle', () => {
+  const a = ralOn({ year: 14554, month: 1, day: 21 }, 0).rise.hours;
+  const b = ralOn({ year: 14554, month: 1, day: 22 }, 0).rise.hours;
+  assert.ok(Math.abs((b - a) - 24 / 33 / (1 - 1 / 33)) < 1e-6);
+});
+
+test('times accept hours, clock objects and canonical hour names', () => {
+  assert.equal(toHourOfDay(cal, 7.5), 7.5);
+  assert.equal(toHourOfDay(cal, { hour: 7, minute: 30 }), 7.5);
+  assert.equal(toHourOfDay(cal, '2nd Watch'), 0);
+  assert.equal(toHourOfDay(cal, 'Evening'), 17);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { normalizeEventRule, getEventRules, getEventsOn, getEventsBetween } from '../scripts/events.js';
+import { findCelestialEvent } from '../scripts/celestial-events.js';
+import { toAbsoluteDay } from '../scripts/calendar-math.js';
+import { getEventEntries } from '../scripts/day-card.js';
+
+const { calendar: cal } = installStubManager();
+const rule = (r) => normalizeEventRule({ name: 'Test', ...r }).event;
+const days = (from, to, r) => getEventsBetween(cal, from, to, { rules: [rule({ rule: r })], tolerance: 5 }).map(e => e.date);
+
+test('rule definitions are checked', () => {
+  assert.match(normalizeEventRule({ rule: { type: 'date' } }).error, /needs a name/);
+  assert.match(normalizeEventRule({ name: 'X', rule: { type: 'yearly' } }).error, /rule type/);
+  assert.match(normalizeEventRule({ name: 'X', rule: { type: 'weekday', month: 'Scorch', weekday: 1, nth: 0 } }).error, /nth/);
+  assert.match(normalizeEventRule({ name: 'X', rule: { type: 'moons', event: 'Eclipse' } }).error, /event/);
+  assert.deepEqual(rule({ rule: { type: 'kings-age', every: 11 } }).rule, { type: 'kings-age', every: 11, start: 11, month: 1, day: 1, days: 1 });
+});
+
+test('fixed dates, including multi-day festivals', () => {
+  const hits = days({ year: 14656, month: 1, day: 1 }, { year: 14657, month: 1, day: 1 }, { type: 'date', intercalary: 'Soaring Sun', day: 2, days: 2 });
+  assert.deepEqual(hits.map(d => [d.intercalary, d.day]), [['Soaring Sun', 2], ['Soaring Sun', 3]]);
+  assert.equal(days({ year: 14656, month: 1, day: 1 }, { year: 14658, month: 1, day: 1 }, { type: 'date', month: 'Mist', day: 12 }).length, 2);
+});
+
+test('nth and last weekday of a month', () => {
+  const year = [{ year: 14656, month: 1, day: 1 }, { year: 14656, month: 12, day: 30 }];
+  const [second] = days(...year, { type: 'weekday', month: 'Morrow', weekday: '3 Day', nth: 2 });
+  assert.equal(second.month, 2);
+  assert.ok(second.day > 6 && second.day <= 12);
+  const [last] = days(...year, { type: 'weekday', month: 12, weekday: 6, nth: -1 });
+  assert.ok(last.day > 24);
+});
+
+test('every Nth year of the King\'s Age', () => {
+  // 14630 opens KA 190; years 1, 12, 23 … of the age
+  const hits = days({ year: 14630, month: 1, day: 1 }, { year: 14706, month: 12, day: 30 }, { type: 'kings-age', every: 11, start: 1 });
+  assert.deepEqual(hits.map(d => d.year), [14630, 14641, 14652, 14663, 14674, 14685, 14696]);
+});
+
+test('Darkest nights and the first day of each festival of the sun', () => {
+  const from = { year: 14656, month: 1, day: 1 };
+  const next = findCelestialEvent(cal, from, ['Darkest'], 'next');
+  const [hit] = days(from, next.peak, { type: 'moons', event: 'darkest' });
+  assert.equal(toAbsoluteDay(cal, hit), toAbsoluteDay(cal, next.peak));
+  const starts = days(from, { year: 14656, month: 12, day: 5, intercalary: 'Highest Sun' }, { type: 'intercalary' });
+  assert.deepEqual(starts.map(d => `${d.intercalary} ${d.day}`), ['Cooling Sun 1', 'Soaring Sun 1', 'Highest Sun 1']);
+});
+
+test('rules come from the calendar, the world and the city', () => {
+  globalThis.game.settings = { get: (_mod, key) => (key === 'recurringEvents' ? [{ name: 'Caravan Day', rule: { type: 'date', month: 'Rest', day: 9 } }] : undefined) };
+  const sources = new Set(getEventRules(cal).map(r => r.source));
+  assert.deepEqual([...sources].sort(), ['calendar', 'city', 'world']);
+  assert.deepEqual(getEventsOn(cal, { year: 14656, month: 3, day: 9 }).map(e => e.name), ['Caravan Day']);
+  const liberation = getEventsOn(cal, { year: 14656, month: 1, day: 1 });
+  assert.ok(liberation.some(e => e.name === 'Liberation Day' && e.category === 'festival'));
+  assert.ok(getEventEntries(cal, { year: 14656, month: 1, day: 1 }).some(e => e.labelKey === 'SSATHAS.Day.Festival' && e.name === 'Liberation Day'));
+  delete globalThis.game.settings;
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import {
+  findHeatExposures, countHeatExposures, getHeatSaveDC, onTimeElapsed, renderHeatAudit, MAX_HEAT_EXPOSURES,
+} from '../scripts/heat-rules.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 18, minute: 0 } } });
+const cal = stub.calendar;
+
+test('one exposure per end of Midday passed', () => {
+  const morning = { year: 14656, month: 1, day: 1, time: { hour: 8 } };
+  assert.equal(findHeatExposures(cal, morning, 4).length, 0);
+  assert.equal(findHeatExposures(cal, morning, 9).length, 1);
+  assert.equal(findHeatExposures(cal, morning, 72).length, 3);
+  assert.equal(findHeatExposures(cal, { year: 14656, month: 1, day: 1, time: { hour: 17 } }, 1).length, 0);
+});
+
+test('intercalary Sun days raise the DC', () => {
+  const [festival] = findHeatExposures(cal, { year: 14656, month: 4, day: 30, time: { hour: 18 } }, 24);
+  assert.equal(festival.sunPeriod, 'Cooling Sun');
+  assert.equal(getHeatSaveDC(festival, 10), 12);
+  assert.equal(getHeatSaveDC({ sunPeriod: null }, 10), 10);
+});
+
+test('time passing Midday rolls saves, applies exhaustion and posts an audit card', async () => {
+  const cards = [];
+  const actor = {
+    name: 'Neeva',
+    type: 'character',
+    hasPlayerOwner: true,
+    system: { attributes: { exhaustion: 0 } },
+    getFlag: () => undefined,
+    getRollData: () => ({}),
+    update: async (data) => { actor.system.attributes.exhaustion = data['system.attributes.exhaustion']; },
+  };
+  globalThis.game.actors = [actor];
+  globalThis.game.user = { isGM: true };
+  globalThis.game.settings = { get: (_mod, key) => ({ heatRules: true, heatSaveFormula: '1', heatSaveDC: 10 })[key] };
+  globalThis.Roll = class { constructor(formula) { this.total = Number(formula); } async evaluate() { return this; } };
+  globalThis.foundry = { utils: { getProperty: (obj, path) => path.split('.').reduce((o, k) => o?.[k], obj) } };
+  globalThis.ChatMessage = { create: async (data) => cards.push(data), getWhisperRecipients: () => ['gm'] };
+  const results = await onTimeElapsed(2 * 3600);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].success, false);
+  assert.equal(actor.system.attributes.exhaustion, 1);
+  assert.match(cards[0].content, /Neeva: 1 — fails, exhaustion 1/);
+  assert.equal(await onTimeElapsed(-60), null);
+});
+
+test('a jump of years rolls only its last days and says how many were skipped', async () => {
+  const cards = [];
+  const rolls = [];
+  const actor = {
+    name: 'Neeva', type: 'character', hasPlayerOwner: true, system: { attributes: { exhaustion: 0 } },
+    getFlag: () => undefined, getRollData: () => ({}), update: async () => {},
+  };
+  globalThis.game.actors = [actor];
+  globalThis.game.settings = { get: (_mod, key) => ({ heatRules: true, heatSaveFormula: '20', heatSaveDC: 10 })[key] };
+  globalThis.Roll = class { constructor(formula) { this.total = Number(formula); rolls.push(formula); } async evaluate() { return this; } };
+  globalThis.ChatMessage = { create: async (data) => cards.push(data), getWhisperRecipients: () => ['gm'] };
+  const tenYears = 10 * 375 * 86400;
+  const start = { year: 14646, month: 1, day: 1, time: { hour: 18 } };
+  assert.equal(countHeatExposures(cal, start, tenYears / 3600), 3750);
+  const results = await onTimeElapsed(tenYears);
+  assert.equal(results.length, MAX_HEAT_EXPOSURES);
+  assert.equal(rolls.length, MAX_HEAT_EXPOSURES);
+  // The days rolled are the last ones, up to today's Midday (now is Scorch 1, 18:00)
+  assert.deepEqual(results.at(-1).exposure.date, { year: 14656, month: 1, day: 1 });
+  assert.match(cards[0].content, new RegExp(`${3750 - MAX_HEAT_EXPOSURES} earlier days of heat skipped`));
+  delete globalThis.game.settings;
+});
+
+test('the audit card escapes actor names', () => {
+  const html = renderHeatAudit([{ actor: { name: '<i>Tithian</i>' }, exposure: { label: 'Scorch 1, 14656' }, dc: 10, total: 12, success: true }]);
+  assert.match(html, /<p>&lt;i&gt;Tithian&lt;\/i&gt;: 12 — endures<\/p>/);
+});
@@ -0,0 +1,37 @@
+/**
+ * Local stand-in for Foundry's i18n.
+ *
+ * Loads a module language file (`lang/en.json` by default) and installs
+ * `globalThis.game.i18n` with `localize`, `format` and `has`, which resolve dotted keys
+ * the way Foundry does and return the key itself when it is missing.
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * A module language file, parsed.
+ * @param {string} [lang]
+ * @returns {object}
+ */
+export function loadLanguage(lang = 'en') {
+  return JSON.parse(readFileSync(new URL(`../../lang/${lang}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Install the stub on `globalThis.game` (which must already exist).
+ * @param {string|object} [lang] - Language code, or the translations themselves
+ * @returns {object} The installed `game.i18n`
+ */
+export function installI18n(lang = 'en') {
+  const translations = typeof lang === 'string' ? loadLanguage(lang) : lang;
+  const lookup = (key) => String(key).split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), translations);
+  const i18n = {
+    lang: typeof lang === 'string' ? lang : 'test',
+    translations,
+    has: (key) => typeof lookup(key) === 'string',
+    localize: (key) => (typeof lookup(key) === 'string' ? lookup(key) : key),
+    format: (key, data = {}) => i18n.localize(key).replace(/\{(\w+)\}/g, (m, name) => (name in data ? String(data[name]) : m)),
+  };
+  globalThis.game.i18n = i18n;
+  return i18n;
+}
@@ -0,0 +1,44 @@
+/**
+ * Local stand-in for the Seasons & Stars manager.
+ *
+ * Loads `calendars/dark-sun-kings-age.json` and installs a minimal `globalThis.game`
+ * exposing `seasonsStars.manager.getActiveCalendar()` and
+ * `seasonsStars.manager.timeConverter.getCurrentDate()` so the module's scripts can be
+ * imported and exercised under plain Node.
+ */
+
+import { readFileSync } from 'node:fs';
+
+const CALENDAR_URL = new URL('../../calendars/dark-sun-kings-age.json', import.meta.url);
+
+/**
+ * Fresh copy of the bundled Calendar of Tyr definition.
+ * @returns {any}
+ */
+export function loadCalendar() {
+  return JSON.parse(readFileSync(CALENDAR_URL, 'utf8'));
+}
+
+/**
+ * Install the stub on `globalThis.game`.
+ * @param {object} [options]
+ * @param {any} [options.calendar] - Calendar definition (defaults to the bundled JSON)
+ * @param {object} [options.date] - Current date ({ year, month, day, intercalary?, time? })
+ * @returns {{calendar:any, setDate:(date:object)=>void, manager:object}}
+ */
+export function installStubManager({ calendar = loadCalendar(), date = { year: 14656, month: 1, day: 1 } } = {}) {
+  let current = { ...date };
+  const manager = {
+    getActiveCalendar: () => calendar,
+    getCurrentDate: () => ({ ...current }),
+    timeConverter: {
+      getCurrentDate: () => ({ ...current }),
+    },
+  };
+  globalThis.game = { seasonsStars: { manager } };
+  return {
+    calendar,
+    manager,
+    setDate(next) { current = { ...next }; },
+  };
+}
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { installI18n, loadLanguage } from './helpers/i18n-stub.js';
+import { localizeCalendar, localizeCalendarText } from '../scripts/i18n.js';
+import { getYearInfo, parseYear } from '../scripts/kings-age.js';
+import { formatDate, getWeekdayName } from '../scripts/calendar-math.js';
+import { getMonthName, getSeasonName, getSolarEventName } from '../scripts/time-of-day.js';
+import { parseAthasDate } from '../scripts/date-parser.js';
+import { generateWeather } from '../scripts/weather.js';
+import { formatAthasDateLocal } from '../scripts/day-card.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1 } });
+const cal = stub.calendar;
+const today = { year: 14656, month: 1, day: 1 };
+
+/** A partial Spanish translation, on top of the English file. */
+function spanish() {
+  const en = loadLanguage();
+  const es = structuredClone(en);
+  const c = es.SSATHAS.Calendar;
+  c.Months.Scorch = { Name: 'Abrasador', Abbreviation: 'Abr', Description: 'El comienzo del calor.' };
+  c.Weekdays['1Day'].Name = 'Primer Día';
+  c.Intercalary.CoolingSun.Name = 'Sol Menguante';
+  c.Seasons.HighSun.Name = 'Sol Alto';
+  c.Calendars['dark-sun-kings-age'].Label = 'Calendario de Tyr';
+  es.SSATHAS.Solar.SummerSolstice = 'Sol Alto (solsticio de verano)';
+  es.SSATHAS.Date = { KingsAge: 'ER {ka}', YearOf: 'Año de {name}' };
+  const y = es.SSATHAS.YearNames;
+  y.Format = '{name2} {possessive1}';
+  y.Fragments.Wind = { Name: 'Viento', Possessive: 'del Viento' };
+  y.Fragments.Reverence = { Name: 'Reverencia' };
+  delete y.Fragments.Priest;
+  delete y.Fragments.Defiance;
+  return es;
+}
+
+test('the English file reproduces the calendar\'s own text', () => {
+  installI18n();
+  try {
+    for (const kind of ['months', 'weekdays', 'intercalary', 'seasons', 'canonicalHours']) {
+      for (const entry of cal[kind]) {
+        for (const field of ['name', 'abbreviation', 'description']) {
+          if (typeof entry[field] === 'string') assert.equal(localizeCalendarText(kind, entry, field), entry[field].trim());
+        }
+      }
+    }
+    assert.equal(getYearInfo(14656).yearName, 'Wind’s Reverence');
+    assert.equal(getSolarEventName(cal, { month: 1, day: 1 }), 'High Sun (Summer Solstice)');
+    assert.equal(localizeCalendar(cal).label, cal.label);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
+
+test('calendar text, seasons and solar events come from the language file', () => {
+  installI18n(spanish());
+  try {
+    assert.equal(getMonthName(cal, 0), 'Abrasador');
+    assert.equal(getSeasonName(cal, 0), 'Sol Alto');
+    assert.equal(getSolarEventName(cal, { month: 1, day: 1 }), 'Sol Alto (solsticio de verano)');
+    assert.equal(getWeekdayName(cal, today), 'Primer Día');
+    assert.match(formatDate(cal, today), /Abrasador/);
+    assert.equal(formatAthasDateLocal(cal, today), 'Primer Día, Abrasador 1 ER 190.27 (Año de Reverencia del Viento)');
+    const shown = localizeCalendar(cal);
+    assert.equal(shown.label, 'Calendario de Tyr');
+    assert.equal(shown.months[0].description, 'El comienzo del calor.');
+    assert.equal(shown.intercalary[0].name, 'Sol Menguante');
+    // The calendar itself is left alone
+    assert.equal(cal.months[0].name, 'Scorch');
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
+
+test('year names follow the language\'s word order and possessives', () => {
+  installI18n(spanish());
+  try {
+    assert.equal(getYearInfo(14656).yearName, 'Reverencia del Viento');
+    // A fragment the language lacks keeps the calendar's own composition
+    assert.equal(getYearInfo(14655).yearName, 'Priest’s Defiance');
+    assert.equal(parseYear('Reverencia del Viento', { from: 14630, to: 14706 })?.year, 14656);
+    assert.equal(parseYear('Wind’s Reverence', { from: 14630, to: 14706 })?.year, 14656);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
+
+test('translated names parse, and rules keep using the calendar\'s names', () => {
+  const english = generateWeather(cal, today);
+  installI18n(spanish());
+  try {
+    assert.deepEqual(parseAthasDate(cal, 'Abrasador 12', { today }).date, { year: 14656, month: 1, day: 12 });
+    assert.deepEqual(parseAthasDate(cal, 'Abr 3', { today }).date, { year: 14656, month: 1, day: 3 });
+    assert.deepEqual(parseAthasDate(cal, 'Scorch 12', { today }).date, { year: 14656, month: 1, day: 12 });
+    const weather = generateWeather(cal, today);
+    assert.equal(weather.season, 'Sol Alto');
+    assert.deepEqual({ ...weather, season: english.season }, english);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { buildIcs, foldIcsLine, escapeIcsText } from '../scripts/ics.js';
+
+const { calendar: cal } = installStubManager();
+const now = new Date(Date.UTC(2026, 0, 2, 12, 0, 0));
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const vevents = (ics) => unfold(ics).split('BEGIN:VEVENT').slice(1);
+
+test('text is escaped and long lines folded at 75 octets', () => {
+  assert.equal(escapeIcsText('a, b; c\\d\ne'), 'a\\, b\\; c\\\\d\\ne');
+  const line = `SUMMARY:${'Ral’s Fury '.repeat(20)}`;
+  const folded = foldIcsLine(line);
+  for (const part of folded.split('\r\n')) assert.ok(new TextEncoder().encode(part).length <= 75);
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('days map onto a real-day sequence with the athas-date format in the summary', () => {
+  const from = { year: 14656, month: 1, day: 1 };
+  const to = { year: 14656, month: 1, day: 3 };
+  const calls = [];
+  // Stand-in for the S&S formatter carried by its current date
+  const formatter = { formatNamed: (date, name) => { calls.push({ date, name }); return `${name} ${date.day}/${date.weekday}`; } };
+  const { timeConverter } = globalThis.game.seasonsStars.manager;
+  const current = timeConverter.getCurrentDate;
+  timeConverter.getCurrentDate = () => ({ ...current(), formatter });
+  try {
+    const { ics, count } = buildIcs(cal, from, to, { realStart: '2026-03-30', stepDays: 7, moons: false, events: false, now });
+    assert.equal(count, 3);
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    const [first, second] = vevents(ics);
+    assert.match(first, /DTSTART;VALUE=DATE:20260330\r\nDTEND;VALUE=DATE:20260406/);
+    assert.match(first, /SUMMARY:athas-date 1\/0\r/);
+    assert.match(first, /DTSTAMP:20260102T120000Z/);
+    assert.match(second, /DTSTART;VALUE=DATE:20260406/);
+    assert.match(second, /SUMMARY:athas-date 2\/1\r/);
+
+    const festival = { year: 14656, month: 4, day: 1, intercalary: 'Cooling Sun' };
+    buildIcs(cal, festival, festival, { realStart: '2026-03-30', moons: false, events: false, now });
+    assert.equal(calls.at(-1).name, 'athas-date-intercalary');
+  } finally {
+    timeConverter.getCurrentDate = current;
+  }
+});
+
+test('without S&S the summary falls back to the local date formatter', () => {
+  const day = { year: 14656, month: 1, day: 1 };
+  const [first] = vevents(buildIcs(cal, day, day, { realStart: '2026-03-30', moons: false, events: false, now }).ics);
+  assert.match(first, /SUMMARY:1 Day\\, Scorch 1 KA 190\.27 \(Year of Wind’s Reverence\)/);
+});
+
+test('moon alignments and events are exported on their days', () => {
+  const { ics } = buildIcs(cal, { year: 14656, month: 1, day: 1 }, { year: 14656, month: 12, day: 5, intercalary: 'Highest Sun' }, { realStart: '2026-01-01', days: false, tolerance: 5, now });
+  const events = vevents(ics);
+  assert.ok(events.some(e => /SUMMARY:Conjunction/.test(e)));
+  const liberation = events.find(e => /SUMMARY:Liberation Day — /.test(e));
+  assert.match(liberation, /DTSTART;VALUE=DATE:20260101/);
+  const uids = events.map(e => e.match(/UID:(.*)\r/)[1]);
+  assert.equal(new Set(uids).size, uids.length);
+});
+
+test('bad input is reported', () => {
+  const d = { year: 14656, month: 1, day: 1 };
+  assert.match(buildIcs(cal, d, d, { realStart: '2026-02-30' }).error, /not a real date/);
+  assert.match(buildIcs(cal, d, d, { stepDays: 0 }).error, /whole number/);
+  assert.match(buildIcs(cal, d, { year: 14700, month: 1, day: 1 }).error, /at most/);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager, loadCalendar } from './helpers/ss-stub.js';
+import {
+  getYearInfo, parseYear, KINGS_AGE_LENGTH, DEFAULT_YEAR_NAMES, getYearNameTable, normalizeYearNameTable,
+  exportYearNameTable, importYearNameTable,
+} from '../scripts/kings-age.js';
+
+test('14656 is the 27th year of the 190th King\'s Age', () => {
+  const info = getYearInfo(14656);
+  assert.equal(info.kingsAge, 190);
+  assert.equal(info.yearInAge, 27);
+  assert.equal(info.yearName, 'Wind’s Reverence');
+});
+
+test('14655 is the Year of Priest\'s Defiance', () => {
+  assert.equal(getYearInfo(14655).yearName, 'Priest’s Defiance');
+});
+
+test('King\'s Ages roll over every 77 years', () => {
+  assert.deepEqual([getYearInfo(14629).kingsAge, getYearInfo(14629).yearInAge], [189, 77]);
+  assert.deepEqual([getYearInfo(14630).kingsAge, getYearInfo(14630).yearInAge], [190, 1]);
+  assert.equal(getYearInfo(14656).yearName, getYearInfo(14656 + KINGS_AGE_LENGTH).yearName);
+});
+
+test('defaults to the current S&S year', () => {
+  installStubManager({ date: { year: 14580, month: 3, day: 9 } });
+  assert.equal(getYearInfo().year, 14580);
+});
+
+test('year names come from the calendar JSON cycles', () => {
+  const calendar = loadCalendar();
+  calendar.yearNames = { cycles: [['Ral', 'Guthay'], ['Fury']], separator: ' of ' };
+  installStubManager({ calendar });
+  assert.equal(getYearNameTable().source, 'calendar');
+  assert.equal(getYearInfo(14630).yearName, 'Ral of Fury');
+  assert.equal(getYearInfo(14631).yearName, 'Guthay of Fury');
+});
+
+test('an explicit 77-name list is used verbatim', () => {
+  const calendar = loadCalendar();
+  calendar.yearNames = { names: Array.from({ length: 77 }, (_, i) => `Year ${i + 1}`) };
+  installStubManager({ calendar });
+  assert.equal(getYearInfo(14656).yearName, 'Year 27');
+});
+
+test('a world override beats the calendar table', () => {
+  const stub = installStubManager();
+  const names = Array.from({ length: 77 }, (_, i) => `Crown ${i + 1}`);
+  globalThis.game.settings = { get: (_mod, key) => (key === 'yearNames' ? { names } : undefined) };
+  assert.equal(getYearNameTable(stub.calendar).source, 'world');
+  assert.equal(getYearInfo(14655).yearName, 'Crown 26');
+  delete globalThis.game.settings;
+});
+
+test('import validates and export round-trips', () => {
+  assert.match(importYearNameTable('{"names": ["One"]}').error, /exactly 77/);
+  assert.match(importYearNameTable('{ nope').error, /Invalid JSON/);
+  assert.match(importYearNameTable('{"cycles": [["A", ""]]}').error, /non-empty/);
+  const { table } = normalizeYearNameTable(DEFAULT_YEAR_NAMES);
+  assert.deepEqual(importYearNameTable(exportYearNameTable(table)).table, table);
+});
+
+test('parseYear reads King\'s Age, free-year and plain notations', () => {
+  for (const text of ['190.27', 'KA 190 Y27', 'KA 190, Year 27', 'Year 27 of KA 190', 'FY78', '14656', 14656]) {
+    assert.equal(parseYear(text).year, 14656, String(text));
+  }
+  assert.equal(parseYear('190.78'), null);
+  assert.equal(parseYear('next Tuesday'), null);
+});
+
+test('parseYear resolves year names with a King\'s Age', () => {
+  assert.equal(parseYear('Year of Priest\'s Defiance, KA 190').year, 14655);
+  assert.equal(parseYear('the Year of Priest’s Defiance in the 190th King\'s Age').year, 14655);
+});
+
+test('bare year names list every match in the range', () => {
+  installStubManager({ date: { year: 14656, month: 1, day: 1 } });
+  const r = parseYear('Priest\'s Defiance');
+  assert.equal(r.ambiguous, true);
+  assert.equal(r.year, null);
+  assert.deepEqual(r.matches.map(m => m.year), [14578, 14655, 14732]);
+  assert.deepEqual(parseYear('Priest\'s Defiance', { from: 14600, to: 14700 }).matches.map(m => m.year), [14655]);
+});
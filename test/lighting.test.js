@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { computeSceneLighting, sceneLightingUpdate, hexToHue, applySceneLighting } from '../scripts/lighting.js';
+import { findCelestialEvent } from '../scripts/celestial-events.js';
+import { getSkyState } from '../scripts/sky.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 12, minute: 0 } } });
+const cal = stub.calendar;
+const date = { year: 14656, month: 1, day: 1 };
+
+test('daytime darkness follows the canonical period', () => {
+  assert.equal(computeSceneLighting(cal, date, 12).darkness, 0);
+  assert.equal(computeSceneLighting(cal, date, 7).darkness, 0.25);
+  const evening = computeSceneLighting(cal, date, 18);
+  assert.equal(evening.darkness, 0.45);
+  assert.equal(evening.tint, null);
+});
+
+test('night darkness falls with the moonlight of the moons that are up', () => {
+  for (const hour of [22, 1, 4]) {
+    const light = computeSceneLighting(cal, date, hour);
+    const up = getSkyState(cal, date, hour).moons.filter(m => m.aboveHorizon);
+    assert.ok(light.night);
+    assert.ok(light.darkness >= 0.5 && light.darkness <= 1);
+    assert.equal(light.darkness, Math.round(1000 * (1 - 0.5 * light.moonLight)) / 1000);
+    assert.equal(light.tint === null, up.every(m => m.illumination === 0));
+  }
+});
+
+test('Darkest nights are pitch black and Brightest nights eerily bright', () => {
+  const darkest = findCelestialEvent(cal, date, 'Darkest', 'next', { tolerance: 5 });
+  const dark = computeSceneLighting(cal, darkest.peak, 23, { tolerance: 5 });
+  assert.equal(dark.event, 'Darkest');
+  assert.equal(dark.darkness, 1);
+  const brightest = findCelestialEvent(cal, date, 'Brightest', 'next', { tolerance: 5 });
+  const bright = computeSceneLighting(cal, brightest.peak, 0, { tolerance: 5 });
+  assert.equal(bright.event, 'Brightest');
+  assert.equal(bright.darkness, 0.25);
+  assert.equal(bright.tint.intensity, 1);
+  assert.match(bright.tint.color, /^#[0-9a-f]{6}$/);
+});
+
+test('tints use the hue of the moon colours', () => {
+  assert.equal(hexToHue('#ff0000'), 0);
+  assert.ok(Math.abs(hexToHue('#00ff00') - 1 / 3) < 1e-9);
+  assert.ok(Math.abs(hexToHue('#0000ff') - 2 / 3) < 1e-9);
+  const scene = { id: 'a', environment: { darknessLevel: 0.45, dark: { hue: 0.5, intensity: 0 } } };
+  assert.equal(sceneLightingUpdate(scene, { darkness: 0.45, tint: null }), null);
+  assert.deepEqual(sceneLightingUpdate(scene, { darkness: 0, tint: null }), { _id: 'a', 'environment.darknessLevel': 0 });
+  const tinted = sceneLightingUpdate(scene, { darkness: 0.7, tint: { color: '#00ff00', intensity: 0.6 } });
+  assert.equal(tinted['environment.dark.hue'], 0.333);
+  assert.equal(tinted['environment.dark.intensity'], 0.3);
+});
+
+test('the GM updates every scene not excluded, animated', async () => {
+  const calls = [];
+  const scene = (id, excluded) => ({ id, environment: { darknessLevel: 1, dark: { hue: 0, intensity: 0 } }, getFlag: () => excluded });
+  globalThis.game.user = { isGM: true };
+  globalThis.game.scenes = [scene('a', false), scene('b', true)];
+  globalThis.game.settings = { get: (_mod, key) => ({ sceneLighting: true, lightingTransition: 4, eventTolerance: 5 })[key] };
+  globalThis.Scene = { updateDocuments: async (updates, options) => { calls.push({ updates, options }); } };
+  const light = await applySceneLighting();
+  assert.equal(light.darkness, 0);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].updates.map(u => u._id), ['a']);
+  assert.equal(calls[0].options.animateDarkness, 4000);
+
+  globalThis.game.settings = { get: (_mod, key) => ({ sceneLighting: false })[key] };
+  assert.equal(await applySceneLighting(), null);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import {
+  toTimestamp, fromTimestamp, nextOccurrence, collectDueReminders, parseReminder, parseRecurrence, onTimeElapsed,
+} from '../scripts/reminders.js';
+import { remindCommand } from '../scripts/commands.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 8, minute: 0 } } });
+const cal = stub.calendar;
+const now = { year: 14656, month: 1, day: 1, time: { hour: 8, minute: 0 } };
+const ts = (date, hour = 0) => toTimestamp(cal, { ...date, time: hour });
+
+test('timestamps round-trip dates and times', () => {
+  const at = ts({ year: 14656, month: 4, day: 3, intercalary: 'Cooling Sun' }, 21.5);
+  assert.deepEqual(fromTimestamp(cal, at), { year: 14656, month: 4, day: 3, intercalary: 'Cooling Sun', time: { hour: 21, minute: 30, second: 0 } });
+});
+
+test('repeats step through months, festivals, weeks and years', () => {
+  const rest12 = ts({ year: 14656, month: 3, day: 12 }, 6);
+  assert.deepEqual(fromTimestamp(cal, nextOccurrence(cal, rest12, { unit: 'month' })), { year: 14656, month: 4, day: 12, time: { hour: 6, minute: 0, second: 0 } });
+  assert.equal(fromTimestamp(cal, nextOccurrence(cal, ts({ year: 14656, month: 12, day: 30 }), { unit: 'month' })).year, 14657);
+  // The next festival after Rest is Cooling Sun; from Highest Sun it wraps to next year's
+  assert.equal(fromTimestamp(cal, nextOccurrence(cal, rest12, { unit: 'festival' })).intercalary, 'Cooling Sun');
+  const highest = fromTimestamp(cal, nextOccurrence(cal, ts({ year: 14656, month: 12, day: 2, intercalary: 'Highest Sun' }), { unit: 'month' }));
+  assert.deepEqual([highest.year, highest.intercalary, highest.day], [14657, 'Cooling Sun', 2]);
+  // A week skips the festival days outside the week
+  const week = fromTimestamp(cal, nextOccurrence(cal, ts({ year: 14656, month: 4, day: 28 }), { unit: 'week' }));
+  assert.deepEqual([week.month, week.day, week.intercalary], [5, 4, undefined]);
+  assert.equal(fromTimestamp(cal, nextOccurrence(cal, rest12, { unit: 'year', every: 2 })).year, 14658);
+  assert.deepEqual(parseRecurrence('2 weeks'), { unit: 'week', every: 2 });
+  assert.equal(parseRecurrence('fortnight'), null);
+});
+
+test('a large jump fires each reminder once and moves repeats past now', () => {
+  const reminders = [
+    { id: 'a', text: 'Caravan', at: ts({ year: 14656, month: 1, day: 4 }, 8), recur: null },
+    { id: 'b', text: 'Market', at: ts({ year: 14656, month: 1, day: 2 }), recur: { unit: 'day', every: 1 } },
+    { id: 'c', text: 'Later', at: ts({ year: 14657, month: 1, day: 1 }), recur: null },
+  ];
+  const { fired, remaining } = collectDueReminders(cal, reminders, ts({ year: 14656, month: 1, day: 11 }, 12));
+  assert.deepEqual(fired.map(f => [f.reminder.id, f.occurrences]), [['a', 1], ['b', 10]]);
+  assert.deepEqual(remaining.map(r => r.id), ['b', 'c']);
+  assert.deepEqual(fromTimestamp(cal, remaining[0].at).day, 12);
+});
+
+test('/remind text reads relative, dated and time-of-day reminders', () => {
+  const nowTs = toTimestamp(cal, now);
+  const rel = parseReminder(cal, 'in 3 days: Caravan arrives', { now }).reminder;
+  assert.equal(rel.at - nowTs, 3 * 86400);
+  assert.equal(rel.text, 'Caravan arrives');
+  const dated = parseReminder(cal, 'Rest 12 at Morning every year public: Templar audit', { now }).reminder;
+  assert.equal(dated.at, ts({ year: 14656, month: 3, day: 12 }, 6));
+  assert.deepEqual(dated.recur, { unit: 'year', every: 1 });
+  assert.equal(dated.public, true);
+  const watch = parseReminder(cal, 'at 2nd Watch macro Fade Effect: Enchantment expires', { now }).reminder;
+  assert.equal(watch.at, ts({ year: 14656, month: 1, day: 2 }, 0));
+  assert.equal(watch.macro, 'Fade Effect');
+  assert.equal(parseReminder(cal, 'at 21:30: Dinner', { now }).reminder.at, ts({ year: 14656, month: 1, day: 1 }, 21.5));
+  assert.match(parseReminder(cal, 'Scorch 1 14600: Too late', { now }).error, /already passed/);
+  assert.match(parseReminder(cal, 'in 3 days', { now }).error, /colon/);
+  assert.match(parseReminder(cal, 'in 3 fortnights: x', { now }).error, /Unknown unit/);
+});
+
+test('the GM fires due reminders on time passing and stores the rest', async () => {
+  let stored = [
+    { id: 'a', text: 'Caravan <arrives>', at: ts({ year: 14656, month: 1, day: 1 }, 7), recur: null, macro: null, public: false },
+    { id: 'b', text: 'Later', at: ts({ year: 14656, month: 1, day: 2 }), recur: null, macro: null, public: true },
+  ];
+  const messages = [];
+  globalThis.game.user = { isGM: true, id: 'gm' };
+  globalThis.game.settings = {
+    get: (_mod, key) => (key === 'reminders' ? stored : undefined),
+    set: async (_mod, key, value) => { if (key === 'reminders') stored = value; },
+  };
+  globalThis.ChatMessage = { create: async (data) => messages.push(data), getWhisperRecipients: () => ['gm'] };
+  const fired = await onTimeElapsed(3600);
+  assert.equal(fired.length, 1);
+  assert.deepEqual(stored.map(r => r.id), ['b']);
+  assert.match(messages[0].content, /Caravan &lt;arrives&gt;/);
+  assert.deepEqual(messages[0].whisper, ['gm']);
+  assert.equal(await onTimeElapsed(-3600), null);
+
+  assert.deepEqual(remindCommand('in 1 day: Water check'), {});
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(stored.length, 2);
+  assert.match(messages.at(-1).content, /Reminder set for .*Water check/);
+  assert.match(remindCommand('whenever: x').content, /Reminder not understood/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { installI18n, loadLanguage } from './helpers/i18n-stub.js';
+import { getSunState, getSkyState, moonPhaseImg, renderSkySvg, describeSky } from '../scripts/sky.js';
+import { skyCommand } from '../scripts/commands.js';
+import { buildDayCardData } from '../scripts/day-card.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 22, minute: 0 } } });
+const cal = stub.calendar;
+const date = { year: 14656, month: 1, day: 1 };
+
+/** Decoded SVG of an inline image. */
+const svgOf = (img) => decodeURIComponent(img.match(/utf8,([^"]+)"/)[1]);
+
+test('the sun rises at a quarter day, transits at noon and sets at three quarters', () => {
+  assert.equal(getSunState(cal, 12).altitude, 90);
+  assert.equal(getSunState(cal, 6).altitude, 0);
+  assert.ok(getSunState(cal, 9).aboveHorizon);
+  assert.ok(getSunState(cal, 9).hourAngle < 0);
+  assert.ok(!getSunState(cal, 0).aboveHorizon);
+  assert.equal(getSunState(cal, '2nd Watch').period, '2nd Watch');
+});
+
+test('moons carry their hour angle and a New moon rides with the sun', () => {
+  const newRal = { year: 14554, month: 1, day: 17 };
+  const sky = getSkyState(cal, newRal, 12);
+  const ral = sky.moons.find(m => m.name === 'Ral');
+  assert.ok(Math.abs(ral.hourAngle - sky.sun.hourAngle) < 10);
+  assert.ok(ral.aboveHorizon);
+});
+
+test('phase glyphs follow the lit fraction', () => {
+  const full = svgOf(moonPhaseImg({ name: 'Ral', phaseFraction: 0.5 }));
+  assert.match(full, /<circle cx="14" cy="14" r="12" fill="#8de715"\/>/);
+  const fresh = svgOf(moonPhaseImg({ name: 'Guthay', phaseFraction: 0 }));
+  assert.doesNotMatch(fresh, /<path/);
+  // Waxing crescent: lit limb on the right, terminator bulging the same way
+  const crescent = svgOf(moonPhaseImg({ name: 'Ral', phaseFraction: 0.1 }));
+  assert.match(crescent, /A12,12 0 0 1 14,26 A[\d.]+,12 0 0 0 14,2 Z/);
+  // Waning gibbous from getMoonPhases' age and cycle
+  const gibbous = svgOf(moonPhaseImg({ name: 'Ral', age: 20, cycleLength: 33 }));
+  assert.match(gibbous, /A12,12 0 0 0 14,26 A[\d.]+,12 0 0 0 14,2 Z/);
+});
+
+test('bodies below the horizon are dimmed', () => {
+  const night = getSkyState(cal, date, 0);
+  const svg = renderSkySvg(night);
+  assert.match(svg, /<g opacity="0.35"><circle[^>]+fill="#d0341c"/);
+  assert.equal((svg.match(/<text /g) || []).length, 2);
+});
+
+test('/sky describes the sky and reads canonical hours', () => {
+  const now = skyCommand('');
+  assert.match(now.content, /data:image\/svg\+xml/);
+  assert.match(now.content, /Sun: below the horizon \(1st Watch\)/);
+  assert.match(skyCommand('Midday').content, /Sun: up, \d+° high \(Midday\)/);
+  assert.match(skyCommand('sometime').content, /Time not understood/);
+  assert.equal(describeSky(getSkyState(cal, date, 22)).length, 3);
+});
+
+test('/day shows the moons that are up as header badges', () => {
+  const up = getSkyState(cal, date, { hour: 22 }).moons.filter(m => m.aboveHorizon).length;
+  assert.equal(up, 2);
+  const { badges } = buildDayCardData(cal, { ...date, time: { hour: 22, minute: 0 } });
+  assert.equal((badges.match(/<img /g) || []).length, up);
+});
+
+test('the sky description comes from the language file', () => {
+  const lang = loadLanguage();
+  Object.assign(lang.SSATHAS.Sky, { Sun: 'Sol', Below: 'bajo el horizonte' });
+  installI18n(lang);
+  try {
+    assert.match(describeSky(getSkyState(cal, date, 22))[0], /^Sol: bajo el horizonte/);
+  } finally {
+    delete globalThis.game.i18n;
+  }
+});
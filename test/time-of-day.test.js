@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCalendar } from './helpers/ss-stub.js';
+import { getTimePeriodName, getCanonicalHour, getSolarEventName, getSeasonName } from '../scripts/time-of-day.js';
+
+const cal = loadCalendar();
+
+test('canonical hours follow the calendar, including the 1st Watch wrap', () => {
+  assert.equal(getTimePeriodName(cal, 1), '2nd Watch');
+  assert.equal(getTimePeriodName(cal, 6, 30), 'Morning');
+  assert.equal(getTimePeriodName(cal, 12), 'Midday');
+  assert.equal(getTimePeriodName(cal, 17), 'Evening');
+  assert.equal(getTimePeriodName(cal, 23, 59), '1st Watch');
+  assert.equal(getCanonicalHour(cal, 22).wraps, true);
+});
+
+test('solar events land on fixed month days and never on festivals', () => {
+  assert.equal(getSolarEventName(cal, { year: 14656, month: 1, day: 1 }), 'High Sun (Summer Solstice)');
+  assert.equal(getSolarEventName(cal, { year: 14656, month: 4, day: 4 }), 'Ascending Equinox');
+  assert.equal(getSolarEventName(cal, { year: 14656, month: 4, day: 4, intercalary: 'Cooling Sun' }), null);
+});
+
+test('seasons wrap the year end', () => {
+  assert.equal(getSeasonName(cal, 0), 'High Sun');
+  assert.equal(getSeasonName(cal, 11), 'High Sun');
+  assert.equal(getSeasonName(cal, 4), 'Sun Descending');
+});
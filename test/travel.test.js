@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { planTravel } from '../scripts/travel.js';
+import { travelCommand } from '../scripts/commands.js';
+import { getCanonicalHours } from '../scripts/time-of-day.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 7, minute: 0 } } });
+const cal = stub.calendar;
+const start = { year: 14656, month: 1, day: 1, time: { hour: 7, minute: 0 } };
+
+test('day travel rests through Midday and keeps to the daily march', () => {
+  const plan = planTravel(cal, start, { distance: 60, terrain: 'stony-barrens' });
+  assert.ok(!plan.error);
+  assert.ok(plan.legs.every(l => l.block.toLowerCase() !== 'midday'));
+  const perDay = new Map();
+  for (const l of plan.legs) perDay.set(l.date.day, (perDay.get(l.date.day) || 0) + l.hours);
+  for (const hours of perDay.values()) assert.ok(hours <= 8 + 1e-9);
+  assert.equal(plan.milesPerHour, 2.25);
+  assert.ok(Math.abs(plan.marchHours - 60 / 2.25) < 0.2);
+  assert.deepEqual([plan.arrival.month, plan.arrival.day], [1, 4]);
+  assert.ok(plan.nights.length >= 3);
+});
+
+test('marching through Midday arrives sooner', () => {
+  const rest = planTravel(cal, start, { distance: 30 });
+  const push = planTravel(cal, start, { distance: 30, avoidMidday: false });
+  assert.ok(push.legs.some(l => l.block.toLowerCase() === 'midday'));
+  assert.ok(push.elapsedHours < rest.elapsedHours);
+  assert.equal(push.elapsedSeconds, Math.round(push.elapsedHours * 3600));
+});
+
+test('night travel uses the watches and counts them against one night', () => {
+  const plan = planTravel(cal, start, { distance: 40, night: true });
+  const watches = getCanonicalHours(cal).filter(b => b.name.toLowerCase().includes('watch')).map(b => b.name);
+  assert.ok(plan.legs.every(l => watches.includes(l.block)));
+  assert.ok(plan.arrival.time.hour < 12);
+  assert.ok(plan.nights.every(n => n.moons.length === 2));
+});
+
+test('bad requests are errors', () => {
+  assert.ok(planTravel(cal, start, { distance: 0 }).error);
+  assert.ok(planTravel(cal, start, { distance: 10, pace: 'gallop' }).error);
+  assert.ok(planTravel(cal, start, { distance: 10, terrain: 'swamp' }).error);
+});
+
+test('/travel previews the trip with the arrival in King\'s Age notation', () => {
+  globalThis.game.settings = { get: (_mod, key) => ({ weatherTerrain: 'scrub-plains' })[key] };
+  const { content } = travelCommand('24 fast stony barrens');
+  assert.match(content, /24 miles, fast pace, Stony barrens, by day/);
+  assert.match(content, /Arrival:.*KA 190\.27/);
+  assert.match(content, /Night of /);
+  assert.match(travelCommand('24 swim').content, /Unknown travel option/);
+});
+
+test('/travel go advances world time through Seasons & Stars', async () => {
+  const advanced = [];
+  globalThis.game.user = { isGM: true, id: 'gm' };
+  globalThis.game.settings = { get: (_mod, key) => ({ weatherTerrain: 'scrub-plains' })[key] };
+  globalThis.game.time = { advance: async () => assert.fail('core world time used') };
+  const saved = globalThis.game.seasonsStars;
+  globalThis.game.seasonsStars = { ...saved, api: { advanceMinutes: async (m) => advanced.push(m) } };
+  try {
+    assert.match(travelCommand('6 go').content, /6 miles/);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(advanced.length, 1);
+    assert.ok(advanced[0] > 0);
+  } finally {
+    globalThis.game.seasonsStars = saved;
+    delete globalThis.game.time;
+    delete globalThis.game.user;
+  }
+});
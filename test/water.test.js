@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import {
+  waterRequired, consumeWater, addWater, getDehydrationStage, onTimeElapsed, getTrackedActors,
+} from '../scripts/water.js';
+import { waterCommand } from '../scripts/commands.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 2, time: { hour: 0, minute: 0 } } });
+const cal = stub.calendar;
+
+/**
+ * Minimal actor with flag storage.
+ * @param {string} name
+ * @param {object} [water]
+ * @returns {object}
+ */
+function fakeActor(name, water) {
+  const flags = water ? { water } : {};
+  return {
+    name,
+    type: 'character',
+    hasPlayerOwner: true,
+    getFlag: (_mod, key) => flags[key],
+    setFlag: async (_mod, key, value) => { flags[key] = value; },
+  };
+}
+
+test('water need follows the heat of each hour', () => {
+  const day = waterRequired(cal, { year: 14656, month: 1, day: 1, time: { hour: 0 } }, 24);
+  assert.equal(Object.values(day.byBand).reduce((a, b) => a + b, 0), 24);
+  const midday = waterRequired(cal, { year: 14656, month: 1, day: 1, time: { hour: 11 } }, 4);
+  const night = waterRequired(cal, { year: 14656, month: 1, day: 1, time: { hour: 0 } }, 4);
+  assert.ok(midday.gallons > night.gallons);
+  const festival = waterRequired(cal, { year: 14656, month: 12, day: 2, intercalary: 'Highest Sun', time: { hour: 0 } }, 24);
+  assert.ok(festival.gallons > day.gallons);
+});
+
+test('carried water is drunk first, then a deficit builds and sets the stage', () => {
+  const after = consumeWater({ carried: 1, deficit: 0 }, 2.5);
+  assert.deepEqual(after, { carried: 0, deficit: 1.5, rate: 1 });
+  assert.equal(getDehydrationStage(after).key, 'dehydrated');
+  assert.equal(getDehydrationStage({ deficit: 1.5, rate: 2 }).key, 'thirsty');
+  assert.deepEqual(addWater(after, 2), { carried: 0.5, deficit: 0, rate: 1 });
+});
+
+test('elapsed time deducts water and whispers the GM when a stage worsens', async () => {
+  const actor = fakeActor('Rikus', { carried: 0.2, deficit: 0.9 });
+  const whispers = [];
+  globalThis.game.actors = [actor, { ...fakeActor('Kank'), type: 'npc', hasPlayerOwner: false }];
+  globalThis.game.user = { isGM: true };
+  globalThis.game.settings = { get: (_mod, key) => (key === 'waterTracking' ? true : undefined) };
+  globalThis.ChatMessage = { create: async (data) => whispers.push(data), getWhisperRecipients: () => ['gm'] };
+  assert.deepEqual(getTrackedActors(), [actor]);
+  const result = await onTimeElapsed(12 * 3600);
+  assert.ok(result.gallons > 0);
+  assert.equal(actor.getFlag('x', 'water').carried, 0);
+  assert.equal(whispers.length, 1);
+  assert.match(whispers[0].content, /Rikus<\/strong> is now <strong>Dehydrated/);
+  assert.match(waterCommand('').content, /Rikus:<\/strong> 0 gal carried, Dehydrated/);
+  assert.match(waterCommand('add 3 rikus').content, /Rikus: carrying/);
+  delete globalThis.game.settings;
+});
+
+test('the dehydration whisper escapes the actor name', async () => {
+  const actor = fakeActor('<b>Neeva</b>', { carried: 0, deficit: 0.9 });
+  const whispers = [];
+  globalThis.game.actors = [actor];
+  globalThis.game.user = { isGM: true };
+  globalThis.game.settings = { get: (_mod, key) => (key === 'waterTracking' ? true : undefined) };
+  globalThis.ChatMessage = { create: async (data) => whispers.push(data), getWhisperRecipients: () => ['gm'] };
+  await onTimeElapsed(12 * 3600);
+  assert.equal(whispers.length, 1);
+  assert.match(whispers[0].content, /<strong>&lt;b&gt;Neeva&lt;\/b&gt;<\/strong> is now/);
+  delete globalThis.game.settings;
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installStubManager } from './helpers/ss-stub.js';
+import { TERRAINS, TEMPERATURE_BANDS, generateWeather, getConditionsAt, findTerrain } from '../scripts/weather.js';
+import { weatherCommand } from '../scripts/commands.js';
+
+const stub = installStubManager({ date: { year: 14656, month: 1, day: 1, time: { hour: 1, minute: 0 } } });
+const cal = stub.calendar;
+const day = { year: 14656, month: 1, day: 1 };
+
+test('the same seed, day and terrain always give the same weather', () => {
+  for (const terrain of Object.keys(TERRAINS)) {
+    assert.deepEqual(generateWeather(cal, day, { terrain }), generateWeather(cal, day, { terrain }));
+  }
+  assert.notDeepEqual(generateWeather(cal, day, { reroll: 1 }), generateWeather(cal, day));
+  assert.equal(generateWeather(cal, day, { terrain: 'glacier' }), null);
+});
+
+test('Highest Sun runs hotter than the days around it', () => {
+  let festival = 0;
+  let ordinary = 0;
+  for (let seed = 0; seed < 40; seed++) {
+    for (let d = 1; d <= 5; d++) {
+      festival += generateWeather(cal, { year: 14656, month: 12, day: d, intercalary: 'Highest Sun' }, { seed: String(seed) }).high.band;
+      ordinary += generateWeather(cal, { year: 14656, month: 12, day: 20 + d }, { seed: String(seed) }).high.band;
+    }
+  }
+  assert.ok(festival > ordinary);
+  assert.ok(generateWeather(cal, { year: 14656, month: 12, day: 1, intercalary: 'Highest Sun' }).highestSun);
+});
+
+test('conditions follow the canonical hour', () => {
+  const w = generateWeather(cal, day);
+  assert.equal(getConditionsAt(cal, w, 12).tempF, w.high.tempF);
+  assert.equal(getConditionsAt(cal, w, 1).tempF, w.low.tempF);
+  assert.ok(getConditionsAt(cal, w, 1).moonlight);
+  assert.equal(getConditionsAt(cal, w, 12).moonlight, null);
+  assert.ok(TEMPERATURE_BANDS.some(b => b.label === getConditionsAt(cal, w, 8).band));
+});
+
+test('/weather accepts a terrain and a date', () => {
+  assert.equal(findTerrain('silt'), 'silt-sea-edge');
+  assert.match(weatherCommand('stony barrens Scorch 3').content, /Scorch 3, 14656, Stony barrens/);
+  assert.match(weatherCommand('').content, /Now \(2nd Watch\)/);
+  assert.match(weatherCommand('reroll').content, /Only the GM/);
+});